@@ -1,15 +1,40 @@
 import * as THREE from 'three'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
-import { CameraControls } from '@react-three/drei'
-import SoftBody from './SoftBody'
+import { OrbitControls } from '@react-three/drei'
+import SoftBody, { DEFAULT_BODIES } from './SoftBody'
+import { ForceField } from './ForceField'
+import Benchmark from './Benchmark'
+import { useScenePresets } from './useScenePresets'
 
+// ?bench=<count> swaps the demo for the benchmark scene
+const bench = new URLSearchParams(window.location.search).get('bench')
+
+// The demo scene, switchable from the Leva `Scene` folder, on a tilted
+// plane a world unit per sim unit, so orbiting doesn't rescale it
+function Demo () {
+  const scene = useScenePresets(DEFAULT_BODIES)
+  // Pressing where there is no body pushes the bodies away
+  return (
+    <SoftBody key={scene.key} bodies={scene.bodies} boundary={scene.boundary}
+              units={1} position={[0, 0.1, 0]} rotation={[-0.2, 0.3, 0]}>
+      <ForceField type="push" />
+    </SoftBody>
+  )
+}
 
 export default function App () {
   return (
-    <Canvas orthographic camera={{ zoom: 200, position: [0,0,6] }}
+    <Canvas camera={{ fov: 50, position: [0, 0.6, 3.2] }}
             gl={{ preserveDrawingBuffer: true }}>
-      <CameraControls makeDefault azimuthRotateSpeed={0} polarRotateSpeed={0}/>
-      <SoftBody />
+      {/* Left presses drag the bodies, so the camera orbits with the right button */}
+      <OrbitControls makeDefault
+                     mouseButtons={{ LEFT: null, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.ROTATE }}
+                     touches={{ ONE: null, TWO: THREE.TOUCH.DOLLY_ROTATE }}/>
+      <gridHelper args={[6, 12, '#444', '#2a2a2a']} position={[0, -1.2, 0]} />
+      {/* only used by the `lit` body shading */}
+      <ambientLight intensity={1.5} />
+      <directionalLight position={[-2, 3, 5]} intensity={3} />
+      {bench !== null ? <Benchmark count={Number(bench) || undefined} /> : <Demo />}
     </Canvas>
   )
 }
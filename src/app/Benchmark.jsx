@@ -0,0 +1,34 @@
+/**************************************************************************
+ *  Benchmark – a few hundred bodies in the default container (?bench=200)
+ **************************************************************************/
+import * as THREE from 'three'
+import { useMemo } from 'react'
+import { Perf } from 'r3f-perf'
+import SoftBody from './SoftBody'
+
+export const createBenchmarkBodies = (count, extent = 0.8) => {
+  const cols = Math.ceil(Math.sqrt(count))
+  const spacing = (2 * extent) / cols
+  const color = new THREE.Color()
+
+  return Array.from({ length: count }, (_, i) => ({
+    id: `bench-${i}`,
+    radius: spacing * 0.4,
+    center: [
+      -extent + spacing * (i % cols + 0.5),
+      -extent + spacing * (Math.floor(i / cols) + 0.5),
+    ],
+    color: `#${color.setHSL(i / count, 0.7, 0.6).getHexString()}`,
+  }))
+}
+
+export default function Benchmark({ count = 200 }) {
+  const bodies = useMemo(() => createBenchmarkBodies(count), [count])
+
+  return (
+    <>
+      <Perf position="top-left" />
+      <SoftBody bodies={bodies} />
+    </>
+  )
+}
@@ -0,0 +1,155 @@
+/**************************************************************************
+ *  <ForceField> – declarative force field, placed as a child of <SoftBody>
+ **************************************************************************/
+import { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import { simTransform } from './Obstacle'
+import { fieldParams, packFields, MAX_FIELDS } from './forceFields'
+import { createFieldTexture } from './textures'
+
+export const ForceFieldContext = createContext(null)
+
+/* ---------- Component ------------------------------------------------- */
+/**
+ * A field (types in forceFields.js) at `position` (sim units), turned by
+ * `rotation`. It draws nothing; children render whatever should mark it
+ * and move along with it.
+ *
+ *   <ForceField type="attractor" strength={-4} radius={0.3} position={[0, -0.2]} />
+ *   <ForceField type="custom" glsl={`vec2 force(vec2 p, vec2 v, int body, float time) {
+ *     return vec2(-p.y, p.x); }`} />
+ */
+export function ForceField({ position = [0, 0], rotation = 0, children, ...field }) {
+  const registry = useContext(ForceFieldContext)
+  const group = useRef()
+  const props = useRef()
+  props.current = field
+
+  // A new snippet has to be compiled in, so it registers anew
+  const glsl = field.type === 'custom' ? field.glsl : null
+
+  useEffect(() => {
+    if (!registry) {
+      console.warn('<ForceField> must be a child of <SoftBody>')
+      return
+    }
+    return registry.register({ object: group, getField: () => props.current, glsl })
+  }, [registry, glsl])
+
+  return (
+    <group ref={group} position={[position[0], position[1], 0]} rotation={[0, 0, rotation]}>
+      {children}
+    </group>
+  )
+}
+
+/* ---------- Registry + per-step packing ------------------------------- */
+const customSnippets = (fields) => fields.filter(f => f.type === 'custom' && f.glsl).map(f => f.glsl)
+
+/**
+ * Collects fields from <ForceField> children and the `forceFields` prop,
+ * whose plain definitions may add `object`, a THREE.Object3D to follow.
+ * `snippets` are the custom GLSL snippets the simulation compiles in;
+ * `update(h, cfg)` advances the field clock by h, packs the fields into
+ * `texture` and returns how many there are. `drags` are the pointer drags
+ * (pointerId → { pos, body, picking }) a push field acts at.
+ */
+export const useForceFields = (fieldsProp, simSpace, drags) => {
+  const registered = useRef(new Set())
+  const clock = useRef(0)
+  const texture = useMemo(() => createFieldTexture(), [])
+  useEffect(() => () => texture.dispose(), [texture])
+
+  const [registeredSnippets, setRegisteredSnippets] = useState([])
+  const registry = useMemo(() => {
+    const refresh = () => setRegisteredSnippets([...registered.current].map(e => e.glsl).filter(Boolean))
+    return {
+      register(entry) {
+        registered.current.add(entry)
+        if (entry.glsl) refresh()
+        return () => {
+          registered.current.delete(entry)
+          if (entry.glsl) refresh()
+        }
+      },
+    }
+  }, [])
+
+  // Stable while the set of snippets stays the same, as it keys the rebuild
+  const all = [...new Set([...registeredSnippets, ...customSnippets(fieldsProp ?? [])])]
+  const snippetKey = JSON.stringify(all)
+  const snippets = useMemo(() => all, [snippetKey])
+
+  const latest = useRef()
+  latest.current = { fieldsProp, snippets }
+  const warned = useRef(false)
+
+  // One uniform object per name custom fields declare, handed to the
+  // passes when they are built; update() copies the fields' values in
+  const customUniforms = useRef({})
+
+  // Definitions of every field, each with the object it follows, if any
+  const entries = () => [
+    ...[...registered.current].map(entry => ({ def: entry.getField(), object: entry.object.current })),
+    ...(latest.current.fieldsProp ?? []).map(def => ({ def, object: def.object })),
+  ]
+
+  const update = (h, cfg) => {
+    clock.current += h
+    const { snippets } = latest.current
+    const shared = customUniforms.current
+    const options = { time: clock.current, pushStrength: cfg.pushStrength }
+
+    const resolved = entries().flatMap(({ def, object }) => {
+      // One repulsor per pointer pressed on the plane that holds no body
+      if (def.type === 'push') {
+        const { turn, ...params } = fieldParams(def, options)
+        return [...drags.current.values()]
+          .filter(d => !d.picking && d.body === null)
+          .map(d => ({ ...params, position: [d.pos.x, d.pos.y], angle: turn }))
+      }
+
+      let xf
+      if (object) {
+        if (!simSpace.current) return []
+        xf = simTransform(object, simSpace.current)
+      } else {
+        xf = { position: def.position ?? [0, 0], angle: def.rotation ?? 0 }
+      }
+      // A snippet the simulation doesn't have yet waits for its rebuild
+      const snippet = def.type === 'custom' ? snippets.indexOf(def.glsl) : 0
+      if (snippet < 0) return []
+      if (def.type === 'custom') {
+        Object.entries(def.uniforms ?? {}).forEach(([name, u]) => { if (shared[name]) shared[name].value = u.value })
+      }
+      const { turn, ...params } = fieldParams(def, { ...options, snippet })
+      return [{ ...params, position: xf.position, angle: xf.angle + turn }]
+    })
+
+    if (resolved.length > MAX_FIELDS && !warned.current) {
+      warned.current = true
+      console.warn(`SoftBody: only the first ${MAX_FIELDS} of ${resolved.length} force fields are simulated`)
+    }
+    packFields(resolved, texture.image.data)
+    texture.needsUpdate = true
+    return Math.min(resolved.length, MAX_FIELDS)
+  }
+
+  return {
+    registry,
+    texture,
+    snippets,
+    update,
+    // Seconds the field clock has run, the `time` of noise and custom fields
+    time: () => clock.current,
+    // The uniforms custom fields declare, for a rebuild to attach: names
+    // are read then, values follow every update
+    uniforms: () => {
+      const shared = customUniforms.current
+      entries().forEach(({ def }) => {
+        if (def.type !== 'custom') return
+        Object.entries(def.uniforms ?? {}).forEach(([name, u]) => { shared[name] ??= { value: u.value } })
+      })
+      return shared
+    },
+  }
+}
@@ -0,0 +1,258 @@
+/**************************************************************************
+ *  GooRender – the `goo` render mode, bodies drawn as one liquid
+ **************************************************************************/
+import * as THREE from 'three';
+import { useEffect, useMemo } from 'react';
+import { createPortal, useThree } from '@react-three/fiber';
+import { stateTexture } from './gpuState';
+import { resolveLook } from './renderLook';
+import { VERTEX_SHADER, SMOOTHING, useTriangleFanGeometry } from './SoftBodyRender';
+
+const GOO_RESOLUTION = 0.5;    // field size relative to the canvas
+const GOO_EDGE       = 0.03;   // field band the threshold is antialiased over
+const BLUR_TAPS      = 8;      // samples per side of each blur pass
+
+/* ---------- GLSL ------------------------------------------------------ */
+
+/* Field splat: colour weighted by coverage, coverage in alpha */
+const FIELD_FRAGMENT_SHADER = /* glsl */`
+precision highp float;
+uniform vec3 uColor;
+void main () {
+    gl_FragColor = vec4(uColor, 1.0);
+}
+`;
+
+const PASS_VERTEX_SHADER = /* glsl */`
+precision highp float;
+attribute vec3 position;
+attribute vec2 uv;
+varying   vec2 vUv;
+void main () {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);   // clip space, camera ignored
+}
+`;
+
+/* One direction of a separable Gaussian, σ = half the radius */
+const BLUR_FRAGMENT_SHADER = /* glsl */`
+precision highp float;
+uniform sampler2D uField;
+uniform vec2      uStep;      // uv offset between taps
+varying vec2      vUv;
+void main () {
+    vec4  sum   = vec4(0.0);
+    float total = 0.0;
+    for (int i = -${BLUR_TAPS}; i <= ${BLUR_TAPS}; i++) {
+        float x = float(i) / float(${BLUR_TAPS});
+        float w = exp(-2.0 * x * x);
+        sum   += w * texture2D(uField, vUv + uStep * float(i));
+        total += w;
+    }
+    gl_FragColor = sum / total;
+}
+`;
+
+const COMPOSITE_FRAGMENT_SHADER = /* glsl */`
+precision highp float;
+uniform sampler2D uField;
+uniform float     uThreshold;
+uniform float     uOpacity;
+varying vec2      vUv;
+void main () {
+    vec4  f    = texture2D(uField, vUv);
+    float mask = smoothstep(uThreshold - ${GOO_EDGE}, uThreshold + ${GOO_EDGE}, f.a);
+    gl_FragColor = vec4(f.rgb / max(f.a, 1e-4), mask * uOpacity);
+}
+`;
+
+/* ---------- Materials ------------------------------------------------- */
+const makeFieldMaterial = () => new THREE.RawShaderMaterial({
+  vertexShader  : VERTEX_SHADER,
+  fragmentShader: FIELD_FRAGMENT_SHADER,
+  side          : THREE.DoubleSide,
+  depthTest     : false,
+  depthWrite    : false,
+  blending      : THREE.CustomBlending,      // plain sum, the field isn't clamped
+  blendSrc      : THREE.OneFactor,
+  blendDst      : THREE.OneFactor,
+  uniforms: {
+    posTex     : { value: null },
+    shapeTex   : { value: null },
+    uBodyRow   : { value: 0 },
+    uBodyCount : { value: 1 },
+    uPointsPer : { value: 1 },
+    uSmoothing : { value: 1 },
+    uColor     : { value: new THREE.Color() },
+  }
+});
+
+const makePassMaterial = (fragmentShader, uniforms, transparent = false) => new THREE.RawShaderMaterial({
+  vertexShader  : PASS_VERTEX_SHADER,
+  fragmentShader,
+  transparent,
+  depthTest     : false,
+  depthWrite    : false,
+  uniforms,
+});
+
+const makeFieldTarget = (width, height) => new THREE.WebGLRenderTarget(width, height, {
+  type         : THREE.HalfFloatType,
+  minFilter    : THREE.LinearFilter,
+  magFilter    : THREE.LinearFilter,
+  depthBuffer  : false,
+});
+
+/* ---------- One body's splat ------------------------------------------ */
+function GooBody({ sim, bodyRow, pointsPer, bodyCount, renderCfg, ...lookProps }) {
+  const look         = resolveLook(lookProps, renderCfg);
+  const subdivisions = Math.max(1, Math.round(look.subdivisions ?? 1));
+  const geom         = useTriangleFanGeometry(pointsPer, subdivisions);
+  const mat          = useMemo(makeFieldMaterial, []);
+
+  useEffect(() => () => mat.dispose(), [mat]);
+  useEffect(() => () => geom.dispose(), [geom]);
+
+  /* drawn inside the field pass, after this frame's steps */
+  const onBeforeRender = () => {
+    const u = mat.uniforms;
+    u.posTex.value     = stateTexture(sim, sim.posVar);
+    u.shapeTex.value   = stateTexture(sim, sim.shapeVar);
+    u.uBodyRow.value   = bodyRow;
+    u.uBodyCount.value = bodyCount;
+    u.uPointsPer.value = pointsPer;
+    u.uSmoothing.value = SMOOTHING[look.smoothing] ?? 0;
+    u.uColor.value.set(look.color);
+  };
+
+  if (!look.visible) return null;
+  return <mesh geometry={geom} material={mat} frustumCulled={false} onBeforeRender={onBeforeRender} />;
+}
+
+/* Screen pixels per sim unit, from how the simulation plane's axes project */
+const _o = new THREE.Vector3(), _x = new THREE.Vector3(), _y = new THREE.Vector3();
+const pixelsPerSimUnit = (space, camera, size) => {
+  const m = space.matrixWorld;
+  _o.set(0, 0, 0).applyMatrix4(m).project(camera);
+  _x.set(1, 0, 0).applyMatrix4(m).project(camera).sub(_o);
+  _y.set(0, 1, 0).applyMatrix4(m).project(camera).sub(_o);
+  const axis = (v) => Math.hypot(v.x * size.width, v.y * size.height) * 0.5;
+  return (axis(_x) + axis(_y)) * 0.5;
+};
+
+/* ---------- Main component -------------------------------------------- */
+/* Every body is splatted into an offscreen field, blurred by `gooBlur` (sim
+   units) and cut at `gooThreshold`, so bodies that come close fuse – on
+   screen only. Rim, gradient, map and outline belong to the `rim` mode. */
+export default function GooRender({
+  sim,
+  space,           // ref to <SoftBody>'s simulation-space group
+  pointsPer,       // N
+  bodyCount,       // rows
+  looks,           // look props per row (see RENDER_PROP_KEYS), null for a free row
+  renderCfg,       // useRenderConfig() values, read once by <SoftBody>
+}) {
+  const { size } = useThree();
+
+  const width  = Math.max(1, Math.round(size.width  * GOO_RESOLUTION));
+  const height = Math.max(1, Math.round(size.height * GOO_RESOLUTION));
+  const targets = useMemo(() => [makeFieldTarget(width, height), makeFieldTarget(width, height)], [width, height]);
+  useEffect(() => () => targets.forEach(t => t.dispose()), [targets]);
+
+  const passes = useMemo(() => {
+    const quad  = new THREE.PlaneGeometry(2, 2);
+    const blur  = makePassMaterial(BLUR_FRAGMENT_SHADER, {
+      uField: { value: null },
+      uStep : { value: new THREE.Vector2() },
+    });
+    const composite = makePassMaterial(COMPOSITE_FRAGMENT_SHADER, {
+      uField    : { value: null },
+      uThreshold: { value: 0.5 },
+      uOpacity  : { value: 1 },
+    }, true);
+    const blurScene = new THREE.Scene();
+    const blurMesh  = new THREE.Mesh(quad, blur);
+    blurMesh.frustumCulled = false;
+    blurScene.add(blurMesh);
+    /* the splats take the simulation plane's world transform */
+    const fieldScene = new THREE.Scene();
+    const fieldRoot  = new THREE.Group();
+    fieldRoot.matrixAutoUpdate = false;
+    fieldScene.add(fieldRoot);
+    return { quad, blur, composite, blurScene, fieldScene, fieldRoot };
+  }, []);
+  useEffect(() => () => {
+    passes.quad.dispose(); passes.blur.dispose(); passes.composite.dispose();
+  }, [passes]);
+
+  const clearColor = useMemo(() => new THREE.Color(), []);
+
+  /* Field and blur passes run as the composite is about to be drawn (like
+     three's Reflector), so they see the positions of this frame's steps */
+  const onBeforeRender = (renderer, scene, camera) => {
+    const [field, pong] = targets;
+    const { blur, composite, blurScene, fieldScene, fieldRoot } = passes;
+    fieldRoot.matrix.copy(space.current.matrixWorld);
+
+    const target    = renderer.getRenderTarget();
+    const autoClear = renderer.autoClear;
+    renderer.getClearColor(clearColor);
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.autoClear = false;
+    renderer.setClearColor(0x000000, 0);
+
+    renderer.setRenderTarget(field);
+    renderer.clear();
+    renderer.render(fieldScene, camera);
+
+    /* blur radius in field pixels, at the current view */
+    const radius = renderCfg.gooBlur * pixelsPerSimUnit(space.current, camera, size) * GOO_RESOLUTION;
+    const step   = radius / BLUR_TAPS;
+
+    blur.uniforms.uField.value = field.texture;
+    blur.uniforms.uStep.value.set(step / width, 0);
+    renderer.setRenderTarget(pong);
+    renderer.clear();
+    renderer.render(blurScene, camera);
+
+    blur.uniforms.uField.value = pong.texture;
+    blur.uniforms.uStep.value.set(0, step / height);
+    renderer.setRenderTarget(field);
+    renderer.clear();
+    renderer.render(blurScene, camera);
+
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(clearColor, clearAlpha);
+    renderer.autoClear = autoClear;
+
+    composite.uniforms.uField.value     = field.texture;
+    composite.uniforms.uThreshold.value = renderCfg.gooThreshold;
+    composite.uniforms.uOpacity.value   = renderCfg.opacity;
+  };
+
+  return (
+    <>
+      {createPortal(
+        looks.map((look, row) => look && (
+          <GooBody
+            key={row}
+            sim={sim}
+            bodyRow={row}
+            pointsPer={pointsPer}
+            bodyCount={bodyCount}
+            renderCfg={renderCfg}
+            {...look}
+          />
+        )),
+        passes.fieldRoot
+      )}
+      <mesh
+        geometry={passes.quad}
+        material={passes.composite}
+        renderOrder={2}
+        frustumCulled={false}
+        onBeforeRender={onBeforeRender}
+      />
+    </>
+  );
+}
@@ -0,0 +1,163 @@
+/**************************************************************************
+ *  <Obstacle> – declarative collider, placed as a child of <SoftBody>
+ **************************************************************************/
+import * as THREE from 'three'
+import { createContext, useContext, useEffect, useMemo, useRef } from 'react'
+import { obstacleShapeParams, packObstacles, MAX_OBSTACLES } from './obstacles'
+import { createObstacleTexture } from './textures'
+
+export const ObstacleContext = createContext(null)
+
+/* ---------- Default visuals ------------------------------------------- */
+const ObstacleVisual = ({ type, radius, size, cornerRadius = 0, length, thickness = 0.02, color }) => {
+  const geometry = useMemo(() => {
+    if (type === 'circle') return new THREE.CircleGeometry(radius, 48)
+    if (type === 'segment') {
+      const shape = new THREE.Shape()
+      const h = length / 2, r = thickness / 2
+      shape.absarc(h, 0, r, -Math.PI / 2, Math.PI / 2, false)
+      shape.absarc(-h, 0, r, Math.PI / 2, Math.PI * 1.5, false)
+      return new THREE.ShapeGeometry(shape, 12)
+    }
+    const [w, h] = size
+    const r = Math.min(cornerRadius, w / 2, h / 2)
+    const shape = new THREE.Shape()
+    shape.moveTo(-w / 2 + r, -h / 2)
+    shape.lineTo(w / 2 - r, -h / 2)
+    shape.absarc(w / 2 - r, -h / 2 + r, r, -Math.PI / 2, 0, false)
+    shape.lineTo(w / 2, h / 2 - r)
+    shape.absarc(w / 2 - r, h / 2 - r, r, 0, Math.PI / 2, false)
+    shape.lineTo(-w / 2 + r, h / 2)
+    shape.absarc(-w / 2 + r, h / 2 - r, r, Math.PI / 2, Math.PI, false)
+    shape.lineTo(-w / 2, -h / 2 + r)
+    shape.absarc(-w / 2 + r, -h / 2 + r, r, Math.PI, Math.PI * 1.5, false)
+    return new THREE.ShapeGeometry(shape, 12)
+  }, [type, radius, size?.[0], size?.[1], cornerRadius, length, thickness])
+
+  useEffect(() => () => geometry.dispose(), [geometry])
+
+  return (
+    <mesh geometry={geometry}>
+      <meshBasicMaterial color={color} />
+    </mesh>
+  )
+}
+
+/* ---------- Component ------------------------------------------------- */
+/**
+ * A collider (types in obstacles.js) at `position` (sim units), turned by
+ * `rotation`; children replace its default visual. Moving it makes it
+ * kinematic, its velocity taken from how far it moved since the last step.
+ */
+export function Obstacle({ position = [0, 0], rotation = 0, color = '#8a8a8a', children, ...shape }) {
+  const registry = useContext(ObstacleContext)
+  const group = useRef()
+  const props = useRef()
+  props.current = shape
+
+  useEffect(() => {
+    if (!registry) {
+      console.warn('<Obstacle> must be a child of <SoftBody>')
+      return
+    }
+    return registry.register({ object: group, getShape: () => props.current })
+  }, [registry])
+
+  return (
+    <group ref={group} position={[position[0], position[1], 0]} rotation={[0, 0, rotation]}>
+      {children ?? <ObstacleVisual {...shape} color={color} />}
+    </group>
+  )
+}
+
+/* ---------- Registry + per-step packing ------------------------------- */
+const _m = new THREE.Matrix4()
+const _inv = new THREE.Matrix4()
+const _p = new THREE.Vector3()
+const _q = new THREE.Quaternion()
+const _s = new THREE.Vector3()
+const _e = new THREE.Euler()
+
+// Transform of `object` expressed in the simulation-space group
+export const simTransform = (object, simSpace) => {
+  object.updateWorldMatrix(true, false)
+  simSpace.updateWorldMatrix(true, false)
+  _m.multiplyMatrices(_inv.copy(simSpace.matrixWorld).invert(), object.matrixWorld)
+  _m.decompose(_p, _q, _s)
+  return { position: [_p.x, _p.y], angle: _e.setFromQuaternion(_q).z }
+}
+
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a))
+
+/**
+ * Collects obstacles from <Obstacle> children and the `obstacles` prop,
+ * whose plain definitions may add `object`, a THREE.Object3D to follow.
+ * `update(h)` packs them into `texture` for the step of length h and
+ * returns how many there are.
+ */
+export const useObstacles = (obstaclesProp, simSpace) => {
+  const registered = useRef(new Set())
+  const previous = useRef(new Map())
+  const texture = useMemo(() => createObstacleTexture(), [])
+  useEffect(() => () => texture.dispose(), [texture])
+
+  const registry = useMemo(() => ({
+    register(entry) {
+      registered.current.add(entry)
+      return () => {
+        registered.current.delete(entry)
+        previous.current.delete(entry)
+      }
+    },
+  }), [])
+
+  const latestProp = useRef()
+  latestProp.current = obstaclesProp
+  const warned = useRef(false)
+
+  const update = (h) => {
+    const entries = [
+      ...[...registered.current].map(entry => ({
+        key: entry,
+        def: entry.getShape(),
+        object: entry.object.current,
+      })),
+      ...(latestProp.current ?? []).map((def, i) => ({ key: `prop:${i}`, def, object: def.object })),
+    ]
+
+    const seen = new Set()
+    const resolved = entries.flatMap(({ key, def, object }) => {
+      let xf
+      if (object) {
+        if (!simSpace.current) return []
+        xf = simTransform(object, simSpace.current)
+      } else {
+        xf = { position: def.position ?? [0, 0], angle: def.rotation ?? 0 }
+      }
+
+      // Kinematic velocity from the transform change since the last step
+      const prev = previous.current.get(key)
+      previous.current.set(key, xf)
+      seen.add(key)
+      const velocity = prev && h > 0
+        ? [(xf.position[0] - prev.position[0]) / h, (xf.position[1] - prev.position[1]) / h]
+        : [0, 0]
+      const angularVelocity = prev && h > 0 ? wrapAngle(xf.angle - prev.angle) / h : 0
+
+      return [{ shape: obstacleShapeParams(def), ...xf, velocity, angularVelocity }]
+    })
+
+    // Forget prop obstacles that were removed
+    previous.current.forEach((_, key) => { if (!seen.has(key)) previous.current.delete(key) })
+
+    if (resolved.length > MAX_OBSTACLES && !warned.current) {
+      warned.current = true
+      console.warn(`SoftBody: only the first ${MAX_OBSTACLES} of ${resolved.length} obstacles are simulated`)
+    }
+    packObstacles(resolved, texture.image.data)
+    texture.needsUpdate = true
+    return Math.min(resolved.length, MAX_OBSTACLES)
+  }
+
+  return { registry, texture, update }
+}
@@ -0,0 +1,301 @@
+/**************************************************************************
+ *  Rapier coupling – soft bodies and @react-three/rapier rigid bodies
+ **************************************************************************/
+import * as THREE from 'three'
+import { useContext, useEffect, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { useBeforePhysicsStep, useRapier } from '@react-three/rapier'
+import { SoftBodyContext } from './SoftBody'
+import { ObstacleContext } from './Obstacle'
+import { obstacleSdf, obstacleShapeParams } from './obstacles'
+import { BODY_PARAM_TEXELS } from './bodyParams'
+import { dragTerms } from './solver'
+import { readState } from './gpuState'
+import { isCancelled } from './asyncReadback'
+
+const _m = new THREE.Matrix4()
+const _inv = new THREE.Matrix4()
+const _m3 = new THREE.Matrix3()
+const _p = new THREE.Vector3()
+const _q = new THREE.Quaternion()
+const _s = new THREE.Vector3()
+const _v = new THREE.Vector3()
+const _w = new THREE.Vector3()
+const _e = new THREE.Euler()
+const QUARTER_TURN = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI / 2)
+
+/* ---------- Shared position readback ---------------------------------- */
+// One texturePos readback in flight per <SoftBody>, shared by every
+// coupling component; returns the latest { pos, sim } or null
+const usePositions = (ctx) => {
+  useFrame(() => {
+    if (!ctx) return
+    const state = (ctx.positions ??= { pending: false, latest: null })
+    if (state.pending) return
+    const { sim } = ctx.latest.current
+    state.pending = true
+    readState(ctx.reader, sim, sim.posVar, 0, 0, sim.numPoints, sim.bodyCount)
+      .then((pos) => { state.latest = { pos, sim } })
+      .catch((err) => { if (!isCancelled(err)) console.error('SoftBody: coupling readback failed', err) })
+      .finally(() => { state.pending = false })
+  })
+  return () => {
+    const latest = ctx?.positions?.latest
+    // A rebuild changes the layout, wait for a readback of the new one
+    return latest && latest.sim === ctx.latest.current.sim ? latest : null
+  }
+}
+
+/* ---------- Sim space ↔ world ----------------------------------------- */
+// World vector (a velocity) → sim space
+const vectorToSim = (space, v, out) => {
+  _inv.copy(space.matrixWorld).invert()
+  return out.set(v.x, v.y, v.z).applyMatrix3(_m3.setFromMatrix4(_inv))
+}
+
+// Sim-space force (fx, fy) → world vector
+const vectorToWorld = (space, x, y, out) =>
+  out.set(x, y, 0).applyMatrix3(_m3.setFromMatrix4(space.matrixWorld))
+
+/**
+ * A collider as an obstacle definition plus the world transform of its
+ * local frame, or null when it doesn't cross the simulation plane.
+ */
+const sliceCollider = (collider, rapier, space) => {
+  const t = collider.translation(), r = collider.rotation()
+  _inv.copy(space.matrixWorld).invert()
+  const z = _p.set(t.x, t.y, t.z).applyMatrix4(_inv).z
+  const k = 1 / space.matrixWorld.getMaxScaleOnAxis()     // world → sim lengths
+
+  const shape = collider.shape
+  let def, halfDepth, quarterTurn = false
+  switch (shape.type) {
+    case rapier.ShapeType.Ball:
+      halfDepth = shape.radius
+      def = { type: 'circle', radius: Math.sqrt(Math.max(shape.radius ** 2 - (z / k) ** 2, 0)) * k }
+      break
+    case rapier.ShapeType.Cuboid: {
+      const h = shape.halfExtents
+      halfDepth = h.z
+      def = { type: 'box', size: [2 * h.x * k, 2 * h.y * k] }
+      break
+    }
+    case rapier.ShapeType.RoundCuboid: {
+      const h = shape.halfExtents, br = shape.borderRadius
+      halfDepth = h.z + br
+      def = { type: 'box', size: [2 * (h.x + br) * k, 2 * (h.y + br) * k], cornerRadius: br * k }
+      break
+    }
+    case rapier.ShapeType.Capsule:
+      // Along local y, where obstacle segments run along x
+      halfDepth = shape.radius
+      def = { type: 'segment', length: 2 * shape.halfHeight * k, thickness: 2 * shape.radius * k }
+      quarterTurn = true
+      break
+    default:
+      return null
+  }
+  if (Math.abs(z) >= halfDepth * k) return null
+
+  _q.set(r.x, r.y, r.z, r.w)
+  if (quarterTurn) _q.multiply(QUARTER_TURN)
+  return { def, matrix: _m.compose(_p.set(t.x, t.y, t.z), _q, _s.set(1, 1, 1)) }
+}
+
+/* ---------- Soft → rigid contact force -------------------------------- */
+// Force (sim units) the soft vertices push obstacle `o` with this step,
+// and the point it acts at: each vertex whose next position (with its
+// velocity relative to the surface and gravity) ends inside the obstacle
+// needs m · depth / h² to stop there
+const contactForce = (pos, sim, cfg, o) => {
+  const { numPoints: N, bodyCount: B } = sim
+  const params = sim.bodyParamTex.image.data
+  const h = cfg.timeStep
+  const [type, a, b, c] = o.shape
+  const cos = Math.cos(o.angle), sin = Math.sin(o.angle)
+  const sdf = (x, y) => {
+    const dx = x - o.position[0], dy = y - o.position[1]
+    return obstacleSdf(type, a, b, c, cos * dx + sin * dy, -sin * dx + cos * dy)
+  }
+
+  let fx = 0, fy = 0, px = 0, py = 0, total = 0
+  for (let row = 0; row < B; row++) {
+    const mass = Math.max(params[(row * BODY_PARAM_TEXELS + 1) * 4], 1e-4)
+    const gravScale = params[(row * BODY_PARAM_TEXELS + 1) * 4 + 1]
+    for (let i = 0; i < N; i++) {
+      const base = (row * N + i) * 4
+      const x = pos[base], y = pos[base + 1]
+      const rx = x - o.position[0], ry = y - o.position[1]
+      const vx = pos[base + 2] - (o.velocity[0] - o.angularVelocity * ry) + cfg.gravityX * gravScale * h
+      const vy = pos[base + 3] - (o.velocity[1] + o.angularVelocity * rx) + cfg.gravityY * gravScale * h
+      const nx = x + vx * h, ny = y + vy * h
+      const depth = -sdf(nx, ny)
+      if (depth <= 0) continue
+
+      const e = 1e-4
+      const gx = sdf(nx + e, ny) - sdf(nx - e, ny), gy = sdf(nx, ny + e) - sdf(nx, ny - e)
+      const gl = Math.hypot(gx, gy) || 1
+      const f = mass * depth / (h * h)
+      fx -= gx / gl * f
+      fy -= gy / gl * f
+      px += nx * f; py += ny * f; total += f
+    }
+  }
+  return total > 0 ? { force: [fx, fy], point: [px / total, py / total] } : null
+}
+
+/* ---------- Components ------------------------------------------------ */
+/**
+ * Couples every suitable collider of the enclosing <Physics> world with
+ * the enclosing <SoftBody>. `filter(collider)` can leave colliders out.
+ *
+ * Balls, cuboids, round cuboids and capsules crossing the simulation plane
+ * become kinematic obstacles (keep them planar with enabledRotations
+ * {[false, false, true]}). Dynamic bodies are pushed back with `strength`
+ * soft mass units per kg (0 couples one way), from the latest position
+ * readback, so a frame or two late.
+ */
+export function RapierCoupling({ strength = 1, filter }) {
+  const ctx = useContext(SoftBodyContext)
+  const registry = useContext(ObstacleContext)
+  const { world, rapier } = useRapier()
+  const positions = usePositions(ctx)
+
+  // collider handle → { collider, proxy, shape, unregister }
+  const coupled = useRef(new Map())
+  const latest = useRef()
+  latest.current = { strength, filter }
+
+  useEffect(() => {
+    if (!ctx || !registry) console.warn('<RapierCoupling> must be a child of <SoftBody>')
+    return () => {
+      coupled.current.forEach(c => c.unregister())
+      coupled.current.clear()
+    }
+  }, [])
+
+  // Before <SoftBody> steps (children's frame callbacks run first)
+  useFrame(() => {
+    const space = ctx?.space.current
+    if (!space || !registry) return
+    const seen = new Set()
+    world.forEachCollider((collider) => {
+      if (collider.isSensor() || (latest.current.filter && !latest.current.filter(collider))) return
+      const slice = sliceCollider(collider, rapier, space)
+      if (!slice) return
+
+      seen.add(collider.handle)
+      let c = coupled.current.get(collider.handle)
+      if (!c) {
+        const proxy = new THREE.Object3D()
+        proxy.matrixAutoUpdate = false
+        c = { collider, proxy }
+        c.unregister = registry.register({ object: { current: proxy }, getShape: () => c.def })
+        coupled.current.set(collider.handle, c)
+      }
+      c.def = slice.def
+      c.proxy.matrix.copy(slice.matrix)
+    })
+    coupled.current.forEach((c, handle) => {
+      if (seen.has(handle)) return
+      c.unregister()
+      coupled.current.delete(handle)
+    })
+  })
+
+  useBeforePhysicsStep((world) => {
+    const space = ctx?.space.current
+    const latestPos = positions()
+    if (!space || !latestPos || latest.current.strength === 0) return
+    const { cfg } = ctx.latest.current
+
+    coupled.current.forEach((c) => {
+      const body = c.collider.parent()
+      if (!body || !body.isDynamic()) return
+
+      // The collider in sim space, moving with its rigid body
+      _inv.copy(space.matrixWorld).invert()
+      _m.multiplyMatrices(_inv, c.proxy.matrix).decompose(_p, _q, _s)
+      const angle = _e.setFromQuaternion(_q).z
+      _inv.decompose(_w, _q, _s)
+      const lin = vectorToSim(space, body.linvel(), _v)
+      const ang = _w.copy(body.angvel()).applyQuaternion(_q)
+      const o = {
+        shape: obstacleShapeParams(c.def),
+        position: [_p.x, _p.y],
+        angle,
+        velocity: [lin.x, lin.y],
+        angularVelocity: ang.z,
+      }
+
+      const contact = contactForce(latestPos.pos, latestPos.sim, cfg, o)
+      if (!contact) return
+      const h = world.timestep * latest.current.strength
+      const impulse = vectorToWorld(space, contact.force[0] * h, contact.force[1] * h, new THREE.Vector3())
+      const point = space.localToWorld(new THREE.Vector3(contact.point[0], contact.point[1], 0))
+      body.applyImpulseAtPoint(impulse, point, true)
+    })
+  })
+
+  return null
+}
+
+/**
+ * Ties outline vertex `vertex` of soft body `body` (id or row) to the
+ * point `anchor` (rigid-body local, world units) of `rigidBody`, a ref to
+ * a <RigidBody>. The joint holds one of the drag slots while mounted.
+ * `strength` is one-sided, like <RapierCoupling>'s: it scales only the
+ * pull on the rigid body (0 leaves it free), while the soft side always
+ * pulls with Drag Stiffness.
+ */
+export function SoftBodyJoint({ rigidBody, body, vertex = 0, anchor = [0, 0, 0], strength = 1 }) {
+  const ctx = useContext(SoftBodyContext)
+  const positions = usePositions(ctx)
+  const latest = useRef()
+  latest.current = { rigidBody, body, vertex, anchor, strength }
+
+  // Anchor in world and sim space, and the joint's row, for this step
+  const resolve = () => {
+    const { rigidBody, body, vertex, anchor } = latest.current
+    const rb = rigidBody.current
+    const space = ctx?.space.current
+    if (!rb || !space) return null
+    const { sim } = ctx.latest.current
+    const row = typeof body === 'number' ? body : sim.keys.indexOf(String(body))
+    if (row < 0 || row >= sim.bodyCount) return null
+
+    const t = rb.translation(), r = rb.rotation()
+    const world = new THREE.Vector3(...anchor).applyQuaternion(_q.set(r.x, r.y, r.z, r.w)).add(_v.set(t.x, t.y, t.z))
+    const local = space.worldToLocal(world.clone())
+    return { row, s: vertex % sim.numPoints, world, target: [local.x, local.y] }
+  }
+
+  useEffect(() => {
+    if (!ctx) {
+      console.warn('<SoftBodyJoint> must be a child of <SoftBody>')
+      return
+    }
+    return ctx.joints.register({
+      slot() {
+        const j = resolve()
+        return j && [j.row, j.target[0], j.target[1], j.s]
+      },
+    })
+  }, [ctx])
+
+  // The drag spring's total pull is kDrag · N · (target − grabbed); the
+  // rigid body takes the opposite
+  useBeforePhysicsStep((world) => {
+    const j = resolve()
+    const latestPos = positions()
+    if (!j || !latestPos || latest.current.strength === 0) return
+    const { cfg } = ctx.latest.current
+    const { numPoints: N } = latestPos.sim
+    const [gx, gy] = dragTerms(latestPos.pos, N, j.row, j.s).grabbed
+    const k = -cfg.kDrag * N * world.timestep * latest.current.strength
+    const impulse = vectorToWorld(ctx.space.current, (j.target[0] - gx) * k, (j.target[1] - gy) * k, new THREE.Vector3())
+    latest.current.rigidBody.current.applyImpulseAtPoint(impulse, j.world, true)
+  })
+
+  return null
+}
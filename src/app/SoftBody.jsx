@@ -1,30 +1,137 @@
 import * as THREE from 'three'
-import React from 'react';
 import { useFrame, useThree } from '@react-three/fiber'
 import { GPUComputationRenderer } from 'three/examples/jsm/Addons.js'
-import { useMemo, useRef, useState, useEffect } from 'react'
+// The browser build; the package's main entry is for Node and loads files
+import { Common, Simplex } from 'gl-noise/build/glNoise.m.js'
+import { useMemo, useRef, useEffect, useLayoutEffect, useState, forwardRef, createContext } from 'react'
 import { useControls, folder } from 'leva'
-import SoftBodyRender from './SoftBodyRender'
+import SoftBodyRender, { useRenderConfig } from './SoftBodyRender'
+import { RENDER_PROP_KEYS } from './renderLook'
+import GooRender from './GooRender'
+import { shapeSignature } from './shapes'
+import { createInitialState, computeBBoxes, computeShapeMatch, dragTerms, DRAG_SPREAD } from './solver'
+import { pickBody } from './picking'
+import { fillRows, readPositions, readState, stateTexture, writePositions } from './gpuState'
+import { createCpuFallback, supportsFloatTargets } from './cpuFallback'
+import { bodyKey, followVertex, isFreeRow, seedRow } from './topology'
+import { useTopology, useTopologyChanges } from './useTopology'
+import { useSoftBodyApi } from './useSoftBodyApi'
+import { useCollisionEvents } from './useCollisionEvents'
+import { isCancelled, useAsyncReader } from './asyncReadback'
+import { useRecorder } from './useRecorder'
+import {
+  BOUNDARY_GLSL, BOUNDARY_TYPE, normalizeBoundary, createBoundaryUniforms, applyBoundaryUniforms
+} from './boundary'
+import { OBSTACLE_GLSL } from './obstacles'
+import { fieldGlsl } from './forceFields'
+import { INTERIOR_GLSL, interiorSignature, interiorType, placeInterior } from './interior'
+import { ObstacleContext, useObstacles } from './Obstacle'
+import { ForceFieldContext, useForceFields } from './ForceField'
+import { BODY_PARAM_TEXELS, updateBodyParamTexture } from './bodyParams'
+import {
+  createBodyParamTexture, createBoundaryTexture, createPinTexture, createSpringTexture
+} from './textures'
 
 // ---------- Configuration Constants ----------
-const BODY_COUNT = 3;
-
-const BODIES = [
-  { radius: 0.22, center: new THREE.Vector2(-0.4, 0.3), color: '#ff6464' },
-  { radius: 0.18, center: new THREE.Vector2(0.2, 0.1), color: '#62d8ff' },
-  { radius: 0.25, center: new THREE.Vector2(-0.3, -0.2), color: '#98ff62' }
+// Upper bound on fixed steps per frame; time beyond it is dropped so a
+// long hitch (tab switch, breakpoint) can't trigger a catch-up spiral
+const MAX_STEPS_PER_FRAME = 8;
+
+// Distance (sim units) within which two outlines are reported as touching
+const CONTACT_SLOP = 0.005;
+
+// Pointers that can drag at the same time, one drag slot each in the shader
+const MAX_DRAGS = 8;
+
+// How far outside an outline (sim units) a press still grabs its edge
+const PICK_TOLERANCE = 0.03;
+
+// The pick plane reaches this far (sim units) past the container, and is
+// this wide without one
+const PICK_MARGIN = 0.25;
+const PICK_PLANE_SIZE = 20;
+
+// Broadphase: bodies whose boxes are closer than the margin become
+// neighbours; only the MAX_NEIGHBORS nearest of them are collided against.
+// The margin covers how far a body moves while the list is two steps old.
+const MAX_NEIGHBORS = 16;
+const BROADPHASE_MARGIN = 0.05;
+
+// Used when <SoftBody> is mounted without a `bodies` prop.
+// A body definition is { id?, center, color, radius?, shape? } plus optional
+// material overrides (kSpring, kShape, pressureK, damping, kDampSpring, mass,
+// gravityScale, friction, restitution, tearStretch, mergeDelay); omitted ones
+// follow the Leva `Soft Body` folder. interior, rings, holes and anisotropy
+// give it inner structure (see interior.js).
+// Look props (opacity, gradient, map, outlineWidth, …) go to SoftBodyRender.
+export const DEFAULT_BODIES = [
+  { id: 'red', radius: 0.22, center: new THREE.Vector2(-0.4, 0.3), color: '#ff6464' },
+  { id: 'blue', radius: 0.18, center: new THREE.Vector2(0.2, 0.1), color: '#62d8ff' },
+  { id: 'green', radius: 0.25, center: new THREE.Vector2(-0.3, -0.2), color: '#98ff62' }
 ];
 
+// ---------- Shared GLSL ----------
+// Velocity change of a contact with relative velocity rel against a surface
+// with outward normal n: restitution on the normal part, Coulomb friction
+// (at most mu times the normal change) on the tangent part
+const CONTACT_RESPONSE_GLSL = /* glsl */`
+      vec2 contactResponse(vec2 rel, vec2 n, float mu, float e) {
+        float vn = dot(rel, n);
+        if (vn >= 0.0) return vec2(0.0);
+        float dn = -(1.0 + e) * vn;
+        vec2  vt = rel - vn * n;
+        float vtLen = length(vt);
+        float dtan = min(mu * dn, vtLen);
+        return dn * n - (vtLen > 1e-6 ? vt / vtLen * dtan : vec2(0.0));
+      }
+`
+
+// k-th broadphase neighbour of a body, -1 past the end of its list. The
+// neighbour pass packs four per texel; expects uvFromIndex and neighborTex
+const NEIGHBOR_GLSL = /* glsl */`
+      int neighbor(int body, int k) {
+        vec4  t = texture2D(neighborTex, uvFromIndex(body, k / 4));
+        int   c = k - 4 * (k / 4);
+        float n = c == 0 ? t.x : c == 1 ? t.y : c == 2 ? t.z : t.w;
+        return int(n + 0.5) - 1;
+      }
+`
+
+// What children that couple the simulation to something else need: the
+// simulation-space group, the async reader, { sim, cfg } of the latest
+// render and the joint registry (see RapierCoupling.jsx)
+export const SoftBodyContext = createContext(null)
+
 // ---------- Helper Functions ----------
-const generateRestPositions = (radius, pointsPer) =>
-  Array.from({ length: pointsPer }, (_, i) => {
-    const angle = (i / pointsPer) * Math.PI * 2
-    return [radius * Math.cos(angle), radius * Math.sin(angle)]
-  })
+// Sim units → world units when no `units` prop is given: the unit square
+// spans the shorter viewport side
+const simScale = (viewport) => Math.min(viewport.width, viewport.height) * 0.5
+
+// Rectangle of the simulation plane that takes pointer presses: the
+// container plus PICK_MARGIN, or PICK_PLANE_SIZE when there is none
+const pickArea = (boundary) => {
+  if (boundary.type === BOUNDARY_TYPE.none) return { center: [0, 0], size: [PICK_PLANE_SIZE, PICK_PLANE_SIZE] }
+  const [cx, cy] = boundary.center
+  const corners = boundary.type === BOUNDARY_TYPE.polygon ? boundary.vertices
+    : boundary.type === BOUNDARY_TYPE.circle ? [[cx - boundary.radius, cy - boundary.radius], [cx + boundary.radius, cy + boundary.radius]]
+    : [[cx - boundary.halfSize[0], cy - boundary.halfSize[1]], [cx + boundary.halfSize[0], cy + boundary.halfSize[1]]]
+  const xs = corners.map(v => v[0]), ys = corners.map(v => v[1])
+  const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)]
+  return {
+    center: [(x0 + x1) / 2, (y0 + y1) / 2],
+    size: [x1 - x0 + 2 * PICK_MARGIN, y1 - y0 + 2 * PICK_MARGIN],
+  }
+}
+
+// The render props a body definition sets
+const lookProps = (body) => Object.fromEntries(
+  RENDER_PROP_KEYS.filter(key => body[key] !== undefined).map(key => [key, body[key]])
+)
 
 // ---------- Custom Hook: Soft Body Configuration ----------
+// Returns [values, set]; set() is how a replay applies its recorded config
 const useSoftBodyConfig = () => {
-  return useControls({
+  return useControls(() => ({
     'Soft Body': folder({
       debugPoints: { value: false },
       debugAABBs: { value: false },
@@ -34,83 +141,200 @@ const useSoftBodyConfig = () => {
       damping: { value: 0.5, min: 0, max: 10, step: 0.1 },
       wallK: { value: 300, min: 0, max: 500, step: 10 },
       wallDamp: { value: 5, min: 0, max: 20, step: 0.5 },
+      gravityX: { value: 0, min: -20, max: 20, step: 0.5 },
       gravityY: { value: -5, min: -20, max: 0, step: 0.5 },
       numPoints: { value: 32, min: 16, max: 256, step: 8 },
       wallDistance: { value: 0.9, min: 0, max: 1, step: 0.1, label: 'Wall Distance' },
       pushStrength: { value: 10, min: 0, max: 100, step: 1 },
+      kDrag: { value: 200, min: 0, max: 1000, step: 10, label: 'Drag Stiffness' },
       kDampSpring: { value: 1.0, min: 0.0, max: 10.0, step: 0.1 },
+      friction: { value: 0.3, min: 0, max: 1, step: 0.05 },
+      restitution: { value: 0.1, min: 0, max: 1, step: 0.05 },
+      timeStep: { value: 1 / 60, min: 1 / 240, max: 1 / 30, step: 1 / 480, label: 'Time Step' },
+      substeps: { value: 4, min: 1, max: 16, step: 1 },
+      // 0 = off, see useTopology.js
+      tearStretch: { value: 0, min: 0, max: 5, step: 0.1, label: 'Tear Stretch' },
+      mergeDelay: { value: 0, min: 0, max: 3, step: 0.1, label: 'Merge Delay' },
     })
+  }))
+}
+
+// ---------- Helper: Read Back Previous Simulation ----------
+// { key -> Float32Array row of `data` } for the bodies of a layout
+const rowsByKey = (keys, data, numPoints) => {
+  const rows = new Map()
+  keys.forEach((key, row) => {
+    if (key !== null) rows.set(key, data.slice(row * numPoints * 4, (row + 1) * numPoints * 4))
   })
+  return rows
+}
+
+// Returns { key -> Float32Array row of texturePos } for the bodies of a
+// previous GPU instance, so they survive a rebuild of the textures
+const readPreviousRows = (gl, prev, numPoints) => {
+  if (!prev || prev.numPoints !== numPoints) return new Map()
+  return rowsByKey(prev.keys, readPositions(gl, prev), numPoints)
+}
+
+// What a row's textures are built from; rows whose signature changes are
+// rewritten in place
+const rowSignature = (body, row) =>
+  isFreeRow(body) ? '' : `${bodyKey(body, row)}:${body.radius}:${shapeSignature(body)}:${interiorSignature(body)}`
+
+// ---------- Helper: Rewrite Rows In Place ----------
+// Puts new bodies into the rows whose signature changed – the pieces of a
+// tear or merge taking free rows, a body changing shape – without
+// rebuilding the passes. Like a rebuild, bodies that existed keep their
+// positions, velocities and pins, new ones start from their `source` or
+// at rest, and interior vertices go back on their goals. Reads the
+// positions back synchronously, so it runs once per change, from an effect.
+const rewriteRows = (gl, sim, bodies, cfg, signatures) => {
+  const { numPoints } = sim
+  const rowSize = numPoints * 4
+  const keys = bodies.map(bodyKey)
+  const initial = createInitialState(bodies, numPoints)
+  const before = readPositions(gl, sim)
+  const previousRows = rowsByKey(sim.keys, before, numPoints)
+  const pins = Float32Array.from(sim.pinTex.image.data)
+
+  const pos = Float32Array.from(before)
+  signatures.forEach((signature, row) => {
+    if (signature === sim.signatures[row]) return
+    const at = row * rowSize
+    const key = keys[row]
+    const old = key === null ? -1 : sim.keys.indexOf(key)
+    const kept = old >= 0 ? before.subarray(old * rowSize, (old + 1) * rowSize) : seedRow(bodies[row].source, previousRows, numPoints)
+    pos.set(kept ?? initial.pos.subarray(at, at + rowSize), at)
+    sim.restTex.image.data.set(initial.rest.subarray(at, at + rowSize), at)
+    sim.pinTex.image.data.set(old >= 0 ? pins.subarray(old * rowSize, (old + 1) * rowSize) : new Float32Array(rowSize), at)
+  })
+  sim.restTex.needsUpdate = sim.pinTex.needsUpdate = true
+  sim.edits.pins = sim.edits.rest = true
+
+  if (sim.interiorVar) {
+    sim.interiorRestTex.image.data.set(initial.interiorRest)
+    sim.interiorRestTex.needsUpdate = true
+    sim.springTex.image.data.set(initial.springs)
+    sim.springTex.needsUpdate = true
+  }
+
+  // The boxes of free rows come out empty only once their flags are in
+  updateBodyParamTexture(sim.bodyParamTex, bodies, cfg)
+  writePositions(sim, pos, sim.restTex.image.data)
+  // New arrays, so readbacks started before this still decode with the
+  // keys they were taken with
+  Object.assign(sim, { keys, signatures, initial })
+}
+
+// Frees the render targets, passes and data textures of a simulation
+const disposeSim = (sim) => {
+  sim.gpu.dispose()
+  sim.bodyParamTex.dispose()
+  sim.pinTex.dispose()
+  sim.restTex.dispose()
+  sim.interiorRestTex?.dispose()
+  sim.springTex?.dispose()
+  sim.pairs?.material.dispose()
+  sim.pairs?.target.dispose()
+  sim.cpu?.dispose()
 }
 
 // ---------- Custom Hook: GPU Computation Renderer ----------
-const useGPUComputation = (cfg) => {
+// `fields` (useForceFields) brings the custom force field GLSL snippets to
+// compile in and their uniforms
+const useGPUComputation = (cfg, bodies, fields) => {
+  const fieldSnippets = fields.snippets
   const { gl } = useThree()
+  const prevRef = useRef(null)
+
+  // Rebuild only when the row count changes or the interior pass comes or
+  // goes; bodies changing within the rows are rewritten in place below,
+  // and colors or centers of existing bodies need neither
+  const hasInterior = bodies.some(body => interiorType(body))
+  const layoutKey = `${bodies.length}:${hasInterior}`
+  const signatures = bodies.map(rowSignature)
+
+  const sim = useMemo(() => {
+    const BODY_COUNT = bodies.length
+    // Four neighbours per texel, so the list can't be wider than that row
+    const maxNeighbors = Math.min(MAX_NEIGHBORS, cfg.numPoints * 4)
+    const keys = bodies.map(bodyKey)
+    const previousRows = readPreviousRows(gl, prevRef.current, cfg.numPoints)
 
-  return useMemo(() => {
     // Create GPU computation renderer for multiple bodies
     const gpu = new GPUComputationRenderer(cfg.numPoints, BODY_COUNT, gl)
     const tex = gpu.createTexture()
     const restTex = gpu.createTexture()
     const shapeTex = gpu.createTexture()
     const bboxTex = gpu.createTexture()
+    const contactTex = gpu.createTexture()
+    const neighborTex = gpu.createTexture()
+    const bodyParamTex = createBodyParamTexture(bodies, cfg)
+    const pinTex = createPinTexture(cfg.numPoints, BODY_COUNT)
+
+    // Initialize textures with rest positions for all bodies
+    // (same arrays the CPU reference solver starts from)
+    const initial = createInitialState(bodies, cfg.numPoints)
+    tex.image.data.set(initial.pos)
+    restTex.image.data.set(initial.rest)   // live rest shapes; a restored snapshot may replace them
+
+    // Bodies that already existed keep their positions and velocities
+    keys.forEach((key, row) => {
+      const kept = previousRows.get(key)
+      if (kept) tex.image.data.set(kept, row * cfg.numPoints * 4)
+    })
 
-    // Initialize texture with rest positions for all bodies
-    const restPositionsList = []
-    for (let row = 0; row < BODY_COUNT; row++) {
-      const restPos = generateRestPositions(BODIES[row].radius, cfg.numPoints)
-      restPositionsList.push(restPos)
-
-      const c = BODIES[row].center
-
-      // Set texture data for this row
-      for (let i = 0; i < cfg.numPoints; i++) {
-        const [x, y] = restPos[i]
-        // Set initial position to rest position offset by the body's center
-        tex.image.data.set(
-          [x + c.x, y + c.y, 0, 0],
-          (row * cfg.numPoints + i) * 4
-        )
-        restTex.image.data.set([x, y, 0, 0], (row * cfg.numPoints + i) * 4)
-
-        const base = (row * cfg.numPoints + i) * 4;
-        shapeTex.image.data[base + 0] = c.x;  // center.x
-        shapeTex.image.data[base + 1] = c.y;  // center.y
-        shapeTex.image.data[base + 2] = 1.0;  // cosθ = 1
-        shapeTex.image.data[base + 3] = 0.0;  // sinθ = 0
-
-        bboxTex.image.data[base + 0] = 0.0;  // min.x
-        bboxTex.image.data[base + 1] = 0.0;  // min.y
-        bboxTex.image.data[base + 2] = 0.0;  // max.x
-        bboxTex.image.data[base + 3] = 0.0;  // max.y
-      }
+    // ...and their pins, as long as the vertex indices still mean the same
+    const prev = prevRef.current
+    if (prev && prev.numPoints === cfg.numPoints) {
+      const rowSize = cfg.numPoints * 4
+      keys.forEach((key, row) => {
+        const old = prev.keys.indexOf(key)
+        if (old >= 0) pinTex.image.data.set(prev.pinTex.image.data.subarray(old * rowSize, (old + 1) * rowSize), row * rowSize)
+      })
     }
 
-    // Store rest positions for shape matching
-    window.restList = restPositionsList
+    // Bodies just torn off or fused start from the outlines they came from
+    keys.forEach((key, row) => {
+      const seed = previousRows.has(key) ? null : seedRow(bodies[row].source, previousRows, cfg.numPoints)
+      if (seed) tex.image.data.set(seed, row * cfg.numPoints * 4)
+    })
+
+    // Shape matching and boxes of where the bodies are, not of their rest
+    // poses, or the first step would pull kept bodies back
+    const shape = computeShapeMatch(tex.image.data, restTex.image.data, cfg.numPoints, BODY_COUNT)
+    shapeTex.image.data.set(fillRows(shape, cfg.numPoints, BODY_COUNT))
+    const bbox = computeBBoxes(tex.image.data, bodyParamTex.image.data, cfg.numPoints, BODY_COUNT)
+    bboxTex.image.data.set(fillRows(bbox, cfg.numPoints, BODY_COUNT))
+
+    // Interior vertices (see interior.js) start on their goals around those
+    // outlines; only built when some body has them
+    let interiorTex = null, interiorRestTex = null, springTex = null
+    if (hasInterior) {
+      interiorRestTex = gpu.createTexture()
+      interiorRestTex.image.data.set(initial.interiorRest)
+      interiorTex = gpu.createTexture()
+      interiorTex.image.data.set(placeInterior(initial.interiorRest, shape, tex.image.data, cfg.numPoints, BODY_COUNT))
+      springTex = createSpringTexture(initial.springs, cfg.numPoints, BODY_COUNT)
+    }
 
     // Compute shader source
     const shader = /* glsl */`
       uniform float  dt;
-      uniform float  kSpring, damping;
-      uniform float  kDampSpring;
-      uniform float  kPressure;
       uniform vec2   gravity;
       uniform float  wallK, wallDamp;
-      uniform float  wallDistance;
-      uniform float  kShape;
-      uniform int   dragBody;
-
-      uniform vec2  dragPos;     // drag position
-      uniform float kDrag;       // drag stiffness
+      uniform int   dragBodies[${MAX_DRAGS}];  // body per drag slot, -1 = free
+      uniform vec4  drags[${MAX_DRAGS}];       // (target x, y, outline position s, -)
+      uniform float kDrag;                    // drag stiffness
 
       uniform sampler2D restTex;
+      uniform sampler2D pinTex;         // (x, y, pinned, -) per vertex
+      uniform sampler2D bodyParamTex;   // ${BODY_PARAM_TEXELS} texels per body row, see bodyParams.js
 
       const int   I_N = ${cfg.numPoints};
       const int   B_N = ${BODY_COUNT};
       const float F_N = float(${cfg.numPoints});
-      
-      uniform float radiusArr[B_N];
+      const int   K_N = ${maxNeighbors};
 
       vec2 uvFromIndex(int body, int idx) {
         float u = (float(idx)  + 0.5) / float(I_N);
@@ -122,52 +346,87 @@ const useGPUComputation = (cfg) => {
         return texture2D(texturePos, uvFromIndex(body, idx));
       }
 
-      const float PI = 3.14159265358979323846;
+      // Per-body passes (shape matching, bbox) reduce into the row's first texel
+      vec4 bodyTexel(sampler2D tex, int body) {
+        return texture2D(tex, uvFromIndex(body, 0));
+      }
+
+      ${NEIGHBOR_GLSL}
+
+      bool isDragged(int body) {
+        for (int d = 0; d < ${MAX_DRAGS}; ++d) {
+          if (dragBodies[d] == body) return true;
+        }
+        return false;
+      }
+
+      // Pull of one drag on vertex idx. The grabbed point sits at outline
+      // position s (edge index + fraction) and is the average of the vertices
+      // around it, Gaussian along the outline; it is pulled towards the
+      // target through the same weights, normalised to average 1 over the body.
+      vec2 dragForce(int body, int idx, float s, vec2 target) {
+        float sigma = max(1.0, F_N * ${DRAG_SPREAD.toFixed(6)});
+        float twoSigma2 = 2.0 * sigma * sigma;
+
+        float sum = 0.0, mine = 0.0;
+        vec2  grabbed = vec2(0.0);
+        for (int i = 0; i < I_N; ++i) {
+          float d = abs(float(i) - s);
+          d = min(d, F_N - d);
+          float w = exp(-d * d / twoSigma2);
+          sum += w;
+          grabbed += w * getPos(body, i).xy;
+          if (i == idx) mine = w;
+        }
+        sum = max(sum, 1e-8);
+        return kDrag * (target - grabbed / sum) * mine * F_N / sum;
+      }
 
-      float restLen(int body) {
-        return (2.0 * PI * radiusArr[body]) / float(I_N);
+      vec4 bodyParam(int body, int texel) {
+        return texture2D(bodyParamTex, vec2(
+          (float(texel) + 0.5) / float(${BODY_PARAM_TEXELS}),
+          (float(body)  + 0.5) / float(B_N)
+        ));
+      }
+
+      // Rest length of the edge starting at vertex idx (idx → idx+1)
+      float restLen(int body, int idx) {
+        return texture2D(restTex, uvFromIndex(body, idx)).z;
       }
 
       float areaRest(int body) {
-        return PI * radiusArr[body] * radiusArr[body];
+        return texture2D(restTex, uvFromIndex(body, 0)).w;
       }
 
-      vec2 wallForce(vec2 pos, vec2 vel) {
-        vec2 f = vec2(0.);
-        
-        // Right wall
-        if (pos.x > wallDistance) {
-          float p = pos.x - wallDistance;
-          vec2  n = vec2(1.,0.);
-          f += -wallK * p * n - wallDamp * dot(vel,n) * n;
-        }
-        // Left wall
-        else if (pos.x < -wallDistance) {
-          float p = -wallDistance - pos.x;
-          vec2  n = vec2(-1.,0.);
-          f += -wallK * p * n - wallDamp * dot(vel,n) * n;
-        }
-        // Top wall
-        if (pos.y > wallDistance) {
-          float p = pos.y - wallDistance;
-          vec2  n = vec2(0.,1.);
-          f += -wallK * p * n - wallDamp * dot(vel,n) * n;
-        }
-        // Bottom wall
-        else if (pos.y < -wallDistance) {
-          float p = -wallDistance - pos.y;
-          vec2  n = vec2(0.,-1.);
-          f += -wallK * p * n - wallDamp * dot(vel,n) * n;
-        }
-        return f;
+      // Container walls: wallForce(pos, vel), see boundary.js
+      ${BOUNDARY_GLSL}
+
+      // contactResponse(rel, n, mu, e)
+      ${CONTACT_RESPONSE_GLSL}
+
+      // Outward normal of the edge a → b (outlines are counter-clockwise)
+      vec2 edgeNormal(vec2 a, vec2 b) {
+        vec2 ab = b - a;
+        float l = length(ab);
+        return l > 1e-9 ? vec2(ab.y, -ab.x) / l : vec2(0.0);
       }
 
+      // Static / kinematic colliders: collideObstacles(pos, vel, mu, e), see obstacles.js
+      ${OBSTACLE_GLSL}
+
+      // Attractors, wind, vortices, …: fieldForce(pos, vel, body), see forceFields.js
+      ${Common}
+      ${Simplex}
+      ${fieldGlsl(fieldSnippets)}
+
+      ${hasInterior ? INTERIOR_GLSL : ''}
+
       // Main update function
       void main() {
         int idx = int(gl_FragCoord.x);
         int body = int(gl_FragCoord.y);
 
-        vec4 sm   = texture2D(shapeMatchTex, vec2(0.5, (float(body)+0.5)/float(B_N)));
+        vec4 sm   = bodyTexel(shapeMatchTex, body);
         vec2 trans = sm.xy;
         vec2 rot   = sm.zw; 
 
@@ -176,6 +435,24 @@ const useGPUComputation = (cfg) => {
         vec2 vel = p.zw;
         vec2 f = vec2(0.);
 
+        // Per-body material: (kSpring, kShape, kPressure, damping),
+        // (mass, gravityScale, kDampSpring, friction), (restitution, active, -, -)
+        vec4  mat0 = bodyParam(body, 0);
+        vec4  mat1 = bodyParam(body, 1);
+        vec4  mat2 = bodyParam(body, 2);
+        float kSpring     = mat0.x;
+        float kShape      = mat0.y;
+        float kPressure   = mat0.z;
+        float damping     = mat0.w;
+        float mass        = max(mat1.x, 1e-4);
+        float gravScale   = mat1.y;
+        float kDampSpring = mat1.z;
+        float friction    = mat1.w;
+        float restitution = mat2.x;
+
+        // Free rows hold still until a body takes them
+        if (mat2.y < 0.5) { gl_FragColor = p; return; }
+
         // Spring forces with neighbors (structural)
         for (int off = -1; off <= 1; off += 2) {
           int nIdx = (idx + off + I_N) % I_N;
@@ -194,10 +471,11 @@ const useGPUComputation = (cfg) => {
           float d  = length(ab);
           vec2 dir = d > 1e-6 ? ab / d : vec2(0.0);
         
-          float Fs = kSpring * (d - restLen(body));     // restLen(body) 已有
+          int   eIdx = off > 0 ? idx : nIdx;            // 邊的起點
+          float Fs = kSpring * (d - restLen(body, eIdx));
         
           float vRel = dot(dir, vb - va);               // 只取在彈簧方向上的相對速度
-          float Fd   = kDampSpring * vRel;              // ← 新 uniform
+          float Fd   = kDampSpring * vRel;
         
           // 合力
           vec2 Fspring = (Fs + Fd) * dir;
@@ -205,6 +483,9 @@ const useGPUComputation = (cfg) => {
         }
 
 
+        ${hasInterior ? `// Springs to the interior
+        f += meshSprings(body, 0, idx, pos, vel, kSpring, kDampSpring);` : ''}
+
         // Internal pressure (2D gas model)
         float area = 0.;
         for (int i = 0; i < I_N; ++i) {
@@ -220,9 +501,11 @@ const useGPUComputation = (cfg) => {
         vec2  nrm = normalize(vec2(edge.y, -edge.x) + 1e-4);
         f += press * nrm / F_N;
 
-        // Gravity and wall forces
-        if (body != dragBody) {
-          f += gravity;
+        // Gravity, force fields and wall forces
+        // (gravity and fields are accelerations, so they are scaled by mass here and divided out below)
+        if (!isDragged(body)) {
+          f += gravity * gravScale * mass;
+          f += fieldForce(pos, vel, body) * mass;
         }
 
 
@@ -236,23 +519,56 @@ const useGPUComputation = (cfg) => {
         ) + trans;
         f += kShape * (goal - pos);
 
-        // Drag force
-        if (body == dragBody) {
-          f += kDrag * (dragPos - trans);
+        // Drag forces: every pointer pulls the part of the outline it grabbed
+        for (int d = 0; d < ${MAX_DRAGS}; ++d) {
+          if (dragBodies[d] == body) f += dragForce(body, idx, drags[d].z, drags[d].xy);
         }
 
         // Semi-implicit Euler integration
-        vel += f * dt;
+        vel += f / mass * dt;
         vel *= exp(-damping * dt);
 
+        // --- reaction to other bodies' vertices pressing on my two edges ---
+        // Mirrors what those vertices get below: the impulse is shared by
+        // mass, and the edge's half of it lands on each of its end vertices.
+        // Reads the contact pass of the previous step.
+        {
+          int  prevIdx = (idx + I_N - 1) % I_N;
+          vec2 nPrev = edgeNormal(getPos(body, prevIdx).xy, pos);
+          vec2 nNext = edgeNormal(pos, getPos(body, (idx + 1) % I_N).xy);
+
+          for (int k = 0; k < K_N; ++k) {
+            int otherBody = neighbor(body, k);
+            if (otherBody < 0) break;
+
+            vec4  om1 = bodyParam(otherBody, 1);
+            float otherMass = max(om1.x, 1e-4);
+            float mu = sqrt(friction * om1.w);
+            float e  = max(restitution, bodyParam(otherBody, 2).x);
+
+            for (int j = 0; j < I_N; ++j) {
+              vec4 c = texture2D(contactTex, uvFromIndex(otherBody, j));
+              if (c.x < 0.5) continue;
+              int code = int(c.x + 0.5) - 1;
+              if (code / I_N != body) continue;
+              int edgeIdx = code - body * I_N;
+              if (edgeIdx != idx && edgeIdx != prevIdx) continue;
+
+              vec2 n = edgeIdx == idx ? nNext : nPrev;
+              vel -= 0.5 * contactResponse(c.zw, n, mu, e) * otherMass / (mass + otherMass);
+            }
+          }
+        }
+
         // --- temporarily update pos to predict ---
         vec2 nextPos = pos + vel * dt;
 
         // --- collision check and correction ---
-        for (int otherBody = 0; otherBody < B_N; ++otherBody) {
-          if (otherBody == body) continue;
+        for (int k = 0; k < K_N; ++k) {
+          int otherBody = neighbor(body, k);
+          if (otherBody < 0) break;
 
-          vec4 bbox = texture2D(bboxTex, vec2(0.5, (float(otherBody)+0.5)/float(B_N)));
+          vec4 bbox = bodyTexel(bboxTex, otherBody);
           vec2 minP = bbox.xy, maxP = bbox.zw;
 
           if (nextPos.x < minP.x || nextPos.x > maxP.x || nextPos.y < minP.y || nextPos.y > maxP.y) continue;
@@ -269,12 +585,21 @@ const useGPUComputation = (cfg) => {
           }
 
           if (count % 2 == 1) {
+            // Heavier bodies give way less: equal masses project fully,
+            // a vertex hitting a much heavier body is pushed all the way out
+            vec4  om1 = bodyParam(otherBody, 1);
+            float otherMass = max(om1.x, 1e-4);
+            float w = clamp(2.0 * otherMass / (mass + otherMass), 0.0, 1.0);
+
             float minDist = 1e6;
             vec2 newPos = nextPos;
+            vec2 edgeVel = vec2(0.0);
+            vec2 n = vec2(0.0);
 
             for (int i = 0; i < I_N; ++i) {
-              vec2 a = getPos(otherBody, i).xy;
-              vec2 b = getPos(otherBody, (i+1)%I_N).xy;
+              vec4 A = getPos(otherBody, i);
+              vec4 B = getPos(otherBody, (i+1)%I_N);
+              vec2 a = A.xy, b = B.xy;
               vec2 ab = b - a;
               vec2 ap = nextPos - a;
 
@@ -284,14 +609,31 @@ const useGPUComputation = (cfg) => {
               if (d < minDist) {
                 minDist = d;
                 newPos = proj;
+                edgeVel = mix(A.zw, B.zw, t);
+                n = edgeNormal(a, b);
               }
             }
 
-            nextPos = mix(nextPos, newPos, 1.0);
-            vel = vec2(0.0); 
+            nextPos = mix(nextPos, newPos, w);
+
+            // Bounce and friction against the other surface; this vertex takes
+            // its mass share of the change, the other body the rest (see above)
+            float mu = sqrt(friction * om1.w);
+            float e  = max(restitution, bodyParam(otherBody, 2).x);
+            vel += contactResponse(vel - edgeVel, n, mu, e) * otherMass / (mass + otherMass);
           }
         }
 
+        // --- obstacles ---
+        collideObstacles(nextPos, vel, friction, restitution);
+
+        // --- pinned vertices stay where they were pinned ---
+        vec4 pin = texture2D(pinTex, uvFromIndex(body, idx));
+        if (pin.z > 0.5) {
+          nextPos = pin.xy;
+          vel = vec2(0.0);
+        }
+
         // --- final position update ---
         pos = nextPos;
 
@@ -312,25 +654,25 @@ const useGPUComputation = (cfg) => {
       void main() { 
         int idx = int(gl_FragCoord.x);
         int body = int(gl_FragCoord.y);
-        vec2 C = vec2(0.0);
-        float A = 0.0, B = 0.0;
 
-        // Calculate centroid
-        for (int i = 0; i < I_N; ++i) {
-          vec2 p = texture2D(texturePos, uvFromIndex(body, i)).xy;
-          C += p;
-        }
-        C /= float(I_N);
+        // One texel per row does the O(N) reduction, the rest skip it
+        if (idx != 0) { gl_FragColor = vec4(0.0); return; }
 
-        // Calculate covariance (A, B)
+        // Centroid and covariance (A, B) in one walk: the sums over p - C
+        // are the sums over p less C against the summed rest offsets
+        vec2 C = vec2(0.0), Q = vec2(0.0);
+        float A = 0.0, B = 0.0;
         for (int i = 0; i < I_N; ++i) {
-          vec2 p = texture2D(texturePos, uvFromIndex(body, i)).xy - C;
+          vec2 p = texture2D(texturePos, uvFromIndex(body, i)).xy;
           vec2 q = texture2D(restTex,    uvFromIndex(body, i)).xy;
-        
-          // ----- Correct direction -----
+          C += p;
+          Q += q;
           A += p.x * q.x + p.y * q.y;        // dot
           B += p.y * q.x - p.x * q.y;        // cross ★
         }
+        C /= float(I_N);
+        A -= C.x * Q.x + C.y * Q.y;
+        B -= C.y * Q.x - C.x * Q.y;
         float len  = max(length(vec2(A, B)), 1e-6);
         float cosT =  A / len;
         float sinT =  B / len;
@@ -339,6 +681,8 @@ const useGPUComputation = (cfg) => {
     `;
 
     const bboxShader = /* glsl */`
+    uniform sampler2D bodyParamTex;
+
     const int I_N = ${cfg.numPoints};
     const int B_N = ${BODY_COUNT};
   
@@ -350,7 +694,15 @@ const useGPUComputation = (cfg) => {
   
     
     void main() {
+      int idx = int(gl_FragCoord.x);
       int body = int(gl_FragCoord.y);
+
+      // Reduced into the row's first texel like the shape pass
+      if (idx != 0) { gl_FragColor = vec4(0.0); return; }
+
+      // Free rows get an empty box, which overlaps nothing
+      float active = texture2D(bodyParamTex, vec2(2.5 / float(${BODY_PARAM_TEXELS}), (float(body) + 0.5) / float(B_N))).y;
+      if (active < 0.5) { gl_FragColor = vec4(1e6, 1e6, -1e6, -1e6); return; }
   
       vec2 minP = vec2(1e6), maxP = vec2(-1e6);
   
@@ -360,301 +712,818 @@ const useGPUComputation = (cfg) => {
         maxP = max(maxP, p);
       }
   
-      // 寫入該 body 的整行
       gl_FragColor = vec4(minP, maxP);
     }
     `;
 
+    // Broadphase: the K_N bodies nearest this one (by box centre) whose boxes
+    // overlap its box grown by the margin, nearest first, as body + 1 (0 =
+    // none), four per texel. Fragment passes can't scatter into a grid, so
+    // the first K_T texels of a row each gather over the box column into a
+    // sorted list and keep their four – one texel read per pair, against
+    // O(N) per pair in the narrow phase.
+    const neighborShader = /* glsl */`
+    uniform float margin;
+
+    const int I_N = ${cfg.numPoints};
+    const int B_N = ${BODY_COUNT};
+    const int K_N = ${maxNeighbors};
+    const int K_T = ${Math.ceil(maxNeighbors / 4)};
+
+    vec4 bodyBox(int body) {
+      return texture2D(bboxTex, vec2(0.5 / float(I_N), (float(body) + 0.5) / float(B_N)));
+    }
+
+    void main() {
+      int texel = int(gl_FragCoord.x);
+      int body = int(gl_FragCoord.y);
+      if (texel >= K_T) { gl_FragColor = vec4(0.0); return; }
+
+      vec4 own = bodyBox(body);
+      vec4 box = own + vec4(-margin, -margin, margin, margin);
+      vec2 center = 0.5 * (own.xy + own.zw);
+
+      // Squared centre distance and body + 1 per slot; on equal distance
+      // the lower index stays first
+      float dist[K_N];
+      float ids[K_N];
+      for (int k = 0; k < K_N; ++k) { dist[k] = 1e20; ids[k] = 0.0; }
+
+      for (int other = 0; other < B_N; ++other) {
+        if (other == body) continue;
+        vec4 o = bodyBox(other);
+        if (o.x > box.z || o.z < box.x || o.y > box.w || o.w < box.y) continue;
+        vec2  d   = 0.5 * (o.xy + o.zw) - center;
+        float key = dot(d, d);
+        if (key >= dist[K_N - 1]) continue;
+
+        // Insertion: the entry displaced from each slot moves on down
+        float id = float(other + 1);
+        for (int k = 0; k < K_N; ++k) {
+          if (key < dist[k]) {
+            float t = dist[k]; dist[k] = key; key = t;
+            t = ids[k]; ids[k] = id; id = t;
+          }
+        }
+      }
+
+      vec4 slots = vec4(0.0);
+      for (int k = 0; k < K_N; ++k) {
+        int c = k - 4 * texel;
+        if (c == 0) slots.x = ids[k];
+        else if (c == 1) slots.y = ids[k];
+        else if (c == 2) slots.z = ids[k];
+        else if (c == 3) slots.w = ids[k];
+      }
+      gl_FragColor = slots;
+    }
+    `;
+
+
+    // Per-vertex contact: (otherBody * I_N + edge + 1 or 0 for none, penetration
+    // depth, velocity relative to that edge). The position pass reads it back
+    // for the reaction on the touched edge, collision events for the pairs.
+    const contactShader = /* glsl */`
+    uniform float contactSlop;   // vertices this close to a surface count as touching
+
+    const int I_N = ${cfg.numPoints};
+    const int B_N = ${BODY_COUNT};
+    const int K_N = ${maxNeighbors};
+
+    vec2 uvFromIndex(int body, int idx) {
+      float u = (float(idx)  + 0.5) / float(I_N);
+      float v = (float(body) + 0.5) / float(B_N);
+      return vec2(u, v);
+    }
+
+    ${NEIGHBOR_GLSL}
+
+    void main() {
+      int idx = int(gl_FragCoord.x);
+      int body = int(gl_FragCoord.y);
+      vec4 p = texture2D(texturePos, uvFromIndex(body, idx));
+      vec2 pos = p.xy, vel = p.zw;
+
+      float bestDepth = -1e6;
+      int   bestBody  = -1;
+      int   bestEdge  = 0;
+      vec2  bestRel   = vec2(0.0);
+
+      for (int k = 0; k < K_N; ++k) {
+        int otherBody = neighbor(body, k);
+        if (otherBody < 0) break;
+
+        vec4 bbox = texture2D(bboxTex, uvFromIndex(otherBody, 0));
+        vec2 minP = bbox.xy - contactSlop, maxP = bbox.zw + contactSlop;
+        if (pos.x < minP.x || pos.x > maxP.x || pos.y < minP.y || pos.y > maxP.y) continue;
+
+        int count = 0;
+        float minDist = 1e6;
+        int edge = 0;
+        vec2 edgeVel = vec2(0.0);
+        for (int i = 0; i < I_N; ++i) {
+          vec4 A = texture2D(texturePos, uvFromIndex(otherBody, i));
+          vec4 B = texture2D(texturePos, uvFromIndex(otherBody, (i+1)%I_N));
+          vec2 a = A.xy, b = B.xy;
+          if ((a.y > pos.y) != (b.y > pos.y)) {
+            float t = (pos.y - a.y) / (b.y - a.y);
+            if (pos.x < mix(a.x, b.x, t)) count++;
+          }
+
+          vec2 ab = b - a;
+          float t = clamp(dot(pos - a, ab) / (dot(ab, ab) + 1e-6), 0.0, 1.0);
+          float d = length(pos - (a + t * ab));
+          if (d < minDist) {
+            minDist = d;
+            edge = i;
+            edgeVel = mix(A.zw, B.zw, t);
+          }
+        }
+
+        // Signed distance to the other outline, positive inside
+        float depth = (count % 2 == 1) ? minDist : -minDist;
+        if (depth > -contactSlop && depth > bestDepth) {
+          bestDepth = depth;
+          bestBody  = otherBody;
+          bestEdge  = edge;
+          bestRel   = vel - edgeVel;
+        }
+      }
+
+      gl_FragColor = bestBody < 0
+        ? vec4(0.0)
+        : vec4(float(bestBody * I_N + bestEdge + 1), max(bestDepth, 0.0), bestRel);
+    }
+    `;
+
+    // Collision events: texels 2k and 2k + 1 of a row sum the contact
+    // between the body and its k-th neighbour over the vertices of both –
+    // (Σ point, Σ relative velocity) and (other + 1, max depth, vertex
+    // count) – seen from the lower row. Rendered on demand, outside the
+    // step, so only this compact texture is read back.
+    const pairShader = /* glsl */`
+    uniform sampler2D texturePos;
+    uniform sampler2D contactTex;
+    uniform sampler2D neighborTex;
+
+    const int I_N = ${cfg.numPoints};
+    const int B_N = ${BODY_COUNT};
+
+    vec2 uvFromIndex(int body, int idx) {
+      float u = (float(idx)  + 0.5) / float(I_N);
+      float v = (float(body) + 0.5) / float(B_N);
+      return vec2(u, v);
+    }
+
+    ${NEIGHBOR_GLSL}
+
+    // Whether a contact texel lies on the outline of body
+    bool touches(vec4 c, int body) {
+      return c.x > 0.5 && (int(c.x + 0.5) - 1) / I_N == body;
+    }
+
+    void main() {
+      int texel = int(gl_FragCoord.x);
+      int body  = int(gl_FragCoord.y);
+      int other = neighbor(body, texel / 2);
+      if (other < 0) { gl_FragColor = vec4(0.0); return; }
+
+      int a = body < other ? body : other;
+      int b = body < other ? other : body;
+      vec2  point = vec2(0.0), rel = vec2(0.0);
+      float depth = 0.0, count = 0.0;
+      for (int i = 0; i < I_N; ++i) {
+        vec4 ca = texture2D(contactTex, uvFromIndex(a, i));
+        if (touches(ca, b)) {
+          point += texture2D(texturePos, uvFromIndex(a, i)).xy;
+          rel   += ca.zw;
+          depth  = max(depth, ca.y);
+          count += 1.0;
+        }
+        vec4 cb = texture2D(contactTex, uvFromIndex(b, i));
+        if (touches(cb, a)) {
+          point += texture2D(texturePos, uvFromIndex(b, i)).xy;
+          rel   -= cb.zw;
+          depth  = max(depth, cb.y);
+          count += 1.0;
+        }
+      }
+      gl_FragColor = texel == 2 * (texel / 2) ? vec4(point, rel) : vec4(float(other + 1), depth, count, 0.0);
+    }
+    `;
+
+    // Interior vertices: the outline's forces minus contacts and pressure.
+    // Shares the position pass's uniforms (see below).
+    const interiorShader = /* glsl */`
+      uniform float  dt;
+      uniform vec2   gravity;
+      uniform float  wallK, wallDamp;
+      uniform int   dragBodies[${MAX_DRAGS}];
+
+      uniform sampler2D interiorRestTex;   // (qx, qy, active, -) per interior vertex
+      uniform sampler2D bodyParamTex;
+
+      const int I_N = ${cfg.numPoints};
+      const int B_N = ${BODY_COUNT};
+
+      vec2 uvFromIndex(int body, int idx) {
+        float u = (float(idx)  + 0.5) / float(I_N);
+        float v = (float(body) + 0.5) / float(B_N);
+        return vec2(u, v);
+      }
+
+      vec4 bodyParam(int body, int texel) {
+        return texture2D(bodyParamTex, vec2(
+          (float(texel) + 0.5) / float(${BODY_PARAM_TEXELS}),
+          (float(body)  + 0.5) / float(B_N)
+        ));
+      }
+
+      bool isDragged(int body) {
+        for (int d = 0; d < ${MAX_DRAGS}; ++d) {
+          if (dragBodies[d] == body) return true;
+        }
+        return false;
+      }
+
+      ${BOUNDARY_GLSL}
+      ${CONTACT_RESPONSE_GLSL}
+      ${OBSTACLE_GLSL}
+      ${Common}
+      ${Simplex}
+      ${fieldGlsl(fieldSnippets)}
+      ${INTERIOR_GLSL}
+
+      void main() {
+        int idx = int(gl_FragCoord.x);
+        int body = int(gl_FragCoord.y);
+
+        vec4 q = texture2D(interiorRestTex, uvFromIndex(body, idx));
+        if (q.z < 0.5) { gl_FragColor = vec4(0.0); return; }
+
+        vec4  mat0 = bodyParam(body, 0);
+        vec4  mat1 = bodyParam(body, 1);
+        float kSpring     = mat0.x;
+        float kShape      = mat0.y;
+        float damping     = mat0.w;
+        float mass        = max(mat1.x, 1e-4);
+        float gravScale   = mat1.y;
+        float kDampSpring = mat1.z;
+        float friction    = mat1.w;
+        float restitution = bodyParam(body, 2).x;
+
+        vec4 p = texture2D(textureInterior, uvFromIndex(body, idx));
+        vec2 pos = p.xy;
+        vec2 vel = p.zw;
+
+        vec2 f = meshSprings(body, 1, idx, pos, vel, kSpring, kDampSpring);
+        if (!isDragged(body)) {
+          f += gravity * gravScale * mass;
+          f += fieldForce(pos, vel, body) * mass;
+        }
+        f += wallForce(pos, vel);
+
+        // Shape matching towards the outline's rotation and centroid
+        vec4 sm = texture2D(shapeMatchTex, uvFromIndex(body, 0));
+        vec2 goal = vec2(sm.z*q.x - sm.w*q.y, sm.w*q.x + sm.z*q.y) + sm.xy;
+        f += kShape * (goal - pos);
+
+        vel += f / mass * dt;
+        vel *= exp(-damping * dt);
+
+        vec2 nextPos = pos + vel * dt;
+        collideObstacles(nextPos, vel, friction, restitution);
+
+        gl_FragColor = vec4(nextPos, vel);
+      }
+    `
 
     // Add variable and uniforms
     const posVar = gpu.addVariable('texturePos', shader, tex)
     const shapeVar = gpu.addVariable('shapeMatchTex', shapeShader, shapeTex)
     const bboxVar = gpu.addVariable('bboxTex', bboxShader, bboxTex)
+    const contactVar = gpu.addVariable('contactTex', contactShader, contactTex)
+    const neighborVar = gpu.addVariable('neighborTex', neighborShader, neighborTex)
+    const interiorVar = hasInterior ? gpu.addVariable('textureInterior', interiorShader, interiorTex) : null
 
     // Initialize arrays for shape matching
-    gpu.setVariableDependencies(posVar, [posVar, bboxVar, shapeVar])
+    gpu.setVariableDependencies(posVar, [posVar, bboxVar, shapeVar, contactVar, neighborVar, ...(interiorVar ? [interiorVar] : [])])
+    if (interiorVar) gpu.setVariableDependencies(interiorVar, [posVar, shapeVar, interiorVar])
     gpu.setVariableDependencies(shapeVar, [posVar])
     gpu.setVariableDependencies(bboxVar, [posVar])
+    gpu.setVariableDependencies(contactVar, [posVar, bboxVar, neighborVar])
+    gpu.setVariableDependencies(neighborVar, [bboxVar])
+
+    shapeVar.material.uniforms.restTex = { value: restTex }
+    bboxVar.material.uniforms.bodyParamTex = { value: bodyParamTex }
+    contactVar.material.uniforms.contactSlop = { value: CONTACT_SLOP }
+    neighborVar.material.uniforms.margin = { value: BROADPHASE_MARGIN }
 
     Object.assign(posVar.material.uniforms, {
       dt: { value: 0 },
-      kSpring: { value: cfg.kSpring },
-      kDampSpring: { value: cfg.kDampSpring },
-      damping: { value: cfg.damping },
-      kPressure: { value: cfg.pressureK },
-      gravity: { value: new THREE.Vector2(0, cfg.gravityY) },
+      gravity: { value: new THREE.Vector2(cfg.gravityX, cfg.gravityY) },
       wallK: { value: cfg.wallK },
       wallDamp: { value: cfg.wallDamp },
-      wallDistance: { value: cfg.wallDistance },
-      kShape: { value: cfg.kShape },
-      dragPos: { value: new THREE.Vector2() },
+      ...createBoundaryUniforms(),
+      obstacleTex: { value: null },
+      obstacleCount: { value: 0 },
+      fieldTex: { value: null },
+      fieldCount: { value: 0 },
+      fieldTime: { value: 0 },
+      drags: { value: Array.from({ length: MAX_DRAGS }, () => new THREE.Vector4()) },
+      dragBodies: { value: new Array(MAX_DRAGS).fill(-1) },
       kDrag: { value: 0.0 },
-      radiusArr: { value: BODIES.map(b => b.radius) },
       restTex: { value: restTex },
-      dragBody: { value: -1 },
+      bodyParamTex: { value: bodyParamTex },
+      pinTex: { value: pinTex },
+      ...(springTex ? { springTex: { value: springTex } } : {}),
     })
 
-    // Compile and return
-    const err = gpu.init()
-    if (err) console.error(err)
-    return { gpu, posVar, shapeVar, bboxVar }
-  }, [gl, cfg.numPoints, cfg.radius])
-}
+    // The interior pass reads the same uniform objects, so whatever the
+    // step sets on the position pass applies to both
+    if (interiorVar) {
+      const shared = [
+        'dt', 'gravity', 'wallK', 'wallDamp', 'obstacleTex', 'obstacleCount', 'fieldTex', 'fieldCount', 'fieldTime',
+        'dragBodies', 'bodyParamTex', 'springTex',
+        ...Object.keys(createBoundaryUniforms()),
+      ]
+      shared.forEach(key => { interiorVar.material.uniforms[key] = posVar.material.uniforms[key] })
+      interiorVar.material.uniforms.interiorRestTex = { value: interiorRestTex }
+    }
 
-// ---------- Custom Hook: Simulation State ----------
-const useSimulationState = () => {
-  const [centers, setCenters] = useState(
-    () => Array.from({ length: BODY_COUNT }, () => [0, 0])
-  );
-
-  return { centers, setCenters };
-};
-
-// ---------- Custom Hook: Instanced Meshes ----------
-const useInstancedMeshes = (pointsPer) => {
-  // Create refs for each body
-  const instRefs = useMemo(
-    () => Array.from({ length: BODY_COUNT }, () => React.createRef()),
-    []
-  );
-
-  // Reusable dummy Object3D for matrix updates
-  const dummy = useMemo(() => new THREE.Object3D(), []);
-
-  // JSX helper that returns an array of debug meshes
-  const DebugMeshes = () =>
-    instRefs.map((ref, row) => (
-      <instancedMesh key={row} ref={ref} args={[null, null, pointsPer]}>
-        <circleGeometry args={[0.01, 16]} />
-        <meshBasicMaterial color="#ff4040" />
-      </instancedMesh>
-    ));
-
-  return { instRefs, dummy, DebugMeshes };
-};
-
-
-function DebugAABBs({ aabbs }) {
-  const ref = useRef();
-  const { viewport } = useThree();
+    // Custom fields' own uniforms, the same objects on both passes
+    const customUniforms = fields.uniforms()
+    Object.assign(posVar.material.uniforms, customUniforms)
+    if (interiorVar) Object.assign(interiorVar.material.uniforms, customUniforms)
+
+    // Compile and return. Without float render targets the passes can't
+    // run, so the CPU solver steps the same arrays instead (cpuFallback.js)
+    const err = supportsFloatTargets(gl) ? gpu.init() : 'No float render targets.'
+    let cpu = null, pairs = null
+    if (err) {
+      console.warn(`SoftBody: ${err} Stepping on the CPU instead; custom force fields are skipped.`)
+      cpu = createCpuFallback({ posVar, shapeVar, bboxVar, contactVar, neighborVar, interiorVar }, {
+        numPoints: cfg.numPoints, bodyCount: BODY_COUNT, maxNeighbors, pos: tex.image.data, shape, bbox,
+        rest: restTex.image.data, params: bodyParamTex.image.data, pins: pinTex.image.data,
+        interior: interiorTex?.image.data, interiorRest: interiorRestTex?.image.data, springs: springTex?.image.data,
+      })
+    } else {
+      // Pair reduction for collision events, rendered by useCollisionEvents
+      pairs = {
+        material: gpu.createShaderMaterial(pairShader, {
+          texturePos: { value: null }, contactTex: { value: null }, neighborTex: { value: null },
+        }),
+        target: gpu.createRenderTarget(maxNeighbors * 2, BODY_COUNT),
+      }
+    }
 
-  const geometry = useMemo(() => {
-    const geom = new THREE.BufferGeometry();
-    const positions = new Float32Array(BODY_COUNT * 8 * 3); // 4邊×2點×3維
-    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    return geom;
-  }, []);
+    return {
+      gpu, posVar, shapeVar, bboxVar, contactVar, neighborVar, interiorVar, keys, signatures, restTex, bodyParamTex, pinTex,
+      interiorRestTex, springTex, initial, pairs, cpu,
+      // Set wherever pins or rest shapes are rewritten, so a recording
+      // only logs them when they changed
+      edits: { pins: false, rest: false },
+      bodyCount: BODY_COUNT,
+      numPoints: cfg.numPoints,
+      maxNeighbors,
+    }
+  }, [gl, cfg.numPoints, layoutKey, fieldSnippets])
+
+  // A tear or merge within the rows, rewritten once it commits and before
+  // it paints; the check keeps StrictMode's second run from repeating it.
+  // The renderers then render again for the rows' new interior meshes
+  const signatureKey = signatures.join('|')
+  const [, setRewrites] = useState(0)
+  useLayoutEffect(() => {
+    if (signatureKey === sim.signatures.join('|')) return
+    rewriteRows(gl, sim, bodies, cfg, signatures)
+    setRewrites(n => n + 1)
+  }, [sim, signatureKey])
+
+  // Remember the live instance for the next rebuild. An instance is freed
+  // once it is no longer live – replaced or unmounted – after a tick, so
+  // StrictMode re-running the effect right away keeps it
+  const live = useRef(null)
+  useEffect(() => {
+    prevRef.current = sim
+    live.current = sim
+    return () => {
+      live.current = null
+      setTimeout(() => { if (live.current !== sim) disposeSim(sim) })
+    }
+  }, [sim])
 
+  // Per-body overrides fall back to the Leva values, so refresh on either
   useEffect(() => {
-    const s = Math.min(viewport.width, viewport.height) * 0.5;
-    const posAttr = geometry.attributes.position;
-    for (let i = 0; i < aabbs.length; i++) {
-      const [min, max] = aabbs[i];
-      const x0 = min[0] * s, y0 = min[1] * s;
-      const x1 = max[0] * s, y1 = max[1] * s;
-
-      const verts = [
-        [x0, y0], [x1, y0],
-        [x1, y0], [x1, y1],
-        [x1, y1], [x0, y1],
-        [x0, y1], [x0, y0],
-      ];
-
-      for (let j = 0; j < 8; j++) {
-        const idx = i * 8 * 3 + j * 3;
-        posAttr.array[idx + 0] = verts[j][0];
-        posAttr.array[idx + 1] = verts[j][1];
-        posAttr.array[idx + 2] = 0;
+    updateBodyParamTexture(sim.bodyParamTex, bodies, cfg)
+  }, [sim, bodies, cfg])
+
+  return sim
+}
+
+// ---------- Custom Hook: Container Boundary ----------
+// Without a `boundary` prop the container is the Leva-sized square
+const useBoundary = (boundary, wallDistance) => {
+  const signature = JSON.stringify(boundary ?? null)
+  const resolved = useMemo(() => normalizeBoundary(boundary, wallDistance), [signature, wallDistance])
+  const texture = useMemo(() => createBoundaryTexture(resolved.vertices), [resolved])
+  useEffect(() => () => texture.dispose(), [texture])
+  return useMemo(() => ({ ...resolved, texture }), [resolved, texture])
+}
+
+// ---------- Debug Helpers ----------
+// Both are positioned in their vertex shaders straight from the simulation
+// textures, so showing them costs no readback.
+const DEBUG_POINTS_VERTEX = /* glsl */`
+  uniform sampler2D posTex;
+  attribute vec2 aRef;    // texel of texturePos this instance follows
+
+  void main() {
+    vec2 p = texture2D(posTex, aRef).xy + position.xy;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 0.0, 1.0);
+  }
+`
+
+const DEBUG_AABBS_VERTEX = /* glsl */`
+  uniform sampler2D bboxTex;
+  attribute vec2 aRef;    // first texel of the body's row
+  attribute vec2 aCorner; // 0 = min, 1 = max, per axis
+
+  void main() {
+    vec4 box = texture2D(bboxTex, aRef);
+    vec2 p = mix(box.xy, box.zw, aCorner);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 0.0, 1.0);
+  }
+`
+
+const debugFragment = (color) => /* glsl */`
+  void main() { gl_FragColor = vec4(${color.toArray().map(c => c.toFixed(3)).join(', ')}, 1.0); }
+`
+
+// Material whose `uniform` texture follows the current render target of
+// `variable`; refreshed right before drawing, after this frame's steps
+const useDebugMaterial = (sim, variable, uniform, vertexShader, color) => {
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader: debugFragment(new THREE.Color(color)),
+    uniforms: { [uniform]: { value: null } },
+  }), [])
+  useEffect(() => () => material.dispose(), [material])
+
+  const onBeforeRender = () => {
+    material.uniforms[uniform].value = stateTexture(sim, sim[variable])
+  }
+  return { material, onBeforeRender }
+}
+
+// Outline vertices, or with variable="interiorVar" the active interior ones
+function DebugPoints({ sim, variable = 'posVar', color = '#ff4040' }) {
+  const { numPoints, bodyCount } = sim
+  const { material, onBeforeRender } = useDebugMaterial(sim, variable, 'posTex', DEBUG_POINTS_VERTEX, color)
+
+  // One circle instance per vertex
+  const geometry = useMemo(() => {
+    const geom = new THREE.InstancedBufferGeometry().copy(new THREE.CircleGeometry(0.005, 16))
+    const active = variable === 'interiorVar' ? sim.interiorRestTex.image.data : null
+    const refs = []
+    for (let row = 0; row < bodyCount; row++) {
+      for (let i = 0; i < numPoints; i++) {
+        if (!active || active[(row * numPoints + i) * 4 + 2] > 0.5) refs.push((i + 0.5) / numPoints, (row + 0.5) / bodyCount)
       }
     }
-    geometry.attributes.position.needsUpdate = true;
-  }, [aabbs]);
+    geom.setAttribute('aRef', new THREE.InstancedBufferAttribute(new Float32Array(refs), 2))
+    geom.instanceCount = refs.length / 2
+    return geom
+  }, [sim, variable, numPoints, bodyCount])
+  useEffect(() => () => geometry.dispose(), [geometry])
 
-  return (
-    <lineSegments ref={ref} geometry={geometry}>
-      <lineBasicMaterial color="white" linewidth={2} />
-    </lineSegments>
-  );
+  return <mesh geometry={geometry} material={material} frustumCulled={false} onBeforeRender={onBeforeRender} />
 }
 
-// ---------- Custom Hook: Simulation Update ----------
-const useSimulationUpdate = (cfg, gpu, posVar, shapeVar, bboxVar, setCenters, instRefs, dummy, drag, setAABBs) => {
-  const { gl, viewport } = useThree()
-  const rowBuf = useMemo(() => new Float32Array(cfg.numPoints * 4), [cfg.numPoints])
+function DebugAABBs({ sim }) {
+  const { numPoints, bodyCount } = sim
+  const { material, onBeforeRender } = useDebugMaterial(sim, 'bboxVar', 'bboxTex', DEBUG_AABBS_VERTEX, 'white')
 
+  // 4 edges × 2 ends per body, each end picking min or max per axis
+  const geometry = useMemo(() => {
+    const corners = [[0, 0], [1, 0], [1, 0], [1, 1], [1, 1], [0, 1], [0, 1], [0, 0]]
+    const refs = new Float32Array(bodyCount * 8 * 2)
+    const sel = new Float32Array(bodyCount * 8 * 2)
+    for (let row = 0; row < bodyCount; row++) {
+      corners.forEach((c, j) => {
+        refs.set([0.5 / numPoints, (row + 0.5) / bodyCount], (row * 8 + j) * 2)
+        sel.set(c, (row * 8 + j) * 2)
+      })
+    }
+    const geom = new THREE.BufferGeometry()
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(bodyCount * 8 * 3), 3))
+    geom.setAttribute('aRef', new THREE.BufferAttribute(refs, 2))
+    geom.setAttribute('aCorner', new THREE.BufferAttribute(sel, 2))
+    return geom
+  }, [numPoints, bodyCount])
+  useEffect(() => () => geometry.dispose(), [geometry])
+
+  return <lineSegments geometry={geometry} material={material} frustumCulled={false} onBeforeRender={onBeforeRender} />
+}
 
-  useFrame((_, dt) => {
-    // Handle drag interaction
-    if (drag.current.active && drag.current.target !== -1) {
-      posVar.material.uniforms.kDrag.value = 200.0;
-      posVar.material.uniforms.dragPos.value.copy(drag.current.pos);
-    } else {
-      posVar.material.uniforms.kDrag.value = 0.0;
+// ---------- Custom Hook: Simulation Update ----------
+// The position pass's uniforms as the CPU solver takes them (see computePositions)
+const cpuUniforms = (uniforms, boundary, slots) => ({
+  dt: uniforms.dt.value,
+  gravity: [uniforms.gravity.value.x, uniforms.gravity.value.y],
+  wallK: uniforms.wallK.value,
+  wallDamp: uniforms.wallDamp.value,
+  boundary,
+  drags: slots.map(([body, x, y, s]) => ({ body, pos: [x, y], s })),
+  kDrag: uniforms.kDrag.value,
+  obstacles: { data: uniforms.obstacleTex.value.image.data, count: uniforms.obstacleCount.value },
+  fields: { data: uniforms.fieldTex.value.image.data, count: uniforms.fieldCount.value },
+  contactSlop: CONTACT_SLOP,
+  broadphaseMargin: BROADPHASE_MARGIN,
+})
+
+// Returns a ref counting the fixed steps run so far
+const useSimulationUpdate = (cfg, sim, bodies, boundary, obstacles, fields, drags, joints, flushCommands, recorder) => {
+  const { gpu, posVar, shapeVar, bboxVar } = sim
+  const accumulator = useRef(0)
+  const stepCount = useRef(0)
+
+  // One fixed step = `substeps` GPU passes of timeStep / substeps each.
+  // Inputs are latched per step so the result only depends on the step count.
+  const step = () => {
+    recorder.begin()
+
+    // Imperative API edits (impulses, teleports, resets) land on step boundaries
+    const written = flushCommands()
+
+    // Obstacles and force fields advance by one step, however the steps
+    // fall into frames: obstacle velocities and the field clock only
+    // depend on the step count
+    const { uniforms } = posVar.material
+    uniforms.obstacleCount.value = obstacles.update(cfg.timeStep)
+    uniforms.obstacleTex.value = obstacles.texture
+    uniforms.fieldCount.value = fields.update(cfg.timeStep, cfg)
+    uniforms.fieldTex.value = fields.texture
+    uniforms.fieldTime.value = fields.time()
+
+    // Handle drag interaction: one slot per pointer that has grabbed a body,
+    // as [body, target x, y, s], after the slots joints hold; a replay
+    // substitutes the recorded slots
+    const jointSlots = [...joints.current].map(j => j.slot()).filter(Boolean)
+    const grabbing = [...drags.current.values()].filter(d => {
+      // A grab on a body that tore or fused moves to the piece holding its vertex
+      if (d.body !== null && !sim.keys.includes(d.body)) {
+        const moved = followVertex(bodies, d.body, d.s, sim.numPoints)
+        d.body = moved?.key ?? null
+        d.s = moved?.s ?? 0
+      }
+      return d.body !== null
+    })
+    const slots = recorder.step(
+      [...jointSlots, ...grabbing.map(d => [sim.keys.indexOf(d.body), d.pos.x + d.offset.x, d.pos.y + d.offset.y, d.s])]
+        .slice(0, MAX_DRAGS),
+      written
+    )
+    posVar.material.uniforms.kDrag.value = cfg.kDrag;
+    for (let i = 0; i < MAX_DRAGS; i++) {
+      const d = slots[i]
+      posVar.material.uniforms.dragBodies.value[i] = d ? d[0] : -1
+      if (d) posVar.material.uniforms.drags.value[i].set(d[1], d[2], d[3], 0)
     }
 
     // Update simulation uniforms
-    posVar.material.uniforms.dt.value = dt
-    posVar.material.uniforms.kPressure.value = cfg.pressureK
-    posVar.material.uniforms.kShape.value = cfg.kShape
-    posVar.material.uniforms.kSpring.value = cfg.kSpring
-    posVar.material.uniforms.damping.value = cfg.damping
+    posVar.material.uniforms.dt.value = cfg.timeStep / cfg.substeps
+    posVar.material.uniforms.gravity.value.set(cfg.gravityX, cfg.gravityY)
     posVar.material.uniforms.wallK.value = cfg.wallK
     posVar.material.uniforms.wallDamp.value = cfg.wallDamp
-    posVar.material.uniforms.wallDistance.value = cfg.wallDistance
-
-    // Run GPU computation
-    posVar.material.uniforms.shapeMatchTex.value = gpu.getCurrentRenderTarget(shapeVar).texture
-    posVar.material.uniforms.bboxTex.value = gpu.getCurrentRenderTarget(bboxVar).texture
-    posVar.material.uniforms.dragBody.value = drag.current.target ?? -1;
-    gpu.compute()
-
-
-    // Update debug circles
-    const rt = gpu.getCurrentRenderTarget(posVar)
-    for (let row = 0; row < BODY_COUNT; row++) {
-      gl.readRenderTargetPixels(rt, 0, row, cfg.numPoints, 1, rowBuf);
-      const instRef = instRefs[row];
-      if (instRef?.current) {
-        const s = Math.min(viewport.width, viewport.height) * 0.5;
-        for (let i = 0; i < cfg.numPoints; ++i) {
-          dummy.position.set(rowBuf[i * 4] * s, rowBuf[i * 4 + 1] * s, 0);
-          dummy.updateMatrix();
-          instRef.current.setMatrixAt(i, dummy.matrix);
-        }
-        instRef.current.instanceMatrix.needsUpdate = true;
-      }
-    }
+    applyBoundaryUniforms(posVar.material.uniforms, boundary)
 
-    // Update AABBs
-    const bboxBuf = new Float32Array(BODY_COUNT * 4);
-    const bboxRT = gpu.getCurrentRenderTarget(bboxVar)
-    gl.readRenderTargetPixels(bboxRT, 0, 0, 1, BODY_COUNT, bboxBuf);
-    const newAABBs = [];
-    for (let i = 0; i < BODY_COUNT; i++) {
-      const min = [bboxBuf[i * 4 + 0], bboxBuf[i * 4 + 1]];
-      const max = [bboxBuf[i * 4 + 2], bboxBuf[i * 4 + 3]];
-      newAABBs.push([min, max]);
+    // Run GPU computation, or the CPU solver on the same inputs
+    if (sim.cpu) {
+      const u = cpuUniforms(posVar.material.uniforms, boundary, slots)
+      for (let i = 0; i < cfg.substeps; i++) sim.cpu.compute(u)
+    } else {
+      for (let i = 0; i < cfg.substeps; i++) {
+        posVar.material.uniforms.shapeMatchTex.value = gpu.getCurrentRenderTarget(shapeVar).texture
+        posVar.material.uniforms.bboxTex.value = gpu.getCurrentRenderTarget(bboxVar).texture
+        gpu.compute()
+      }
     }
-    setAABBs(newAABBs);
 
+    recorder.end()
+    stepCount.current++
+  }
 
-    // Update GPU uniforms with shape matching data
-    const shapeRT = gpu.getCurrentRenderTarget(shapeVar)
-    const centerBuf = new Float32Array(BODY_COUNT * 4)
-    gl.readRenderTargetPixels(shapeRT, 0, 0, 1, BODY_COUNT, centerBuf)
-    const cTmp = Array(BODY_COUNT)
-    for (let r = 0; r < BODY_COUNT; r++) {
-      cTmp[r] = [centerBuf[r * 4], centerBuf[r * 4 + 1]]
+  useFrame((_, dt) => {
+    // Fixed-timestep accumulator, independent of the display refresh rate
+    accumulator.current += dt
+    let steps = 0
+    while (accumulator.current >= cfg.timeStep && steps < MAX_STEPS_PER_FRAME) {
+      step()
+      accumulator.current -= cfg.timeStep
+      steps++
     }
-    setCenters(cTmp)
+    // Drop whole steps we couldn't afford, keep the fractional remainder
+    if (accumulator.current >= cfg.timeStep) accumulator.current %= cfg.timeStep
   })
-}
 
-// ---------- Full Screen Interaction Component ----------
-const FullScreenPickup = ({ onDown, onMove, onUp }) => {
-  const { viewport } = useThree()
-  return (
-    <mesh
-      onPointerDown={onDown}
-      onPointerMove={onMove}
-      onPointerUp={onUp}
-      position={[0, 0, 0.01]}           // Slightly in front of camera
-      visible={false}                   // Invisible, doesn't affect rendering
-    >
-      {/* Plane matching viewport dimensions */}
-      <planeGeometry args={[viewport.width, viewport.height]} />
-      <meshBasicMaterial transparent opacity={0} />
-    </mesh>
-  )
+  return stepCount
 }
 
+// ---------- Pointer Interaction Component ----------
+// Invisible quad on the simulation plane (z = 0 in sim space) that takes
+// presses over the container; handlers get sim-space coordinates
+const SimPlanePickup = ({ area, onDown, onMove, onUp }) => (
+  <mesh
+    onPointerDown={onDown}
+    onPointerMove={onMove}
+    onPointerUp={onUp}
+    onPointerCancel={onUp}
+    onLostPointerCapture={onUp}
+    position={[area.center[0], area.center[1], 0]}
+    visible={false}                   // Invisible, doesn't affect rendering
+  >
+    <planeGeometry args={area.size} />
+    <meshBasicMaterial transparent opacity={0} />
+  </mesh>
+)
+
+const _plane = new THREE.Plane()
+const _hit = new THREE.Vector3()
+
 // ---------- Main Component ----------
-export default function SoftBody() {
-  const cfg = useSoftBodyConfig()
-
-  const { gpu, posVar, shapeVar, bboxVar } = useGPUComputation(cfg)
-  const { centers, setCenters } = useSimulationState()
-  const { instRefs, dummy, DebugMeshes } = useInstancedMeshes(cfg.numPoints)
-  const { size } = useThree();
-  const [aabbs, setAABBs] = useState(() =>
-    Array.from({ length: BODY_COUNT }, () => [[0, 0], [0, 0]])
-  );
-
-  // Drag interaction state
-  const drag = useRef({
-    active: false,
-    pos: new THREE.Vector2(),
-    target: -1
-  })
+// Placed like any object: position, rotation, scale and the other group
+// props apply to the simulation plane, whose sim units are `units` world
+// units (by default the unit square fits the viewport's shorter side).
+// <Obstacle> and <ForceField> children (or the `obstacles` and
+// `forceFields` props) act on the bodies.
+const SoftBody = forwardRef(function SoftBody({
+  bodies: bodiesProp = DEFAULT_BODIES,
+  boundary: boundaryProp,
+  obstacles: obstaclesProp,
+  forceFields: forceFieldsProp,
+  units,
+  children,
+  onCollisionEnter,
+  onCollisionStay,
+  onCollisionExit,
+  onSplit,
+  onMerge,
+  ...groupProps
+}, ref) {
+  const [cfg, setConfig] = useSoftBodyConfig()
+
+  // The prop's bodies as tearing and merging have reshaped them, one per
+  // row, with free rows for the pieces of tears
+  const topology = useTopology(bodiesProp, cfg)
+  const { bodies } = topology
+
+  // Drag interaction state: pointerId -> { pos, body (key), s, offset, picking }
+  const drags = useRef(new Map())
+
+  // Children live in simulation space, so <Obstacle> and <ForceField>
+  // positions are sim units
+  const simSpace = useRef()
+  const obstacles = useObstacles(obstaclesProp, simSpace)
+  const fields = useForceFields(forceFieldsProp, simSpace, drags)
+
+  const sim = useGPUComputation(cfg, bodies, fields)
+  const reader = useAsyncReader()
+  const boundary = useBoundary(boundaryProp, cfg.wallDistance)
+  // Read once here: each call would register the `Render` folder again
+  const renderCfg = useRenderConfig()
+
+  const recorder = useRecorder(sim, cfg, setConfig, obstacles, fields, reader)
+  const flushCommands = useSoftBodyApi(ref, sim, bodies, cfg, reader, recorder.methods)
+  const { viewport } = useThree();
 
-  // Convert screen coordinates to simulation space
-  const toSimSpace = (x, y) => {
-    const s = Math.min(size.width, size.height) * 0.5;     // 與 instancing 相同
-    // 先轉到以螢幕中心為 (0,0) 的座標，再除以 s
-    return new THREE.Vector2(
-      (x - size.width  * 0.5) / s,
-      -(y - size.height * 0.5) / s
-    );
+  // Where the pointer's ray meets the simulation plane, in sim units; a
+  // captured pointer keeps following the plane beyond the pick quad
+  const toSimSpace = (ray) => {
+    const space = simSpace.current
+    _plane.set(new THREE.Vector3(0, 0, 1), 0).applyMatrix4(space.matrixWorld)
+    if (!ray.intersectPlane(_plane, _hit)) return null
+    space.worldToLocal(_hit)
+    return new THREE.Vector2(_hit.x, _hit.y)
   };
 
   const onPointerDown = (e) => {
-    const mouseSim = toSimSpace(e.clientX, e.clientY);
-    drag.current.active = true;
-    drag.current.pos.copy(mouseSim);
-  
-    // 判斷滑鼠落在哪個 soft-body：中心距離 < 半徑
-    drag.current.target = -1;
-    for (let row = 0; row < BODY_COUNT; row++) {
-      const c = centers[row];                 // [x, y] in sim space
-      if (!c) continue;
-      const r = BODIES[row].radius;
-      const dist2 = (mouseSim.x - c[0])**2 + (mouseSim.y - c[1])**2;
-      if (dist2 < r * r) {
-        drag.current.target = row;
-        break;
-      }
-    }
+    if (drags.current.size >= MAX_DRAGS) return;
+    const mouseSim = toSimSpace(e.ray);
+    if (!mouseSim) return;
+    e.stopPropagation();
+    // Keep receiving this pointer's events when it leaves the quad or the canvas
+    e.target.setPointerCapture(e.pointerId);
+
+    const drag = { pos: mouseSim.clone(), body: null, s: 0, offset: new THREE.Vector2(), picking: true };
+    drags.current.set(e.pointerId, drag);
+
+    // Hit-test the current outlines, from an async readback by which time
+    // the press may be over, or the rows hold other bodies
+    const { posVar, numPoints, bodyCount, keys } = sim;
+    readState(reader, sim, posVar, 0, 0, numPoints, bodyCount).then((pos) => {
+      if (drags.current.get(e.pointerId) !== drag) return;
+      // A press that misses every body pushes them instead (see <ForceField type="push">)
+      drag.picking = false;
+      const hit = pickBody(pos, numPoints, bodyCount, mouseSim.x, mouseSim.y, PICK_TOLERANCE);
+      if (!hit) return;
+      // The spring holds the nearest surface point at its offset from the
+      // pointer, so grabbing doesn't yank that point onto the cursor
+      const [gx, gy] = dragTerms(pos, numPoints, hit.row, hit.s).grabbed;
+      drag.body = keys[hit.row];
+      drag.s = hit.s;
+      drag.offset.set(gx - mouseSim.x, gy - mouseSim.y);
+    }).catch((err) => { if (!isCancelled(err)) console.error('SoftBody: picking failed', err); });
   };
 
   const onPointerMove = (e) => {
-    if (!drag.current.active) return; 
-    drag.current.pos.copy(toSimSpace(e.clientX, e.clientY));
+    const drag = drags.current.get(e.pointerId);
+    if (!drag) return; 
+    const mouseSim = toSimSpace(e.ray);
+    if (mouseSim) drag.pos.copy(mouseSim);
   };
 
-
-  const onPointerUp = () => {
-    drag.current.target = -1;
-    drag.current.active = false;
+  // Up, cancel and lost capture all end the pointer's drag
+  const onPointerUp = (e) => {
+    if (!drags.current.delete(e.pointerId)) return;
+    if (e.target.hasPointerCapture?.(e.pointerId)) e.target.releasePointerCapture(e.pointerId);
   }
 
   // Run simulation updates
-  useSimulationUpdate(cfg, gpu, posVar, shapeVar, bboxVar, setCenters, instRefs, dummy, drag, setAABBs)
+  // Joints to other physics engines, each holding a drag slot
+  const joints = useRef(new Set())
+  const latest = useRef()
+  latest.current = { sim, cfg }
+  const context = useMemo(() => ({
+    space: simSpace,
+    reader,
+    latest,
+    joints: {
+      register(joint) {
+        joints.current.add(joint)
+        return () => joints.current.delete(joint)
+      },
+    },
+  }), [reader])
+
+  const stepCount = useSimulationUpdate(cfg, sim, bodies, boundary, obstacles, fields, drags, joints, flushCommands, recorder)
+
+  // Tears and merges, from async readbacks like the collision events below
+  useTopologyChanges(sim, cfg, reader, topology, stepCount, { onSplit, onMerge })
+
+  // Contact events, reduced from async readbacks of the contact pass
+  useCollisionEvents(sim, reader, { onCollisionEnter, onCollisionStay, onCollisionExit })
 
   return (
-    <group>
-      <FullScreenPickup
-        onDown={onPointerDown}
-        onMove={onPointerMove}
-        onUp={onPointerUp}
-      />
-
-      {/* Debug points (optional) */}
-      {cfg.debugPoints && <DebugMeshes />}
-
-      {cfg.debugAABBs && <DebugAABBs aabbs={aabbs} />}
-
-      {/* Render soft bodies */}
-      {BODIES.map((body, row) => (
-        <SoftBodyRender
-          key={row}
-          posTex={gpu.getCurrentRenderTarget(posVar).texture}
-          center={centers[row]}         // Centroid from state
-          bodyRow={row}
-          pointsPer={cfg.numPoints}
-          bodyCount={BODY_COUNT}
-          color={body.color}
+    <group {...groupProps}>
+      {/* Simulation space: everything below is in sim units */}
+      <group ref={simSpace} scale={units ?? simScale(viewport)}>
+        <SimPlanePickup
+          area={pickArea(boundary)}
+          onDown={onPointerDown}
+          onMove={onPointerMove}
+          onUp={onPointerUp}
         />
-      ))}
+
+        {/* Debug points (optional) */}
+        {cfg.debugPoints && <DebugPoints sim={sim} />}
+        {cfg.debugPoints && sim.interiorVar && <DebugPoints sim={sim} variable="interiorVar" color="#ffb040" />}
+
+        {cfg.debugAABBs && <DebugAABBs sim={sim} />}
+
+        <SoftBodyContext.Provider value={context}>
+          <ObstacleContext.Provider value={obstacles.registry}>
+            <ForceFieldContext.Provider value={fields.registry}>
+              {children}
+            </ForceFieldContext.Provider>
+          </ObstacleContext.Provider>
+        </SoftBodyContext.Provider>
+
+        {/* Render soft bodies */}
+        {renderCfg.renderMode === 'goo' ? (
+          <GooRender
+            sim={sim}
+            space={simSpace}
+            pointsPer={cfg.numPoints}
+            bodyCount={bodies.length}
+            looks={bodies.map(body => (isFreeRow(body) ? null : lookProps(body)))}
+            renderCfg={renderCfg}
+          />
+        ) : bodies.map((body, row) => !isFreeRow(body) && (
+          <SoftBodyRender
+            key={bodyKey(body, row)}
+            sim={sim}
+            bodyRow={row}
+            pointsPer={cfg.numPoints}
+            bodyCount={bodies.length}
+            mesh={sim.initial.interiors[row]}
+            renderCfg={renderCfg}
+            {...lookProps(body)}
+          />
+        ))}
+      </group>
     </group>
   )
-}
+})
+
+export default SoftBody
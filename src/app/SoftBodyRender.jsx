@@ -2,79 +2,251 @@
  *  SoftBodyRender – multi-row version
  **************************************************************************/
 import * as THREE from 'three';
-import { useMemo, useRef } from 'react';
+import { useEffect, useMemo } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import { useControls, folder } from 'leva';
+import { stateTexture } from './gpuState';
+import { resolveLook } from './renderLook';
+import { BASE_COLOR_GLSL, CURVE_GLSL } from './renderGlsl';
 
 /* ---------- GLSL ------------------------------------------------------ */
 
-const VERTEX_SHADER = /* glsl */`
+export const VERTEX_SHADER = /* glsl */`
 precision highp float;
 
-uniform sampler2D posTex;
-
-uniform vec2  uCenter;
-uniform float scale;
-
-uniform float uBodyRow;     // 0,1,2…
-uniform float uBodyCount;   // total rows
-uniform float uPointsPer;   // vertices per body (N)
+uniform sampler2D shapeTex;   // (cx, cy, cosθ, sinθ) in each row's first texel
 
 uniform mat4  projectionMatrix;
 uniform mat4  modelViewMatrix;
 
-attribute float aIndex;     // local vertex index  (0..N-1)  – or -1 for center
+attribute float aIndex;     // curve parameter s (0..N) – or -1 for center
 attribute vec2  uv;         // pre-baked static UV
 varying   vec2  vUv;
 
-/* helper: convert (row , col) → texcoord */
-vec2 texUV(float row, float col){
-    return vec2( (col + 0.5) / uPointsPer,
-                 (row + 0.5) / uBodyCount );
-}
+${CURVE_GLSL}
 
 void main () {
 
     vec2 p;
+#ifdef MESH
+    p = meshPos();
+#else
     if (aIndex < 0.0) {
-        p = uCenter;                           // centroid vertex
+        p = texture2D(shapeTex, texUV(uBodyRow, 0.0)).xy;   // centroid vertex
     } else {
-        float col = aIndex;                    // 0…N-1
-        vec2  posSample = texture2D(
-            posTex, texUV(uBodyRow, col)
-        ).xy;
-        p = posSample;
+        p = curve(aIndex).xy;
     }
+#endif
 
     vUv = uv;                                  // fixed rim-UV
 
-    vec2 world = p * scale;
+    /* sim units; the mesh sits in <SoftBody>'s simulation-space group */
     gl_Position = projectionMatrix * modelViewMatrix
-                * vec4(world, 0.0, 1.0);
+                * vec4(p, 0.0, 1.0);
 }
 `;
 
 const FRAGMENT_SHADER = /* glsl */`
 precision highp float;
 
-uniform vec3  uColor;
-uniform float uOpacity;
 uniform float uRimWidth;      // 0–0.5
 uniform float uRimIntensity;  // >1 for glow
 
+${BASE_COLOR_GLSL}
+
 varying vec2 vUv;
 
 void main () {
     float d   = distance(vUv, vec2(0.5));
     float rim = smoothstep(0.5 - uRimWidth, 0.5, d);   // 0 center →1 edge
-    vec3  col = mix(uColor, uColor * uRimIntensity, rim);
-    gl_FragColor = vec4(col, uOpacity * rim);
+
+    vec4  base = baseColor(vUv);
+    vec3  col  = mix(base.rgb, base.rgb * uRimIntensity, rim);
+    gl_FragColor = vec4(col, uOpacity * max(rim, uFillOpacity) * base.a);
+}
+`;
+
+/* Lit shading (a ShaderMaterial, for three's light uniforms): the body is
+   a dome over its current outline, h = bulge · restRadius · sqrt(1 − r²)
+   with r = 0 at the centre and 1 on the outline. Its slope follows the
+   outline normal and grows where the body is thinner than at rest, so
+   squashing flattens the top and steepens the sides. */
+const LIT_VERTEX_SHADER = /* glsl */`
+#include <common>
+
+uniform sampler2D shapeTex;
+uniform sampler2D restTex;    // .w of a row's first texel: rest area
+
+attribute float aIndex;       // curve parameter s (0..N) – or -1 for center
+
+varying vec2  vUv;
+varying float vR;             // 0 centre → 1 outline
+varying vec2  vRimNormal;     // outline normal · vR
+varying float vSpan;          // centre→outline distance / rest radius · vR
+varying vec3  vViewPosition;
+varying mat3  vSimToView;     // sim-space directions → view space
+
+${CURVE_GLSL}
+
+void main () {
+    vec4  sm = texture2D(shapeTex, texUV(uBodyRow, 0.0));
+    vec2  c = sm.xy;
+    vec2  p = c;
+    float restRadius = sqrt(texture2D(restTex, texUV(uBodyRow, 0.0)).w / PI);
+    vR = 0.0; vRimNormal = vec2(0.0); vSpan = 0.0;
+
+#ifdef MESH
+    /* the rim UV is the rest direction · share of the way out; the dome
+       normal takes that direction turned with the body */
+    vec2 d = (uv - 0.5) * 2.0;
+    p = meshPos();
+    vR = min(length(d), 1.0);
+    vRimNormal = vec2(sm.z * d.x - sm.w * d.y, sm.w * d.x + sm.z * d.y);
+    vSpan = length(p - c) / max(restRadius, 1e-4);
+#else
+    if (aIndex >= 0.0) {
+        vec4  k = curve(aIndex);
+        p = k.xy;
+        vR = 1.0;
+        vRimNormal = normalize(vec2(k.w, -k.z) + 1e-6);
+        vSpan = length(p - c) / max(restRadius, 1e-4);
+    }
+#endif
+
+    vUv = uv;
+    vSimToView = normalMatrix;
+    vec4 mvPosition = modelViewMatrix * vec4(p, 0.0, 1.0);
+    vViewPosition = -mvPosition.xyz;
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const LIT_FRAGMENT_SHADER = /* glsl */`
+#include <common>
+#include <lights_pars_begin>
+
+uniform float uBulge;         // dome height / rest radius
+uniform float uShininess;
+uniform float uSpecular;
+uniform float uFresnel;
+uniform float uEnvIntensity;
+uniform bool  uUseEnv;
+uniform sampler2D uEnvMap;    // equirectangular
+
+${BASE_COLOR_GLSL}
+
+varying vec2  vUv;
+varying float vR;
+varying vec2  vRimNormal;
+varying float vSpan;
+varying vec3  vViewPosition;
+varying mat3  vSimToView;
+
+void addLight(const in IncidentLight light, const in vec3 n, const in vec3 v,
+              inout vec3 diffuse, inout vec3 specular){
+    if (!light.visible) return;
+    float nl = saturate(dot(n, light.direction));
+    diffuse  += nl * light.color;
+    specular += nl * light.color * pow(saturate(dot(n, normalize(light.direction + v))), uShininess);
+}
+
+void main () {
+    /* dome normal, in sim space (z out of the simulation plane) */
+    float r     = min(vR, 0.995);
+    vec2  dir   = vRimNormal / max(vR, 1e-4);
+    float span  = vSpan / max(vR, 1e-4);
+    float slope = uBulge * r / (sqrt(1.0 - r * r) * max(span, 1e-3));
+    vec3  n = normalize(vSimToView * vec3(dir * slope, 1.0));
+    vec3  v = isOrthographic ? vec3(0.0, 0.0, 1.0) : normalize(vViewPosition);
+    vec3  geometryPosition = -vViewPosition;
+
+    vec3 diffuse  = getAmbientLightIrradiance(ambientLightColor);
+    vec3 specular = vec3(0.0);
+    IncidentLight light;
+
+    #if NUM_DIR_LIGHTS > 0
+    for (int i = 0; i < NUM_DIR_LIGHTS; i++) {
+        getDirectionalLightInfo(directionalLights[i], light);
+        addLight(light, n, v, diffuse, specular);
+    }
+    #endif
+    #if NUM_POINT_LIGHTS > 0
+    for (int i = 0; i < NUM_POINT_LIGHTS; i++) {
+        getPointLightInfo(pointLights[i], geometryPosition, light);
+        addLight(light, n, v, diffuse, specular);
+    }
+    #endif
+    #if NUM_SPOT_LIGHTS > 0
+    for (int i = 0; i < NUM_SPOT_LIGHTS; i++) {
+        getSpotLightInfo(spotLights[i], geometryPosition, light);
+        addLight(light, n, v, diffuse, specular);
+    }
+    #endif
+    #if NUM_HEMI_LIGHTS > 0
+    for (int i = 0; i < NUM_HEMI_LIGHTS; i++) {
+        diffuse += getHemisphereLightIrradiance(hemisphereLights[i], n);
+    }
+    #endif
+
+    float fresnel = uFresnel * pow(1.0 - saturate(dot(n, v)), 3.0);
+
+    vec4 base = baseColor(vUv);
+    vec3 col  = base.rgb * RECIPROCAL_PI * diffuse + uSpecular * specular;
+    if (uUseEnv) {
+        vec3 reflected = inverseTransformDirection(reflect(-v, n), viewMatrix);
+        col += texture2D(uEnvMap, equirectUv(reflected)).rgb * uEnvIntensity * mix(0.15, 1.0, fresnel);
+    }
+    col += fresnel * base.rgb;
+
+    float highlight = uSpecular * dot(specular, vec3(0.3333));
+    gl_FragColor = vec4(col, uOpacity * saturate(max(fresnel, uFillOpacity) + highlight) * base.a);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+/* Outline stroke: a ribbon of two vertices per curve sample, pushed out
+   and in along the curve normal by half the stroke width */
+const OUTLINE_VERTEX_SHADER = /* glsl */`
+precision highp float;
+
+uniform float uWidth;         // sim units
+
+uniform mat4  projectionMatrix;
+uniform mat4  modelViewMatrix;
+
+attribute float aIndex;       // curve parameter s (0..N)
+attribute float aSide;        // -1 inner edge, +1 outer edge
+
+${CURVE_GLSL}
+
+void main () {
+    vec4 c = curve(aIndex);
+    vec2 n = normalize(vec2(c.w, -c.z) + 1e-6);   // outward for CCW outlines
+
+    vec2 p = c.xy + n * aSide * 0.5 * uWidth;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 0.0, 1.0);
+}
+`;
+
+const OUTLINE_FRAGMENT_SHADER = /* glsl */`
+precision highp float;
+
+uniform vec3  uColor;
+uniform float uOpacity;
+
+void main () {
+    gl_FragColor = vec4(uColor, uOpacity);
 }
 `;
 
-/* ---------- Geometry (unchanged) -------------------------------------- */
-const useTriangleFanGeometry = (pointsPer) => useMemo(() => {
-  const vCount = pointsPer + 1;                 // +1 centre
+/* ---------- Geometry ------------------------------------------------- */
+/* Both meshes sample the curve `subdivisions` times per edge: rim sample
+   i sits at s = i / subdivisions */
+export const useTriangleFanGeometry = (pointsPer, subdivisions) => useMemo(() => {
+  const rim    = pointsPer * subdivisions;
+  const vCount = rim + 1;                       // +1 centre
   const posArr = new Float32Array(vCount * 3);  // dummy
   const aIdx   = new Float32Array(vCount);
   const uvs    = new Float32Array(vCount * 2);
@@ -85,13 +257,13 @@ const useTriangleFanGeometry = (pointsPer) => useMemo(() => {
   uvs[0] = 0.5; uvs[1] = 0.5;
 
   /* rim */
-  for (let i = 1; i <= pointsPer; i++) {
-    const a = (i - 1) / pointsPer * Math.PI * 2;
+  for (let i = 1; i <= rim; i++) {
+    const a = (i - 1) / rim * Math.PI * 2;
     uvs[i*2]   = 0.5 + 0.5 * Math.cos(a);
     uvs[i*2+1] = 0.5 + 0.5 * Math.sin(a);
 
-    aIdx[i] = i - 1;                        // local col index 0…N-1
-    idxArr.push(0, i, (i % pointsPer) + 1);
+    aIdx[i] = (i - 1) / subdivisions;       // curve parameter 0…N
+    idxArr.push(0, i, (i % rim) + 1);
   }
 
   const g = new THREE.BufferGeometry();
@@ -100,77 +272,279 @@ const useTriangleFanGeometry = (pointsPer) => useMemo(() => {
   g.setAttribute('uv',       new THREE.BufferAttribute(uvs, 2));
   g.setIndex(idxArr);
   return g;
-}, [pointsPer]);
+}, [pointsPer, subdivisions]);
+
+/* Triangles of a body's interior mesh, one vertex per code */
+const useMeshGeometry = (mesh) => useMemo(() => {
+  if (!mesh) return null;
+  const count = mesh.uvs.length;
+  const g = new THREE.BufferGeometry();
+  g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  g.setAttribute('aVertex',  new THREE.BufferAttribute(Float32Array.from({ length: count }, (_, i) => i), 1));
+  g.setAttribute('uv',       new THREE.BufferAttribute(new Float32Array(mesh.uvs.flat()), 2));
+  g.setIndex(mesh.triangles.flat());
+  return g;
+}, [mesh]);
+
+const useOutlineGeometry = (pointsPer, subdivisions) => useMemo(() => {
+  const rim   = pointsPer * subdivisions;
+  const aIdx  = new Float32Array(rim * 2);
+  const aSide = new Float32Array(rim * 2);
+  const idxArr = [];
+
+  for (let i = 0; i < rim; i++) {
+    aIdx[i*2] = aIdx[i*2+1] = i / subdivisions;
+    aSide[i*2] = -1; aSide[i*2+1] = 1;
+
+    const j = (i + 1) % rim;                   // closed loop
+    idxArr.push(i*2, i*2+1, j*2+1,  i*2, j*2+1, j*2);
+  }
+
+  const g = new THREE.BufferGeometry();
+  g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(rim * 6), 3));
+  g.setAttribute('aIndex',   new THREE.BufferAttribute(aIdx, 1));
+  g.setAttribute('aSide',    new THREE.BufferAttribute(aSide, 1));
+  g.setIndex(idxArr);
+  return g;
+}, [pointsPer, subdivisions]);
 
 /* ---------- Leva controls --------------------------------------------- */
-const useRenderConfig = () =>
+export const useRenderConfig = () =>
   useControls({
     Render: folder({
+      renderMode: { value: 'rim', options: ['rim', 'goo'], label: 'render mode' },
+      gooThreshold:{ value: 0.5,  min:0.05, max:0.95, label: 'goo threshold' },
+      gooBlur:    { value: 0.03, min:0, max:0.1, step: 0.001, label: 'goo blur' },
+      override:   { value: false, label: 'override bodies' },
       color:      { value: '#62d8ff' },
       opacity:    { value: 0.9,  min:0, max:1 },
       rimWidth:   { value: 0.08, min:0.01, max:0.25 },
       rimIntensity:{ value: 1.4, min:1, max:4 },
+      fillOpacity:{ value: 0,    min:0, max:1 },
+      outlineColor:{ value: '#ffffff' },
+      outlineWidth:{ value: 0,    min:0, max:0.05, step: 0.001 },
+      smoothing:  { value: 'catmull-rom', options: ['none', 'catmull-rom', 'b-spline'] },
+      subdivisions:{ value: 4,    min:1, max:16, step: 1 },
+      shading:    { value: 'rim', options: ['rim', 'lit'] },
+      bulge:      { value: 0.6,  min:0, max:2 },
+      shininess:  { value: 60,   min:1, max:256 },
+      specular:   { value: 0.6,  min:0, max:2 },
+      fresnel:    { value: 0.6,  min:0, max:1 },
+      envIntensity:{ value: 1,   min:0, max:2 },
       visible:    true
     })
   });
 
+const GRADIENT_TYPE = { linear: 1, radial: 2 };
+export const SMOOTHING = { none: 0, 'catmull-rom': 1, 'b-spline': 2 };
+
+/* `map` may be a texture or an image URL; URLs are loaded (and freed) here */
+const useMapTexture = (map) => {
+  const texture = useMemo(
+    () => (typeof map === 'string' ? new THREE.TextureLoader().load(map) : null),
+    [map]
+  );
+  useEffect(() => () => texture?.dispose(), [texture]);
+  return typeof map === 'string' ? texture : map ?? null;
+};
+
 /* ---------- Material factory ------------------------------------------ */
-const makeMaterial = (renderCfg) => new THREE.RawShaderMaterial({
+/* `mesh` compiles the triangulated variant of the vertex shaders */
+const meshDefines = (mesh) => (mesh ? { MESH: '' } : {});
+
+const makeMaterial = (mesh) => new THREE.RawShaderMaterial({
   vertexShader  : VERTEX_SHADER,
   fragmentShader: FRAGMENT_SHADER,
   transparent   : true,
   side          : THREE.DoubleSide,
+  defines       : meshDefines(mesh),
   uniforms: {
-    /* filled per-frame in useFrame */
+    /* filled per-frame in useFrame / right before drawing */
+    posTex     : { value: null },
+    shapeTex   : { value: null },
+    interiorTex: { value: null },
+    uBodyRow   : { value: 0 },
+    uBodyCount : { value: 1 },
+    uPointsPer : { value: 1 },
+    uSmoothing : { value: 1 },
+
+    /* the body's look, set per frame */
+    uColor        : { value: new THREE.Color() },
+    uOpacity      : { value: 1 },
+    uRimWidth     : { value: 0.08 },
+    uRimIntensity : { value: 1.4 },
+    uFillOpacity  : { value: 0 },
+    uGradient     : { value: 0 },
+    uColor2       : { value: new THREE.Color() },
+    uGradientAngle: { value: 0 },
+    uUseMap       : { value: false },
+    uMap          : { value: null },
+  }
+});
+
+const makeLitMaterial = (mesh) => new THREE.ShaderMaterial({
+  vertexShader  : LIT_VERTEX_SHADER,
+  fragmentShader: LIT_FRAGMENT_SHADER,
+  transparent   : true,
+  side          : THREE.DoubleSide,
+  lights        : true,
+  defines       : meshDefines(mesh),
+  uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.lights, {
     posTex     : { value: null },
-    uCenter    : { value: new THREE.Vector2() },
+    shapeTex   : { value: null },
+    interiorTex: { value: null },
+    restTex    : { value: null },
     uBodyRow   : { value: 0 },
     uBodyCount : { value: 1 },
     uPointsPer : { value: 1 },
-    scale      : { value: 1 },
+    uSmoothing : { value: 1 },
 
-    /* static / Leva-controlled  */
-    uColor        : { value: new THREE.Color(renderCfg.color) },
-    uOpacity      : { value: renderCfg.opacity },
-    uRimWidth     : { value: renderCfg.rimWidth },
-    uRimIntensity : { value: renderCfg.rimIntensity },
+    uColor        : { value: new THREE.Color() },
+    uOpacity      : { value: 1 },
+    uFillOpacity  : { value: 0 },
+    uGradient     : { value: 0 },
+    uColor2       : { value: new THREE.Color() },
+    uGradientAngle: { value: 0 },
+    uUseMap       : { value: false },
+    uMap          : { value: null },
+
+    uBulge        : { value: 0.6 },
+    uShininess    : { value: 60 },
+    uSpecular     : { value: 0.6 },
+    uFresnel      : { value: 0.6 },
+    uEnvIntensity : { value: 1 },
+    uUseEnv       : { value: false },
+    uEnvMap       : { value: null },
+  }])
+});
+
+const makeOutlineMaterial = () => new THREE.RawShaderMaterial({
+  vertexShader  : OUTLINE_VERTEX_SHADER,
+  fragmentShader: OUTLINE_FRAGMENT_SHADER,
+  transparent   : true,
+  side          : THREE.DoubleSide,
+  uniforms: {
+    posTex     : { value: null },
+    uBodyRow   : { value: 0 },
+    uBodyCount : { value: 1 },
+    uPointsPer : { value: 1 },
+    uSmoothing : { value: 1 },
+    uWidth     : { value: 0 },
+    uColor     : { value: new THREE.Color() },
+    uOpacity   : { value: 1 },
   }
 });
 
 /* ---------- Main component -------------------------------------------- */
+/* Look props, each falling back to the Leva `Render` panel (renderLook.js):
+     color, opacity, rimWidth, rimIntensity, fillOpacity (0 = rim only), visible
+     gradient { from, to, type?: 'linear' | 'radial', angle? }
+     map, envMap (texture or image URL), outlineColor, outlineWidth (sim units)
+     smoothing ('none' | 'catmull-rom' | 'b-spline'), subdivisions per edge
+     shading ('rim' | 'lit'), bulge, shininess, specular, fresnel, envIntensity
+   `lit` shades a glossy dome with the scene's lights and envMap (else an
+   equirectangular scene.environment). A `mesh` is drawn as its triangles,
+   the outline straight between vertices. */
 export default function SoftBodyRender({
-  posTex,          // shared position texture
-  center,          // [cx,cy] current centroid
+  sim,             // simulation (position + shape-matching targets)
   bodyRow,         // 0,1,2…
   pointsPer,       // N
-  bodyCount        // M (rows)
+  bodyCount,       // M (rows)
+  mesh,            // interior triangles and UVs (buildInterior), if any
+  renderCfg,       // useRenderConfig() values, read once by <SoftBody>
+  ...lookProps     // see RENDER_PROP_KEYS
 }) {
-  const { viewport } = useThree();
-  const renderCfg    = useRenderConfig();
-  const geom         = useTriangleFanGeometry(pointsPer);
-  const mat          = useMemo(() => makeMaterial(renderCfg), []);
+  const { scene } = useThree();
+  const look         = resolveLook(lookProps, renderCfg);
+  const map          = useMapTexture(look.map);
+  const envMap       = useMapTexture(look.envMap);
+  const subdivisions = Math.max(1, Math.round(look.subdivisions ?? 1));
+  const fanGeom      = useTriangleFanGeometry(pointsPer, subdivisions);
+  const meshGeom     = useMeshGeometry(mesh);
+  const geom         = meshGeom ?? fanGeom;
+  const outlineGeom  = useOutlineGeometry(pointsPer, subdivisions);
+  const rimMat       = useMemo(() => makeMaterial(mesh), [!!mesh]);
+  const litMat       = useMemo(() => makeLitMaterial(mesh), [!!mesh]);
+  const outlineMat   = useMemo(() => makeOutlineMaterial(), []);
+  const mat          = look.shading === 'lit' ? litMat : rimMat;
+
+  useEffect(() => () => { rimMat.dispose(); litMat.dispose(); outlineMat.dispose(); }, [rimMat, litMat, outlineMat]);
+  useEffect(() => () => { fanGeom.dispose(); outlineGeom.dispose(); }, [fanGeom, outlineGeom]);
+  useEffect(() => () => meshGeom?.dispose(), [meshGeom]);
 
   /* per-frame updates */
   useFrame(() => {
     /* skip when not visible */
-    if (!renderCfg.visible) return;
+    if (!look.visible) return;
 
     /* dynamic uniforms */
-    mat.uniforms.posTex.value      = posTex;
-    mat.uniforms.uCenter.value.set(center[0], center[1]);
-    mat.uniforms.uBodyRow.value    = bodyRow;
-    mat.uniforms.uBodyCount.value  = bodyCount;
-    mat.uniforms.uPointsPer.value  = pointsPer;
-
-    mat.uniforms.uColor.value.set(renderCfg.color);
-    mat.uniforms.uOpacity.value    = renderCfg.opacity;
-    mat.uniforms.uRimWidth.value   = renderCfg.rimWidth;
-    mat.uniforms.uRimIntensity.value = renderCfg.rimIntensity;
-
-    mat.uniforms.scale.value =
-      Math.min(viewport.width, viewport.height) * 0.5;
+    [mat, outlineMat].forEach(m => {
+      m.uniforms.uBodyRow.value    = bodyRow;
+      m.uniforms.uBodyCount.value  = bodyCount;
+      m.uniforms.uPointsPer.value  = pointsPer;
+      m.uniforms.uSmoothing.value  = SMOOTHING[look.smoothing] ?? 0;
+    });
+
+    mat.uniforms.uColor.value.set(look.color);
+    mat.uniforms.uOpacity.value    = look.opacity;
+    mat.uniforms.uFillOpacity.value  = look.fillOpacity;
+
+    if (mat === litMat) {
+      /* an envMap prop, else the scene's equirectangular environment */
+      const env = envMap ?? (scene.environment?.isCubeTexture ? null : scene.environment);
+      mat.uniforms.uBulge.value       = look.bulge;
+      mat.uniforms.uShininess.value   = look.shininess;
+      mat.uniforms.uSpecular.value    = look.specular;
+      mat.uniforms.uFresnel.value     = look.fresnel;
+      mat.uniforms.uEnvIntensity.value = look.envIntensity;
+      mat.uniforms.uUseEnv.value      = !!env;
+      mat.uniforms.uEnvMap.value      = env ?? null;
+    } else {
+      mat.uniforms.uRimWidth.value   = look.rimWidth;
+      mat.uniforms.uRimIntensity.value = look.rimIntensity;
+    }
+
+    /* a gradient replaces the flat colour */
+    const g = look.gradient;
+    mat.uniforms.uGradient.value = g ? GRADIENT_TYPE[g.type ?? 'linear'] : 0;
+    if (g) {
+      mat.uniforms.uColor.value.set(g.from);
+      mat.uniforms.uColor2.value.set(g.to);
+      mat.uniforms.uGradientAngle.value = g.angle ?? Math.PI / 2;
+    }
+
+    mat.uniforms.uUseMap.value = !!map;
+    mat.uniforms.uMap.value    = map;
+
+    outlineMat.uniforms.uColor.value.set(look.outlineColor);
+    outlineMat.uniforms.uWidth.value   = look.outlineWidth;
+    outlineMat.uniforms.uOpacity.value = look.opacity;
   });
 
-  if (!renderCfg.visible) return null;
-  return <mesh geometry={geom} material={mat} />;
+  /* the render targets swap on every step, so pick them up after this frame's steps */
+  const onBeforeRender = () => {
+    mat.uniforms.posTex.value   = stateTexture(sim, sim.posVar);
+    mat.uniforms.shapeTex.value = stateTexture(sim, sim.shapeVar);
+    if (mesh) mat.uniforms.interiorTex.value = stateTexture(sim, sim.interiorVar);
+    if (mat === litMat) mat.uniforms.restTex.value = sim.restTex;
+  };
+  const onBeforeRenderOutline = () => {
+    outlineMat.uniforms.posTex.value = stateTexture(sim, sim.posVar);
+  };
+
+  if (!look.visible) return null;
+  return (
+    <>
+      <mesh geometry={geom} material={mat} frustumCulled={false} onBeforeRender={onBeforeRender} />
+      {look.outlineWidth > 0 && (
+        <mesh
+          geometry={outlineGeom}
+          material={outlineMat}
+          renderOrder={1}
+          frustumCulled={false}
+          onBeforeRender={onBeforeRenderOutline}
+        />
+      )}
+    </>
+  );
 }
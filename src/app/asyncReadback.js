@@ -0,0 +1,79 @@
+/**************************************************************************
+ *  Async GPU readback – pixel buffer object + fence, no pipeline stall
+ **************************************************************************/
+import { useEffect, useMemo } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+
+/** Whether a read failed only because its reader was disposed. */
+export const isCancelled = (err) => err?.name === 'AbortError'
+
+/**
+ * Reads resolve a frame or two after they are requested, once poll() finds
+ * their fence signalled; WebGL1 has no PBOs or fences, so there they
+ * resolve at once. dispose() rejects the reads still in flight.
+ */
+export const createAsyncReader = (renderer) => {
+  const gl = renderer.getContext()
+  const supported = renderer.capabilities.isWebGL2
+  const pending = []
+
+  /** Reads a rectangle of a float RGBA render target. @returns {Promise<Float32Array>} */
+  const read = (renderTarget, x, y, width, height) => new Promise((resolve, reject) => {
+    const data = new Float32Array(width * height * 4)
+    if (!supported) {
+      renderer.readRenderTargetPixels(renderTarget, x, y, width, height, data)
+      resolve(data)
+      return
+    }
+
+    const buffer = gl.createBuffer()
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer)
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, data.byteLength, gl.STREAM_READ)
+
+    const previous = renderer.getRenderTarget()
+    renderer.setRenderTarget(renderTarget)
+    gl.readPixels(x, y, width, height, gl.RGBA, gl.FLOAT, 0)
+    renderer.setRenderTarget(previous)
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null)
+
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0)
+    gl.flush()
+    pending.push({ buffer, sync, data, resolve, reject })
+  })
+
+  const release = ({ buffer, sync }) => {
+    gl.deleteSync(sync)
+    gl.deleteBuffer(buffer)
+  }
+
+  // Fences signal in submission order, so stop at the first unfinished read
+  const poll = () => {
+    while (pending.length && gl.getSyncParameter(pending[0].sync, gl.SYNC_STATUS) === gl.SIGNALED) {
+      const p = pending.shift()
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, p.buffer)
+      gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, p.data)
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null)
+      release(p)
+      p.resolve(p.data)
+    }
+  }
+
+  const dispose = () => {
+    pending.forEach(p => {
+      release(p)
+      p.reject(Object.assign(new Error('SoftBody: readback cancelled, the reader was disposed'), { name: 'AbortError' }))
+    })
+    pending.length = 0
+  }
+
+  return { read, poll, dispose }
+}
+
+/** One reader per renderer, polled every frame. */
+export const useAsyncReader = () => {
+  const { gl } = useThree()
+  const reader = useMemo(() => createAsyncReader(gl), [gl])
+  useEffect(() => () => reader.dispose(), [reader])
+  useFrame(() => reader.poll())
+  return reader
+}
@@ -0,0 +1,36 @@
+/**************************************************************************
+ *  Per-body material parameters – body overrides over the Leva `Soft Body`
+ *  values, packed one texture row per body
+ **************************************************************************/
+// Texel layout of one row, in shader order (4 floats per texel)
+export const BODY_PARAM_LAYOUT = [
+  ['kSpring', 'kShape', 'pressureK', 'damping'],
+  ['mass', 'gravityScale', 'kDampSpring', 'friction'],
+  ['restitution', 'active', null, null],
+]
+
+export const BODY_PARAM_TEXELS = BODY_PARAM_LAYOUT.length
+
+// Values for keys that have no Leva control; `active` is 0 only on the
+// free rows of topology.js, which the passes skip
+const BUILTIN_DEFAULTS = { mass: 1, gravityScale: 1, active: 1 }
+
+export const resolveBodyParam = (body, cfg, key) =>
+  body[key] ?? cfg[key] ?? BUILTIN_DEFAULTS[key] ?? 0
+
+/** Packs every body's resolved parameters into `data` (BODY_PARAM_TEXELS × 4 floats per body). */
+export const packBodyParams = (data, bodies, cfg) => {
+  bodies.forEach((body, row) => {
+    BODY_PARAM_LAYOUT.forEach((keys, texel) => {
+      keys.forEach((key, c) => {
+        data[(row * BODY_PARAM_TEXELS + texel) * 4 + c] = key ? resolveBodyParam(body, cfg, key) : 0
+      })
+    })
+  })
+  return data
+}
+
+export const updateBodyParamTexture = (tex, bodies, cfg) => {
+  packBodyParams(tex.image.data, bodies, cfg)
+  tex.needsUpdate = true
+}
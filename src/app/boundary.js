@@ -0,0 +1,134 @@
+/**************************************************************************
+ *  Container boundary – what keeps the bodies on screen
+ **************************************************************************/
+import { roundedRectShape, toXY } from './shapes.js'
+
+export const BOUNDARY_TYPE = { none: 0, box: 1, circle: 2, polygon: 3 }
+
+// Loop bound for the polygon walk in the shader
+export const MAX_BOUNDARY_VERTICES = 256
+
+/**
+ * Resolves a `boundary` prop into the shape the shader understands:
+ *
+ *   { type: 'box', halfSize?: [hx, hy], center? }   default, halfSize = wallDistance
+ *   { type: 'circle', radius, center? }
+ *   { type: 'polygon', vertices: [[x, y], ...] }    concave ok
+ *   { type: 'roundedRect', width, height, radius }  a polygon
+ *   { type: 'none' }
+ *
+ * @returns {{ type: number, center: number[], halfSize: number[], radius: number, vertices: number[][] }}
+ */
+export const normalizeBoundary = (boundary, wallDistance) => {
+  const b = boundary ?? { type: 'box' }
+  const out = {
+    type: BOUNDARY_TYPE[b.type],
+    center: toXY(b.center),
+    halfSize: b.halfSize ? toXY(b.halfSize) : [wallDistance, wallDistance],
+    radius: b.radius ?? 0,
+    vertices: [],
+  }
+
+  switch (b.type) {
+    case 'none':
+    case 'box':
+    case 'circle':
+      break
+    case 'roundedRect':
+      out.type = BOUNDARY_TYPE.polygon
+      out.vertices = roundedRectShape(b.width, b.height, b.radius ?? 0)
+        .map(([x, y]) => [x + out.center[0], y + out.center[1]])
+      break
+    case 'polygon':
+      out.vertices = b.vertices.map(toXY)
+      break
+    default:
+      throw new Error(`SoftBody: unknown boundary type "${b.type}"`)
+  }
+
+  if (out.type === BOUNDARY_TYPE.polygon &&
+      (out.vertices.length < 3 || out.vertices.length > MAX_BOUNDARY_VERTICES)) {
+    throw new Error(`SoftBody: polygon boundaries need 3 to ${MAX_BOUNDARY_VERTICES} vertices, got ${out.vertices.length}`)
+  }
+  return out
+}
+
+export const createBoundaryUniforms = () => ({
+  boundaryType: { value: BOUNDARY_TYPE.box },
+  boundaryCenter: { value: [0, 0] },
+  boundaryHalf: { value: [1, 1] },
+  boundaryRadius: { value: 0 },
+  boundaryTex: { value: null },
+  boundaryCount: { value: 1 },
+})
+
+export const applyBoundaryUniforms = (uniforms, boundary) => {
+  uniforms.boundaryType.value = boundary.type
+  uniforms.boundaryCenter.value = boundary.center
+  uniforms.boundaryHalf.value = boundary.halfSize
+  uniforms.boundaryRadius.value = boundary.radius
+  uniforms.boundaryTex.value = boundary.texture
+  uniforms.boundaryCount.value = Math.max(boundary.vertices.length, 1)
+}
+
+/* ---------- GLSL ------------------------------------------------------ */
+// Expects wallK and wallDamp uniforms to be declared by the including shader
+export const BOUNDARY_GLSL = /* glsl */`
+  uniform int       boundaryType;     // 0 none, 1 box, 2 circle, 3 polygon
+  uniform vec2      boundaryCenter;
+  uniform vec2      boundaryHalf;
+  uniform float     boundaryRadius;
+  uniform sampler2D boundaryTex;
+  uniform int       boundaryCount;
+
+  vec2 penalty(float p, vec2 n, vec2 vel) {
+    return -wallK * p * n - wallDamp * dot(vel, n) * n;
+  }
+
+  vec2 boundaryVertex(int i) {
+    return texture2D(boundaryTex, vec2((float(i) + 0.5) / float(boundaryCount), 0.5)).xy;
+  }
+
+  vec2 wallForce(vec2 pos, vec2 vel) {
+    vec2 f = vec2(0.);
+
+    if (boundaryType == 1) {
+      vec2 d = pos - boundaryCenter;
+      // Right / left wall
+      if (d.x > boundaryHalf.x)       f += penalty(d.x - boundaryHalf.x, vec2( 1., 0.), vel);
+      else if (d.x < -boundaryHalf.x) f += penalty(-boundaryHalf.x - d.x, vec2(-1., 0.), vel);
+      // Top / bottom wall
+      if (d.y > boundaryHalf.y)       f += penalty(d.y - boundaryHalf.y, vec2(0.,  1.), vel);
+      else if (d.y < -boundaryHalf.y) f += penalty(-boundaryHalf.y - d.y, vec2(0., -1.), vel);
+    }
+    else if (boundaryType == 2) {
+      vec2  d = pos - boundaryCenter;
+      float l = length(d);
+      if (l > boundaryRadius) f += penalty(l - boundaryRadius, d / l, vel);
+    }
+    else if (boundaryType == 3) {
+      int   count = 0;
+      float minDist = 1e6;
+      vec2  closest = pos;
+      for (int i = 0; i < ${MAX_BOUNDARY_VERTICES}; ++i) {
+        if (i >= boundaryCount) break;
+        vec2 a = boundaryVertex(i);
+        vec2 b = boundaryVertex(i + 1 == boundaryCount ? 0 : i + 1);
+        if ((a.y > pos.y) != (b.y > pos.y)) {
+          float t = (pos.y - a.y) / (b.y - a.y);
+          if (pos.x < mix(a.x, b.x, t)) count++;
+        }
+        vec2  ab = b - a;
+        float t = clamp(dot(pos - a, ab) / (dot(ab, ab) + 1e-6), 0.0, 1.0);
+        vec2  proj = a + t * ab;
+        float d = length(pos - proj);
+        if (d < minDist) { minDist = d; closest = proj; }
+      }
+      // Outside the container: push back along the surface normal
+      if (count % 2 == 0 && minDist > 1e-6) {
+        f += penalty(minDist, (pos - closest) / minDist, vel);
+      }
+    }
+    return f;
+  }
+`
@@ -0,0 +1,80 @@
+/**************************************************************************
+ *  Contacts – per-pair contacts from the contact and pair passes' data
+ **************************************************************************/
+// The same for either order of the two ids
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`)
+
+/**
+ * Reduces per-vertex contact data to a Map of pairKey → contact (bodyA < bodyB):
+ *   { bodyA, bodyB, idA, idB, point: [x, y], depth, relativeVelocity: [vx, vy], vertexCount }
+ * with A's velocity relative to B and the vertices of both bodies involved.
+ * Works on the GPU readback and on the CPU solver's `contacts` array alike.
+ */
+export const collectContacts = (contacts, pos, numPoints, bodyCount, keys = []) => {
+  const pairs = new Map()
+
+  for (let body = 0; body < bodyCount; body++) {
+    for (let idx = 0; idx < numPoints; idx++) {
+      const base = (body * numPoints + idx) * 4
+      const code = Math.round(contacts[base]) - 1
+      if (code < 0) continue
+      const other = Math.floor(code / numPoints)
+
+      // Report every pair once, from the lower row's point of view
+      const flip = body > other
+      const bodyA = flip ? other : body, bodyB = flip ? body : other
+      const sign = flip ? -1 : 1
+
+      const idA = keys[bodyA] ?? bodyA, idB = keys[bodyB] ?? bodyB
+      const key = pairKey(idA, idB)
+      let c = pairs.get(key)
+      if (!c) {
+        c = { bodyA, bodyB, idA, idB, point: [0, 0], depth: 0, relativeVelocity: [0, 0], vertexCount: 0 }
+        pairs.set(key, c)
+      }
+      c.point[0] += pos[base]
+      c.point[1] += pos[base + 1]
+      c.relativeVelocity[0] += sign * contacts[base + 2]
+      c.relativeVelocity[1] += sign * contacts[base + 3]
+      c.depth = Math.max(c.depth, contacts[base + 1])
+      c.vertexCount++
+    }
+  }
+
+  pairs.forEach(c => {
+    c.point = c.point.map(v => v / c.vertexCount)
+    c.relativeVelocity = c.relativeVelocity.map(v => v / c.vertexCount)
+  })
+  return pairs
+}
+
+/**
+ * Decodes the pair pass's texture – `slots` neighbours per row, two texels
+ * each – into the same Map as collectContacts. A pair in both bodies'
+ * neighbour lists shows up in both rows; the first one is kept.
+ */
+export const collectPairs = (data, slots, bodyCount, keys = []) => {
+  const pairs = new Map()
+
+  for (let body = 0; body < bodyCount; body++) {
+    for (let k = 0; k < slots; k++) {
+      const base = (body * slots + k) * 8
+      const other = Math.round(data[base + 4]) - 1
+      const vertexCount = data[base + 6]
+      if (other < 0 || vertexCount === 0) continue
+
+      const bodyA = Math.min(body, other), bodyB = Math.max(body, other)
+      const idA = keys[bodyA] ?? bodyA, idB = keys[bodyB] ?? bodyB
+      const key = pairKey(idA, idB)
+      if (pairs.has(key)) continue
+      pairs.set(key, {
+        bodyA, bodyB, idA, idB,
+        point: [data[base] / vertexCount, data[base + 1] / vertexCount],
+        depth: data[base + 5],
+        relativeVelocity: [data[base + 2] / vertexCount, data[base + 3] / vertexCount],
+        vertexCount,
+      })
+    }
+  }
+  return pairs
+}
@@ -0,0 +1,63 @@
+/**************************************************************************
+ *  CPU fallback – solver.js stepping the simulation without float targets
+ **************************************************************************/
+import { createCpuSolver } from './solver.js'
+import { createFloatTexture } from './textures.js'
+
+// The pass variables of a simulation and the solver arrays standing in for them
+const STATE = [
+  ['posVar', 'pos'], ['shapeVar', 'shape'], ['bboxVar', 'bbox'],
+  ['contactVar', 'contacts'], ['neighborVar', 'neighbors'], ['interiorVar', 'interior'],
+]
+
+// Shape matching and boxes are one texel per row on the CPU
+const PER_ROW = ['shape', 'bbox']
+
+// The passes render into float targets: WebGL2 needs EXT_color_buffer_float
+// for that, WebGL1 OES_texture_float
+export const supportsFloatTargets = (renderer) =>
+  renderer.extensions.has(renderer.capabilities.isWebGL2 ? 'EXT_color_buffer_float' : 'OES_texture_float')
+
+/**
+ * CPU solver over a simulation's starting arrays. It shares the rest,
+ * param, pin and interior data textures' arrays, so edits to those apply
+ * as on the GPU; `textures` maps each pass variable to a float data
+ * texture the renderers sample in place of its render target (sampling
+ * float textures is core in WebGL2).
+ */
+export const createCpuFallback = (variables, { numPoints, bodyCount, maxNeighbors, pos, shape, bbox, rest, params, pins, interior, interiorRest, springs }) => {
+  const solver = createCpuSolver({ numPoints, bodyCount, maxNeighbors, pos, shape, bbox, rest, params, pins, interior, interiorRest, springs })
+  Object.assign(solver.state, { rest, params, pins }, interior ? { interiorRest, springs } : {})
+  const { state } = solver
+
+  const bound = STATE.filter(([name]) => variables[name])
+  const textures = new Map(bound.map(([name, key]) => [
+    variables[name],
+    createFloatTexture(state[key], PER_ROW.includes(key) ? 1 : numPoints, bodyCount),
+  ]))
+
+  // The solver swaps its buffers every compute
+  const sync = () => bound.forEach(([name, key]) => {
+    const tex = textures.get(variables[name])
+    tex.image.data = state[key]
+    tex.needsUpdate = true
+  })
+
+  return {
+    state,
+    textures,
+    /** One substep; `uniforms` as computePositions takes them. */
+    compute(uniforms) {
+      solver.compute(uniforms)
+      sync()
+    },
+    /** Overwrites solver arrays ({ pos, shape, … }), as writePositions does the targets. */
+    load(arrays) {
+      Object.entries(arrays).forEach(([key, data]) => { if (data && state[key]) state[key].set(data) })
+      sync()
+    },
+    dispose() {
+      textures.forEach(tex => tex.dispose())
+    },
+  }
+}
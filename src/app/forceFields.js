@@ -0,0 +1,243 @@
+/**************************************************************************
+ *  Force fields – external accelerations besides gravity
+ **************************************************************************/
+export const FIELD_TYPE = { attractor: 0, vortex: 1, wind: 2, custom: 3 }
+export const FIELD_FALLOFF = { none: 0, linear: 1, smooth: 2, inverseSquare: 3 }
+
+// Loop bound for the field walk in the shader
+export const MAX_FIELDS = 32
+
+// (type, strength, radius, falloff), (x, y, cosθ, sinθ), (core, a, b, c)
+// where (a, b, c) is (-, -, -) for attractors, (pull, -, -) for vortices,
+// (turbulence, noiseScale, noise phase) for wind, (snippet, -, -) for custom
+export const FIELD_TEXELS = 3
+
+const DEFAULT_RADIUS = { attractor: 0.5, vortex: 0.5, wind: 0, push: 0.15, custom: 0 }
+const DEFAULT_FALLOFF = { attractor: 'linear', vortex: 'linear', wind: 'none', push: 'smooth', custom: 'none' }
+
+const falloffCode = (f) => {
+  const code = FIELD_FALLOFF[f.falloff ?? DEFAULT_FALLOFF[f.type]]
+  if (code === undefined) throw new Error(`SoftBody: unknown force field falloff "${f.falloff}"`)
+  return code
+}
+
+/**
+ * A field definition, plus a sim-space position and angle:
+ *
+ *   { type: 'attractor', strength, radius?, falloff?, core? }   < 0 repels
+ *   { type: 'vortex',    strength, radius?, falloff?, core?, pull? }
+ *   { type: 'wind',      strength, direction?, turbulence?, noiseScale?, noiseSpeed?, radius?, falloff? }
+ *   { type: 'push',      strength?, radius?, falloff? }    at every pointer pressing beside the bodies
+ *   { type: 'custom',    glsl, strength?, radius?, falloff?, uniforms? }
+ *
+ * Fields are accelerations and skip held vertices. `radius` 0 reaches
+ * everywhere; `falloff` is 'none', 'linear', 'smooth' or 'inverseSquare'
+ * (over 1 + (d / core)²).
+ *
+ * Parameters of a field definition – [type, strength, radius, falloff] and
+ * [core, a, b, c] – plus the turn its direction adds to the field's angle.
+ * `time` is the field clock, `pushStrength` the default push strength and
+ * `snippet` the index of a custom field's GLSL.
+ */
+export const fieldParams = (f, { time = 0, pushStrength = 0, snippet = 0 } = {}) => {
+  const envelope = [f.radius ?? DEFAULT_RADIUS[f.type], falloffCode(f)]
+  const core = f.core ?? 0.05
+  switch (f.type) {
+    case 'attractor':
+      return { shape: [FIELD_TYPE.attractor, f.strength ?? 1, ...envelope], aux: [core, 0, 0, 0], turn: 0 }
+    case 'vortex':
+      return { shape: [FIELD_TYPE.vortex, f.strength ?? 1, ...envelope], aux: [core, f.pull ?? 0, 0, 0], turn: 0 }
+    case 'wind': {
+      const [dx, dy] = f.direction ?? [1, 0]
+      return {
+        shape: [FIELD_TYPE.wind, f.strength ?? 1, ...envelope],
+        aux: [core, f.turbulence ?? 0.5, f.noiseScale ?? 2, time * (f.noiseSpeed ?? 0.5)],
+        turn: Math.atan2(dy, dx),
+      }
+    }
+    case 'push':
+      return { shape: [FIELD_TYPE.attractor, -(f.strength ?? pushStrength), ...envelope], aux: [core, 0, 0, 0], turn: 0 }
+    case 'custom':
+      if (typeof f.glsl !== 'string') throw new Error('SoftBody: a custom force field needs `glsl`')
+      return { shape: [FIELD_TYPE.custom, f.strength ?? 1, ...envelope], aux: [core, snippet, 0, 0], turn: 0 }
+    default:
+      throw new Error(`SoftBody: unknown force field type "${f.type}"`)
+  }
+}
+
+/**
+ * Packs resolved fields – { shape, aux, position, angle } – into `data`.
+ */
+export const packFields = (fields, data = new Float32Array(MAX_FIELDS * FIELD_TEXELS * 4)) => {
+  fields.slice(0, MAX_FIELDS).forEach((f, i) => {
+    const base = i * FIELD_TEXELS * 4
+    data.set(f.shape, base)
+    data.set([f.position[0], f.position[1], Math.cos(f.angle), Math.sin(f.angle)], base + 4)
+    data.set(f.aux, base + 8)
+  })
+  return data
+}
+
+/* ---------- CPU mirror ------------------------------------------------ */
+// gln_simplex(vec3) of gl-noise, for the CPU solver
+const mod289 = (x) => x - 289 * Math.floor(x / 289)
+const permute = (x) => mod289((x * 34 + 1) * x)
+
+export const simplex3 = (vx, vy, vz) => {
+  const s = (vx + vy + vz) / 3
+  const i = Math.floor(vx + s), j = Math.floor(vy + s), k = Math.floor(vz + s)
+  const t = (i + j + k) / 6
+  const x0 = [vx - i + t, vy - j + t, vz - k + t]
+
+  // Simplex corners, ordered by the largest offsets
+  const g = [x0[0] >= x0[1] ? 1 : 0, x0[1] >= x0[2] ? 1 : 0, x0[2] >= x0[0] ? 1 : 0]
+  const l = g.map(c => 1 - c)
+  const i1 = [Math.min(g[0], l[2]), Math.min(g[1], l[0]), Math.min(g[2], l[1])]
+  const i2 = [Math.max(g[0], l[2]), Math.max(g[1], l[0]), Math.max(g[2], l[1])]
+  const corners = [
+    x0,
+    x0.map((c, a) => c - i1[a] + 1 / 6),
+    x0.map((c, a) => c - i2[a] + 2 / 6),
+    x0.map(c => c - 1 + 3 / 6),
+  ]
+
+  const [mi, mj, mk] = [i, j, k].map(mod289)
+  const lane = (a) => [0, i1[a], i2[a], 1]
+  const p = lane(2).map((c, n) => permute(permute(permute(mk + c) + mj + lane(1)[n]) + mi + lane(0)[n]))
+
+  // Gradients on an octahedron, 7 × 7 points
+  let sum = 0
+  p.forEach((pn, n) => {
+    const jn = pn - 49 * Math.floor(pn / 49)
+    const xi = Math.floor(jn / 7), yi = Math.floor(jn - 7 * xi)
+    let gx = xi * (2 / 7) + (0.5 / 7 - 1), gy = yi * (2 / 7) + (0.5 / 7 - 1)
+    const gz = 1 - Math.abs(gx) - Math.abs(gy)
+    if (gz <= 0) {
+      gx += (Math.floor(gx) * 2 + 1) * -1
+      gy += (Math.floor(gy) * 2 + 1) * -1
+    }
+    const norm = 1.79284291400159 - 0.85373472095314 * (gx * gx + gy * gy + gz * gz)
+    const [cx, cy, cz] = corners[n]
+    const m = Math.max(0.6 - (cx * cx + cy * cy + cz * cz), 0)
+    sum += m * m * m * m * norm * (gx * cx + gy * cy + gz * cz)
+  })
+  return 42 * sum
+}
+
+// Mirrors fieldFalloff in FIELD_GLSL
+const fieldFalloff = (radius, falloff, core, d) => {
+  if (radius > 0 && d >= radius) return 0
+  const t = radius > 0 ? d / radius : 0
+  if (falloff === FIELD_FALLOFF.none) return 1
+  if (falloff === FIELD_FALLOFF.linear) return 1 - t
+  if (falloff === FIELD_FALLOFF.smooth) return 1 - t * t * (3 - 2 * t)
+  return core * core / (d * d + core * core)
+}
+
+/**
+ * Mirrors fieldForce in FIELD_GLSL: the acceleration the packed fields
+ * `{ data, count }` give a vertex at (x, y). Skips custom fields.
+ */
+export const fieldForce = ({ data, count }, x, y) => {
+  let ax = 0, ay = 0
+  for (let f = 0; f < Math.min(count, MAX_FIELDS); f++) {
+    const base = f * FIELD_TEXELS * 4
+    const [type, strength, radius, falloff, fx, fy, c, s, core, a, b, phase] = data.subarray(base, base + 12)
+    const dx = x - fx, dy = y - fy
+    const d = Math.hypot(dx, dy)
+    const w = fieldFalloff(radius, falloff, core, d) * strength
+    if (w === 0) continue
+    const nx = d > 1e-6 ? dx / d : 0, ny = d > 1e-6 ? dy / d : 0
+
+    if (type === FIELD_TYPE.attractor) {
+      ax -= nx * w; ay -= ny * w
+    } else if (type === FIELD_TYPE.vortex) {
+      ax += -ny * w - a * nx * Math.abs(w)
+      ay += nx * w - a * ny * Math.abs(w)
+    } else if (type === FIELD_TYPE.wind) {
+      const n0 = simplex3(x * b, y * b, phase)
+      const n1 = simplex3(x * b + 31.4, y * b + 17.7, phase)
+      ax += (c + a * n0) * w
+      ay += (s + a * n1) * w
+    }
+  }
+  return [ax, ay]
+}
+
+/* ---------- GLSL ------------------------------------------------------ */
+// `force` of each custom snippet, renamed so several can live side by side
+const customForces = (snippets) => /* glsl */`
+  ${snippets.map((glsl, i) => `
+#define force customForce${i}
+${glsl}
+#undef force
+`).join('')}
+  vec2 customForce(int snippet, vec2 p, vec2 v, int body) {
+    ${snippets.map((_, i) => `if (snippet == ${i}) return customForce${i}(p, v, body, fieldTime);`).join('\n    ')}
+    return vec2(0.0);
+  }
+`
+
+/**
+ * Field uniforms and fieldForce(pos, vel, body) – the acceleration every
+ * field gives a vertex – with the custom `snippets` compiled in. Expects
+ * gl-noise's Common and Simplex chunks from the including shader.
+ *
+ * A snippet defines `vec2 force(vec2 p, vec2 v, int body, float time)` in
+ * the field's frame and may declare uniforms (values from `uniforms`) and
+ * call gln_* noise; helper names must be unique across snippets. The CPU
+ * solver has no version of them.
+ */
+export const fieldGlsl = (snippets = []) => /* glsl */`
+  uniform sampler2D fieldTex;
+  uniform int       fieldCount;
+  uniform float     fieldTime;   // seconds of simulated time
+
+  vec4 fieldTexel(int f, int texel) {
+    return texture2D(fieldTex, vec2(
+      (float(texel) + 0.5) / float(${FIELD_TEXELS}),
+      (float(f)     + 0.5) / float(${MAX_FIELDS})
+    ));
+  }
+
+  float fieldFalloff(vec4 shp, float core, float d) {
+    if (shp.z > 0.0 && d >= shp.z) return 0.0;
+    float t = shp.z > 0.0 ? d / shp.z : 0.0;
+    if (shp.w < 0.5) return 1.0;                                    // none
+    if (shp.w < 1.5) return 1.0 - t;                                // linear
+    if (shp.w < 2.5) return 1.0 - t * t * (3.0 - 2.0 * t);          // smooth
+    return core * core / (d * d + core * core);                     // inverse square
+  }
+${customForces(snippets)}
+  vec2 fieldForce(vec2 p, vec2 v, int body) {
+    vec2 a = vec2(0.0);
+    for (int f = 0; f < ${MAX_FIELDS}; ++f) {
+      if (f >= fieldCount) break;
+      vec4 shp = fieldTexel(f, 0);
+      vec4 xf  = fieldTexel(f, 1);
+      vec4 aux = fieldTexel(f, 2);
+
+      vec2  d   = p - xf.xy;
+      float len = length(d);
+      float w   = fieldFalloff(shp, aux.x, len) * shp.y;
+      if (w == 0.0) continue;
+      vec2  n   = len > 1e-6 ? d / len : vec2(0.0);
+
+      if (shp.x < 0.5) {                                            // attractor
+        a -= n * w;
+      } else if (shp.x < 1.5) {                                     // vortex
+        a += vec2(-n.y, n.x) * w - aux.y * n * abs(w);
+      } else if (shp.x < 2.5) {                                     // wind
+        vec3 s = vec3(p * aux.z, aux.w);
+        vec2 gust = vec2(gln_simplex(s), gln_simplex(s + vec3(31.4, 17.7, 0.0)));
+        a += (xf.zw + aux.y * gust) * w;
+      } else {                                                      // custom, in its frame
+        vec2 lp = vec2(xf.z * d.x + xf.w * d.y, -xf.w * d.x + xf.z * d.y);
+        vec2 lv = vec2(xf.z * v.x + xf.w * v.y, -xf.w * v.x + xf.z * v.y);
+        vec2 g  = customForce(int(aux.y + 0.5), lp, lv, body);
+        a += vec2(xf.z * g.x - xf.w * g.y, xf.w * g.x + xf.z * g.y) * w;
+      }
+    }
+    return a;
+  }
+`
@@ -0,0 +1,107 @@
+/**************************************************************************
+ *  GPU state access – synchronous reads and writes of the simulation
+ *  state, for occasional edits rather than every frame
+ **************************************************************************/
+import { computeBBoxes, computeContacts, computeNeighbors, computeShapeMatch } from './solver'
+import { placeInterior } from './interior'
+
+/** Texture a renderer samples `variable` (a pass of sim) from. */
+export const stateTexture = (sim, variable) =>
+  sim.cpu ? sim.cpu.textures.get(variable) : sim.gpu.getCurrentRenderTarget(variable).texture
+
+/**
+ * Rectangle of `variable`'s current state through `reader` (see
+ * asyncReadback.js); straight from the solver's arrays on the CPU fallback.
+ * @returns {Promise<Float32Array>}
+ */
+export const readState = (reader, sim, variable, x, y, width, height) => {
+  if (!sim.cpu) return reader.read(sim.gpu.getCurrentRenderTarget(variable), x, y, width, height)
+  const { data, width: rowWidth } = sim.cpu.textures.get(variable).image
+  const out = new Float32Array(width * height * 4)
+  for (let row = 0; row < height; row++) {
+    const from = ((y + row) * rowWidth + x) * 4
+    out.set(data.subarray(from, from + width * 4), row * width * 4)
+  }
+  return Promise.resolve(out)
+}
+
+/** Reads the whole current `texturePos` target: (x, y, vx, vy) per vertex. */
+export const readPositions = (gl, sim) => {
+  if (sim.cpu) return Float32Array.from(sim.cpu.state.pos)
+  const data = new Float32Array(sim.numPoints * sim.bodyCount * 4)
+  gl.readRenderTargetPixels(
+    sim.gpu.getCurrentRenderTarget(sim.posVar), 0, 0, sim.numPoints, sim.bodyCount, data
+  )
+  return data
+}
+
+// Uploads a full-size data array into a render target through the
+// renderer's pass-through shader
+const uploadTexture = (gpu, data, renderTarget) => {
+  const tex = gpu.createTexture()
+  tex.image.data.set(data)
+  gpu.renderTexture(tex, renderTarget)
+  tex.dispose()
+}
+
+// Expands one texel per row to the full texture width
+export const fillRows = (perRow, numPoints, bodyCount) => {
+  const out = new Float32Array(numPoints * bodyCount * 4)
+  for (let row = 0; row < bodyCount; row++) {
+    const texel = perRow.subarray(row * 4, row * 4 + 4)
+    for (let i = 0; i < numPoints; i++) out.set(texel, (row * numPoints + i) * 4)
+  }
+  return out
+}
+
+/**
+ * Replaces `texturePos` with `data` and refreshes the shape-matching,
+ * bounding-box, broadphase and contact targets to match, so the next step
+ * doesn't pull vertices back towards their old centroid or react to stale
+ * contacts. Interior vertices are put back on their goals around the new
+ * outlines, rather than left where the springs would yank them from.
+ */
+export const writePositions = (sim, data, rest) => {
+  const { gpu, posVar, shapeVar, bboxVar, contactVar, neighborVar, interiorVar, numPoints, bodyCount, maxNeighbors } = sim
+  const shape = computeShapeMatch(data, rest, numPoints, bodyCount)
+  const bbox = computeBBoxes(data, sim.bodyParamTex.image.data, numPoints, bodyCount)
+  const interior = interiorVar && placeInterior(sim.interiorRestTex.image.data, shape, data, numPoints, bodyCount)
+  const margin = neighborVar.material.uniforms.margin.value
+  const neighbors = computeNeighbors(bbox, numPoints, bodyCount, maxNeighbors, margin)
+  const slop = contactVar.material.uniforms.contactSlop.value
+  const contacts = computeContacts(data, bbox, neighbors, numPoints, bodyCount, slop)
+
+  if (sim.cpu) {
+    sim.cpu.load({ pos: data, shape, bbox, interior, neighbors, contacts })
+    return
+  }
+  uploadTexture(gpu, data, gpu.getCurrentRenderTarget(posVar))
+  uploadTexture(gpu, fillRows(shape, numPoints, bodyCount), gpu.getCurrentRenderTarget(shapeVar))
+  uploadTexture(gpu, fillRows(bbox, numPoints, bodyCount), gpu.getCurrentRenderTarget(bboxVar))
+  if (interiorVar) uploadTexture(gpu, interior, gpu.getCurrentRenderTarget(interiorVar))
+  uploadTexture(gpu, neighbors, gpu.getCurrentRenderTarget(neighborVar))
+  uploadTexture(gpu, contacts, gpu.getCurrentRenderTarget(contactVar))
+}
+
+/**
+ * Full simulation state: positions and velocities, rest shapes and pins,
+ * tagged with the layout (vertex count, body keys) they belong to.
+ */
+export const readSnapshot = (gl, sim) => ({
+  numPoints: sim.numPoints,
+  bodyCount: sim.bodyCount,
+  keys: [...sim.keys],
+  pos: readPositions(gl, sim),
+  rest: Float32Array.from(sim.restTex.image.data),
+  pins: Float32Array.from(sim.pinTex.image.data),
+})
+
+/** Puts a snapshot back; the caller checks it fits the simulation's layout. */
+export const writeSnapshot = (sim, snapshot) => {
+  sim.restTex.image.data.set(snapshot.rest)
+  sim.restTex.needsUpdate = true
+  sim.pinTex.image.data.set(snapshot.pins ?? new Float32Array(sim.pinTex.image.data.length))
+  sim.pinTex.needsUpdate = true
+  sim.edits.pins = sim.edits.rest = true
+  writePositions(sim, snapshot.pos, sim.restTex.image.data)
+}
@@ -0,0 +1,355 @@
+/**************************************************************************
+ *  Interior structure – vertices and springs inside the outline
+ **************************************************************************/
+import { resampleClosed, signedArea, svgPathToPoints } from './shapes.js'
+
+// Spring slots per vertex in the spring texture
+export const MAX_SPRINGS = 8
+
+const DEFAULT_RINGS = 2
+
+// 'rings', 'mesh' or null
+export const interiorType = (body) => (body.holes?.length ? 'mesh' : body.interior ?? null)
+
+// Cheap identity used next to shapeSignature to decide when to rebuild
+export const interiorSignature = (body) =>
+  interiorType(body) ? JSON.stringify([interiorType(body), body.rings, body.holes, body.anisotropy]) : ''
+
+/* ---------- Polygon helpers ------------------------------------------- */
+const perimeter = (pts) => pts.reduce((sum, [x0, y0], i) => {
+  const [x1, y1] = pts[(i + 1) % pts.length]
+  return sum + Math.hypot(x1 - x0, y1 - y0)
+}, 0)
+
+// Even-odd test, like the collision pass
+const inside = ([x, y], pts) => {
+  let count = 0
+  pts.forEach(([ax, ay], i) => {
+    const [bx, by] = pts[(i + 1) % pts.length]
+    if ((ay > y) !== (by > y) && x < ax + (bx - ax) * (y - ay) / (by - ay)) count++
+  })
+  return count % 2 === 1
+}
+
+const distanceTo = ([x, y], pts) => Math.min(...pts.map(([ax, ay], i) => {
+  const [bx, by] = pts[(i + 1) % pts.length]
+  const abx = bx - ax, aby = by - ay
+  const t = Math.min(Math.max(((x - ax) * abx + (y - ay) * aby) / (abx * abx + aby * aby + 1e-12), 0), 1)
+  return Math.hypot(x - ax - t * abx, y - ay - t * aby)
+}))
+
+const holeOutline = (hole) => {
+  const pts = typeof hole === 'string' ? svgPathToPoints(hole) : hole
+  if (!Array.isArray(pts) || pts.length < 3) {
+    throw new Error('SoftBody: each of `holes` must be an SVG path string or an array of at least 3 [x, y] points')
+  }
+  return signedArea(pts) < 0 ? [...pts].reverse() : pts
+}
+
+/* ---------- Rings ----------------------------------------------------- */
+
+// Triangles between two closed rows of codes running the same way round,
+// advancing whichever row's next vertex comes first by arc position
+const zip = (a, b) => {
+  const triangles = []
+  let i = 0, j = 0
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && (i + 1) / a.length <= (j + 1) / b.length)) {
+      triangles.push([a[i], a[(i + 1) % a.length], b[j % b.length]])
+      i++
+    } else {
+      triangles.push([a[i % a.length], b[(j + 1) % b.length], b[j]])
+      j++
+    }
+  }
+  return triangles
+}
+
+// Vertices per ring, by scale, within the numPoints - 1 left beside the center
+const ringCounts = (scales, numPoints) => {
+  const total = scales.reduce((a, b) => a + b, 0)
+  return scales.map(s => Math.max(3, Math.floor((numPoints - 1) * s / total)))
+}
+
+const buildRings = (outline, numPoints, requested) => {
+  let scales = []
+  for (let rings = Math.max(1, Math.round(requested)); rings >= 1; rings--) {
+    scales = Array.from({ length: rings }, (_, k) => 1 - (k + 1) / (rings + 1))
+    if (ringCounts(scales, numPoints).reduce((a, b) => a + b, 0) <= numPoints - 1) break
+  }
+
+  const points = [], triangles = []
+  let outer = outline.map((_, i) => i)
+  ringCounts(scales, numPoints).forEach((count, k) => {
+    const ring = resampleClosed(outline, count).map(([x, y]) => [x * scales[k], y * scales[k]])
+    const codes = ring.map((_, j) => numPoints + points.length + j)
+    points.push(...ring)
+    triangles.push(...zip(outer, codes))
+    outer = codes
+  })
+
+  points.push([0, 0])
+  const center = numPoints + points.length - 1
+  outer.forEach((code, j) => triangles.push([code, outer[(j + 1) % outer.length], center]))
+  return { points, triangles }
+}
+
+/* ---------- Mesh ------------------------------------------------------ */
+
+// Bowyer–Watson; counter-clockwise index triples into `pts`. Points are
+// nudged by a fixed tiny jitter first: the vertices of a circle all lie on
+// one circumcircle, which leaves the algorithm undecided between overlapping
+// triangles
+const delaunay = (pts) => {
+  const xs = pts.map(p => p[0]), ys = pts.map(p => p[1])
+  const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)]
+  const size = Math.max(x1 - x0, y1 - y0, 1e-6)
+  const mx = (x0 + x1) / 2, my = (y0 + y1) / 2
+  const n = pts.length
+  const jitter = (i, axis) => {
+    const h = Math.sin(i * 12.9898 + axis * 78.233) * 43758.5453
+    return (h - Math.floor(h) - 0.5) * size * 1e-6
+  }
+  const all = [
+    ...pts.map(([x, y], i) => [x + jitter(i, 0), y + jitter(i, 1)]),
+    [mx - 20 * size, my - 10 * size], [mx + 20 * size, my - 10 * size], [mx, my + 20 * size],
+  ]
+
+  const triangle = (a, b, c) => {
+    const [[ax, ay], [bx, by], [cx, cy]] = [all[a], all[b], all[c]]
+    const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by))
+    const [a2, b2, c2] = [ax * ax + ay * ay, bx * bx + by * by, cx * cx + cy * cy]
+    const ux = (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d
+    const uy = (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d
+    return { v: d > 0 ? [a, b, c] : [a, c, b], x: ux, y: uy, r: Math.hypot(ax - ux, ay - uy) }
+  }
+
+  let triangles = [triangle(n, n + 1, n + 2)]
+  all.slice(0, n).forEach(([px, py], i) => {
+    const bad = triangles.filter(t => !(Math.hypot(px - t.x, py - t.y) >= t.r))
+    // The hole they leave is bounded by the edges only one of them has
+    const edges = new Map()
+    bad.forEach(({ v }) => v.forEach((a, k) => {
+      const b = v[(k + 1) % 3]
+      const key = a < b ? `${a},${b}` : `${b},${a}`
+      edges.set(key, edges.has(key) ? null : [a, b])
+    }))
+    triangles = triangles.filter(t => !bad.includes(t))
+    edges.forEach(edge => { if (edge) triangles.push(triangle(edge[0], edge[1], i)) })
+  })
+  return triangles.filter(({ v }) => v.every(k => k < n)).map(({ v }) => v)
+}
+
+// Hexagonal lattice through the center, kept half a spacing clear of every outline
+const lattice = (outline, holes, spacing) => {
+  const xs = outline.map(p => p[0]), ys = outline.map(p => p[1])
+  const dy = spacing * Math.sqrt(3) / 2
+  const points = []
+  for (let r = Math.floor(Math.min(...ys) / dy); r <= Math.ceil(Math.max(...ys) / dy); r++) {
+    const shift = Math.abs(r) % 2 ? spacing / 2 : 0
+    for (let c = Math.floor(Math.min(...xs) / spacing) - 1; c <= Math.ceil(Math.max(...xs) / spacing); c++) {
+      const p = [c * spacing + shift, r * dy]
+      if (!inside(p, outline) || holes.some(h => inside(p, h))) continue
+      if ([outline, ...holes].some(pts => distanceTo(p, pts) < spacing / 2)) continue
+      points.push(p)
+    }
+  }
+  return points
+}
+
+const buildMesh = (outline, holes, numPoints) => {
+  // Hole outlines get vertices in proportion to their perimeter, like the
+  // outer outline, then the lattice takes what is left
+  const around = perimeter(outline)
+  const wanted = holes.map(h => numPoints * perimeter(h) / around)
+  const fit = Math.min(1, numPoints / Math.max(wanted.reduce((a, b) => a + b, 0), 1))
+  const holeRings = holes.map((h, i) => resampleClosed(h, Math.max(3, Math.floor(wanted[i] * fit))))
+  const budget = numPoints - holeRings.reduce((sum, ring) => sum + ring.length, 0)
+  if (budget < 0) throw new Error('SoftBody: `holes` need more vertices than numPoints allows')
+
+  let points = []
+  if (budget > 0) {
+    const area = Math.abs(signedArea(outline)) - holes.reduce((sum, h) => sum + Math.abs(signedArea(h)), 0)
+    let spacing = Math.max(around / numPoints, Math.sqrt(2 * Math.max(area, 0) / (Math.sqrt(3) * budget)))
+    for (points = lattice(outline, holes, spacing); points.length > budget; points = lattice(outline, holes, spacing)) {
+      spacing *= 1.05
+    }
+  }
+  points = [...holeRings.flat(), ...points]
+
+  // Outline vertices come first, so an index into `all` is the vertex code
+  const all = [...outline, ...points]
+  const triangles = delaunay(all).filter(t => {
+    const c = [0, 1].map(axis => t.reduce((sum, k) => sum + all[k][axis], 0) / 3)
+    return inside(c, outline) && !holes.some(h => inside(c, h))
+  })
+  return { points, triangles }
+}
+
+/* ---------- Springs and UVs ------------------------------------------- */
+
+// Triangle edges other than the outline's own ring, shortest first, left
+// out once either end has MAX_SPRINGS; both ends list every spring, so the
+// forces stay equal and opposite
+const springsOf = (triangles, all, numPoints, [kx, ky]) => {
+  const edges = new Map()
+  triangles.forEach(t => t.forEach((a, k) => {
+    const b = t[(k + 1) % 3]
+    const ring = a < numPoints && b < numPoints && ((a + 1) % numPoints === b || (b + 1) % numPoints === a)
+    if (!ring) edges.set(a < b ? `${a},${b}` : `${b},${a}`, [Math.min(a, b), Math.max(a, b)])
+  }))
+
+  const used = new Map()
+  const take = (code) => used.set(code, (used.get(code) ?? 0) + 1)
+  return [...edges.values()]
+    .map(([a, b]) => {
+      const dx = all[b][0] - all[a][0], dy = all[b][1] - all[a][1]
+      const length = Math.hypot(dx, dy)
+      return [a, b, length, (kx * dx * dx + ky * dy * dy) / Math.max(length * length, 1e-12)]
+    })
+    .sort((p, q) => p[2] - q[2])
+    .filter(([a, b]) => {
+      if ((used.get(a) ?? 0) >= MAX_SPRINGS || (used.get(b) ?? 0) >= MAX_SPRINGS) return false
+      take(a); take(b)
+      return true
+    })
+}
+
+// Rim UV like the triangle fan's: the outline on the unit circle around
+// 0.5, inner points by their share of the way out along the same ray
+const rimUv = ([x, y], outline) => {
+  const len = Math.hypot(x, y)
+  if (len < 1e-9) return [0.5, 0.5]
+  const dx = x / len, dy = y / len
+
+  let reach = Infinity
+  outline.forEach(([ax, ay], i) => {
+    const [bx, by] = outline[(i + 1) % outline.length]
+    const ex = bx - ax, ey = by - ay
+    const den = dx * ey - dy * ex
+    if (Math.abs(den) < 1e-12) return
+    const t = (ax * ey - ay * ex) / den
+    const s = (ax * dy - ay * dx) / den
+    if (s >= 0 && s <= 1 && t >= len * (1 - 1e-6)) reach = Math.min(reach, t)
+  })
+  const r = Number.isFinite(reach) ? len / reach : 1
+  return [0.5 + 0.5 * dx * r, 0.5 + 0.5 * dy * r]
+}
+
+/**
+ * The interior of a body around its rest outline (buildRestShape output),
+ * or null when it has none:
+ *
+ *   interior: 'rings', rings?: 2   outline copies scaled towards its center
+ *   interior: 'mesh'               a Delaunay-triangulated lattice
+ *   holes: [outline, …]            SVG paths or [x, y] points; imply 'mesh'
+ *   anisotropy: [kx, ky]           spring stiffness along rest x and y
+ *
+ * Outline vertex i has code i, interior vertex j numPoints + j, at most
+ * numPoints of them. Interior vertices don't collide with other bodies.
+ *
+ * @returns {{ points: number[][], springs: number[][], triangles: number[][], uvs: number[][] }}
+ *   `points` are rest offsets of the interior vertices, `springs`
+ *   [codeA, codeB, rest length, stiffness scale], `triangles` code triples
+ *   covering the body and `uvs` the rim UV of every code.
+ */
+export const buildInterior = (body, restShape, numPoints) => {
+  const type = interiorType(body)
+  if (!type) return null
+  if (type !== 'rings' && type !== 'mesh') throw new Error("SoftBody: `interior` must be 'rings' or 'mesh'")
+
+  const outline = restShape.positions
+  const { points, triangles } = type === 'rings'
+    ? buildRings(outline, numPoints, body.rings ?? DEFAULT_RINGS)
+    : buildMesh(outline, body.holes?.map(holeOutline) ?? [], numPoints)
+  const all = [...outline, ...points]
+  return {
+    points,
+    triangles,
+    springs: springsOf(triangles, all, numPoints, body.anisotropy ?? [1, 1]),
+    uvs: all.map(p => rimUv(p, outline)),
+  }
+}
+
+/* ---------- Texture data ---------------------------------------------- */
+
+/**
+ * interiorRest and springs texture contents for every row (null = none):
+ * interiorRest (qx, qy, active, -) per interior vertex; springs
+ * numPoints × MAX_SPRINGS wide, rows body·2 (outline) and body·2 + 1
+ * (interior) of (other code + 1 or 0, rest length, stiffness scale, -).
+ */
+export const packInterior = (interiors, numPoints) => {
+  const bodyCount = interiors.length
+  const rest = new Float32Array(numPoints * bodyCount * 4)
+  const springs = new Float32Array(numPoints * MAX_SPRINGS * bodyCount * 2 * 4)
+
+  interiors.forEach((interior, row) => {
+    if (!interior) return
+    interior.points.forEach(([x, y], j) => rest.set([x, y, 1, 0], (row * numPoints + j) * 4))
+
+    const slots = new Map()
+    interior.springs.forEach(([a, b, length, scale]) => [[a, b], [b, a]].forEach(([from, to]) => {
+      const k = slots.get(from) ?? 0
+      slots.set(from, k + 1)
+      const layer = from < numPoints ? 0 : 1
+      const texel = ((row * 2 + layer) * numPoints + from - layer * numPoints) * MAX_SPRINGS + k
+      springs.set([to + 1, length, scale, 0], texel * 4)
+    }))
+  })
+  return { rest, springs }
+}
+
+/**
+ * textureInterior contents with every interior vertex at its shape-matching
+ * goal R·q + T, moving at the mean velocity of its outline; inactive texels
+ * stay zero. `shape` holds one (cx, cy, cosθ, sinθ) texel per row.
+ */
+export const placeInterior = (interiorRest, shape, pos, numPoints, bodyCount, out = new Float32Array(interiorRest.length)) => {
+  for (let row = 0; row < bodyCount; row++) {
+    const [tx, ty, c, s] = shape.subarray(row * 4, row * 4 + 4)
+    let vx = 0, vy = 0
+    for (let i = 0; i < numPoints; i++) {
+      vx += pos[(row * numPoints + i) * 4 + 2] / numPoints
+      vy += pos[(row * numPoints + i) * 4 + 3] / numPoints
+    }
+    for (let j = 0; j < numPoints; j++) {
+      const t = (row * numPoints + j) * 4
+      const [qx, qy, active] = interiorRest.subarray(t, t + 3)
+      out.set(active > 0.5 ? [c * qx - s * qy + tx, s * qx + c * qy + ty, vx, vy] : [0, 0, 0, 0], t)
+    }
+  }
+  return out
+}
+
+/* ---------- GLSL ------------------------------------------------------ */
+// Expects I_N, B_N, uvFromIndex and the texturePos / textureInterior
+// dependencies from the including shader
+export const INTERIOR_GLSL = /* glsl */`
+  uniform sampler2D springTex;
+
+  // Vertex by code: outline vertex, or I_N + interior vertex
+  vec4 meshVertex(int body, int code) {
+    return code < I_N
+      ? texture2D(texturePos, uvFromIndex(body, code))
+      : texture2D(textureInterior, uvFromIndex(body, code - I_N));
+  }
+
+  // Springs of vertex idx of a layer (0 outline, 1 interior) to the rest of the mesh
+  vec2 meshSprings(int body, int layer, int idx, vec2 pos, vec2 vel, float kSpring, float kDampSpring) {
+    vec2 f = vec2(0.0);
+    for (int k = 0; k < ${MAX_SPRINGS}; ++k) {
+      vec4 s = texture2D(springTex, vec2(
+        (float(idx * ${MAX_SPRINGS} + k) + 0.5) / float(I_N * ${MAX_SPRINGS}),
+        (float(body * 2 + layer) + 0.5) / float(B_N * 2)
+      ));
+      if (s.x < 0.5) break;
+      vec4  o   = meshVertex(body, int(s.x + 0.5) - 1);
+      vec2  ab  = o.xy - pos;
+      float d   = length(ab);
+      vec2  dir = d > 1e-6 ? ab / d : vec2(0.0);
+      f += (kSpring * s.z * (d - s.y) + kDampSpring * dot(dir, o.zw - vel)) * dir;
+    }
+    return f;
+  }
+`
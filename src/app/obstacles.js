@@ -0,0 +1,110 @@
+/**************************************************************************
+ *  Obstacles – static and kinematic colliders the bodies deform around
+ **************************************************************************/
+// { type: 'circle', radius }, { type: 'box', size: [w, h], cornerRadius? } or
+// { type: 'segment', length, thickness? } (a capsule along local x)
+export const OBSTACLE_TYPE = { circle: 0, box: 1, segment: 2 }
+
+// Loop bound for the obstacle walk in the shader
+export const MAX_OBSTACLES = 64
+
+// (type, a, b, c), (x, y, cosθ, sinθ), (vx, vy, ω, 0)
+export const OBSTACLE_TEXELS = 3
+
+/** Shape parameters (a, b, c) of an obstacle definition, in sim units. */
+export const obstacleShapeParams = (o) => {
+  switch (o.type) {
+    case 'circle':
+      return [OBSTACLE_TYPE.circle, o.radius, 0, 0]
+    case 'box': {
+      const [w, h] = o.size
+      const r = Math.min(o.cornerRadius ?? 0, w / 2, h / 2)
+      return [OBSTACLE_TYPE.box, w / 2, h / 2, r]
+    }
+    case 'segment':
+      return [OBSTACLE_TYPE.segment, o.length / 2, (o.thickness ?? 0.02) / 2, 0]
+    default:
+      throw new Error(`SoftBody: unknown obstacle type "${o.type}"`)
+  }
+}
+
+/**
+ * Packs resolved obstacles – { shape: [type, a, b, c], position, angle,
+ * velocity, angularVelocity } – into `data`.
+ */
+export const packObstacles = (obstacles, data = new Float32Array(MAX_OBSTACLES * OBSTACLE_TEXELS * 4)) => {
+  obstacles.slice(0, MAX_OBSTACLES).forEach((o, i) => {
+    const base = i * OBSTACLE_TEXELS * 4
+    data.set(o.shape, base)
+    data.set([o.position[0], o.position[1], Math.cos(o.angle), Math.sin(o.angle)], base + 4)
+    data.set([o.velocity[0], o.velocity[1], o.angularVelocity, 0], base + 8)
+  })
+  return data
+}
+
+/* ---------- Signed distances ------------------------------------------ */
+// Local-frame SDFs, shared by the CPU solver; `p` is relative to the obstacle
+export const obstacleSdf = (type, a, b, c, px, py) => {
+  if (type === OBSTACLE_TYPE.circle) return Math.hypot(px, py) - a
+  if (type === OBSTACLE_TYPE.box) {
+    const qx = Math.abs(px) - (a - c), qy = Math.abs(py) - (b - c)
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - c
+  }
+  const cx = Math.min(Math.max(px, -a), a)
+  return Math.hypot(px - cx, py) - b
+}
+
+/* ---------- GLSL ------------------------------------------------------ */
+export const OBSTACLE_GLSL = /* glsl */`
+  uniform sampler2D obstacleTex;
+  uniform int       obstacleCount;
+
+  vec4 obstacleTexel(int o, int texel) {
+    return texture2D(obstacleTex, vec2(
+      (float(texel) + 0.5) / float(${OBSTACLE_TEXELS}),
+      (float(o)     + 0.5) / float(${MAX_OBSTACLES})
+    ));
+  }
+
+  float obstacleSdf(vec4 shp, vec2 p) {
+    if (shp.x < 0.5) return length(p) - shp.y;                       // circle
+    if (shp.x < 1.5) {                                               // rounded box
+      vec2 q = abs(p) - (shp.yz - shp.w);
+      return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - shp.w;
+    }
+    return length(p - vec2(clamp(p.x, -shp.y, shp.y), 0.0)) - shp.z;  // segment
+  }
+
+  // Pushes a vertex out of every obstacle it ended up in and applies the
+  // contact response relative to the moving surface. Expects
+  // contactResponse(rel, n, mu, e) to be defined by the including shader.
+  void collideObstacles(inout vec2 p, inout vec2 v, float mu, float e) {
+    for (int o = 0; o < ${MAX_OBSTACLES}; ++o) {
+      if (o >= obstacleCount) break;
+      vec4 shp = obstacleTexel(o, 0);
+      vec4 xf  = obstacleTexel(o, 1);
+      vec4 mv  = obstacleTexel(o, 2);
+
+      // World → obstacle frame (rotate by -θ)
+      vec2 d = p - xf.xy;
+      vec2 local = vec2(xf.z * d.x + xf.w * d.y, -xf.w * d.x + xf.z * d.y);
+      float sd = obstacleSdf(shp, local);
+      if (sd >= 0.0) continue;
+
+      // Surface normal from the SDF gradient, rotated back by θ
+      const float h = 1e-4;
+      vec2 g = vec2(
+        obstacleSdf(shp, local + vec2(h, 0.0)) - obstacleSdf(shp, local - vec2(h, 0.0)),
+        obstacleSdf(shp, local + vec2(0.0, h)) - obstacleSdf(shp, local - vec2(0.0, h))
+      );
+      g = length(g) > 1e-9 ? normalize(g) : vec2(0.0, 1.0);
+      vec2 n = vec2(xf.z * g.x - xf.w * g.y, xf.w * g.x + xf.z * g.y);
+
+      p -= n * sd;
+
+      vec2 r = p - xf.xy;
+      vec2 surfVel = mv.xy + mv.z * vec2(-r.y, r.x);
+      v += contactResponse(v - surfVel, n, mu, e);
+    }
+  }
+`
@@ -0,0 +1,52 @@
+/**************************************************************************
+ *  Picking – which body, and which point of its outline, is under a pointer
+ **************************************************************************/
+
+/** Even-odd test of (x, y) against the outline of body `row`. */
+export const insideOutline = (pos, numPoints, row, x, y) => {
+  const base = row * numPoints * 4
+  let count = 0
+  for (let i = 0; i < numPoints; i++) {
+    const a = base + i * 4, b = base + ((i + 1) % numPoints) * 4
+    if ((pos[a + 1] > y) !== (pos[b + 1] > y)) {
+      const t = (y - pos[a + 1]) / (pos[b + 1] - pos[a + 1])
+      if (x < pos[a] + (pos[b] - pos[a]) * t) count++
+    }
+  }
+  return count % 2 === 1
+}
+
+/**
+ * Closest point to (x, y) on the outline of body `row`.
+ * @returns {{ s: number, point: number[], distance: number }}
+ */
+export const closestOutlinePoint = (pos, numPoints, row, x, y) => {
+  const base = row * numPoints * 4
+  let best = { s: 0, point: [pos[base], pos[base + 1]], distance: Infinity }
+  for (let i = 0; i < numPoints; i++) {
+    const a = base + i * 4, b = base + ((i + 1) % numPoints) * 4
+    const abx = pos[b] - pos[a], aby = pos[b + 1] - pos[a + 1]
+    const t = Math.min(Math.max(((x - pos[a]) * abx + (y - pos[a + 1]) * aby) / (abx * abx + aby * aby + 1e-12), 0), 1)
+    const px = pos[a] + t * abx, py = pos[a + 1] + t * aby
+    const distance = Math.hypot(x - px, y - py)
+    if (distance < best.distance) best = { s: i + t, point: [px, py], distance }
+  }
+  return best
+}
+
+/**
+ * Body under (x, y): one containing the point wins (the last row when they
+ * overlap, as it is drawn on top), else the nearest outline within
+ * `tolerance`. @returns {{ row: number, s: number, point: number[] } | null}
+ */
+export const pickBody = (pos, numPoints, bodyCount, x, y, tolerance = 0) => {
+  let near = null
+  for (let row = bodyCount - 1; row >= 0; row--) {
+    const closest = closestOutlinePoint(pos, numPoints, row, x, y)
+    if (insideOutline(pos, numPoints, row, x, y)) return { row, s: closest.s, point: closest.point }
+    if (closest.distance <= tolerance && (!near || closest.distance < near.distance)) {
+      near = { row, ...closest }
+    }
+  }
+  return near && { row: near.row, s: near.s, point: near.point }
+}
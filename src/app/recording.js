@@ -0,0 +1,149 @@
+/**************************************************************************
+ *  Recordings, snapshots and frame exports – the serialisable formats
+ **************************************************************************/
+
+export const RECORDING_FORMAT = 'r3f-softbody-recording'
+export const FRAMES_FORMAT = 'r3f-softbody-frames'
+export const RECORDING_VERSION = 1
+
+const FRAMES_MAGIC = 'SBFR'
+const FRAMES_HEADER_BYTES = 24
+
+/* ---------- Float arrays ↔ base64 ------------------------------------ */
+export const encodeFloats = (data) => {
+  const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+export const decodeFloats = (text) => {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return new Float32Array(bytes.buffer)
+}
+
+// Accepts both the in-memory (Float32Array) and the JSON (base64) form
+const floats = (v) => (typeof v === 'string' ? decodeFloats(v) : v)
+
+/* ---------- Snapshots -------------------------------------------------- */
+// { numPoints, bodyCount, keys, pos, rest, pins }, float arrays as base64
+export const serializeSnapshot = (snapshot) => ({
+  numPoints: snapshot.numPoints,
+  bodyCount: snapshot.bodyCount,
+  keys: [...snapshot.keys],
+  pos: encodeFloats(snapshot.pos),
+  rest: encodeFloats(snapshot.rest),
+  pins: snapshot.pins ? encodeFloats(snapshot.pins) : null,
+})
+
+export const deserializeSnapshot = (snapshot) => ({
+  ...snapshot,
+  pos: floats(snapshot.pos),
+  rest: floats(snapshot.rest),
+  pins: snapshot.pins ? floats(snapshot.pins) : null,
+})
+
+/** Throws unless `snapshot` was taken from a simulation with sim's layout. */
+export const checkSnapshotLayout = (snapshot, sim) => {
+  if (snapshot.numPoints !== sim.numPoints || snapshot.keys.join('|') !== sim.keys.join('|')) {
+    throw new Error(
+      `SoftBody: snapshot of [${snapshot.keys}] × ${snapshot.numPoints} points ` +
+      `doesn't fit [${sim.keys}] × ${sim.numPoints} points`
+    )
+  }
+}
+
+/* ---------- Recordings ------------------------------------------------- */
+// { format, version, config, snapshot, steps } – the state at the first step,
+// then each fixed step's inputs: { drags?, write?, obstacles?, fields?,
+// pins?, rest? }, textures only when they changed
+export const checkRecording = (recording) => {
+  if (recording?.format !== RECORDING_FORMAT) throw new Error('SoftBody: not a recording')
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(`SoftBody: recording version ${recording.version} is newer than ${RECORDING_VERSION}`)
+  }
+  return recording
+}
+
+/* ---------- Frame export ----------------------------------------------- */
+/**
+ * Encodes captured texturePos frames as JSON text or as an ArrayBuffer:
+ *   json    { format, version, numPoints, keys, timeStep, frames: [frame][body][x, y, …] }
+ *   binary  'SBFR', uint32 version, numPoints, bodyCount, frameCount,
+ *           float32 timeStep, then float32 x, y per vertex, body by body,
+ *           frame by frame (little endian)
+ * @param {Float32Array[]} frames
+ * @param {{ numPoints: number, keys: string[], timeStep: number }} meta
+ * @param {'json' | 'binary'} format
+ */
+export const encodeFrames = (frames, { numPoints, keys, timeStep }, format = 'json') => {
+  const bodyCount = keys.length
+
+  if (format === 'json') {
+    return JSON.stringify({
+      format: FRAMES_FORMAT,
+      version: RECORDING_VERSION,
+      numPoints,
+      keys,
+      timeStep,
+      frames: frames.map(data => keys.map((_, row) => {
+        const xy = []
+        for (let i = 0; i < numPoints; i++) {
+          const base = (row * numPoints + i) * 4
+          xy.push(data[base], data[base + 1])
+        }
+        return xy
+      })),
+    })
+  }
+
+  if (format !== 'binary') throw new Error(`SoftBody: unknown frame format "${format}"`)
+  const perFrame = bodyCount * numPoints * 2
+  const buffer = new ArrayBuffer(FRAMES_HEADER_BYTES + frames.length * perFrame * 4)
+  const view = new DataView(buffer)
+  for (let i = 0; i < 4; i++) view.setUint8(i, FRAMES_MAGIC.charCodeAt(i))
+  view.setUint32(4, RECORDING_VERSION, true)
+  view.setUint32(8, numPoints, true)
+  view.setUint32(12, bodyCount, true)
+  view.setUint32(16, frames.length, true)
+  view.setFloat32(20, timeStep, true)
+
+  let offset = FRAMES_HEADER_BYTES
+  frames.forEach(data => {
+    for (let v = 0; v < bodyCount * numPoints; v++) {
+      view.setFloat32(offset, data[v * 4], true)
+      view.setFloat32(offset + 4, data[v * 4 + 1], true)
+      offset += 8
+    }
+  })
+  return buffer
+}
+
+/**
+ * Reads the binary frame format back.
+ * @returns {{ numPoints: number, bodyCount: number, timeStep: number, frames: Float32Array[] }}
+ *   each frame holds x, y per vertex, body by body
+ */
+export const decodeFrames = (buffer) => {
+  const view = new DataView(buffer)
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4))
+  if (magic !== FRAMES_MAGIC) throw new Error('SoftBody: not a frame export')
+
+  const numPoints = view.getUint32(8, true)
+  const bodyCount = view.getUint32(12, true)
+  const frameCount = view.getUint32(16, true)
+  const timeStep = view.getFloat32(20, true)
+  const perFrame = bodyCount * numPoints * 2
+
+  const frames = Array.from({ length: frameCount }, (_, f) => {
+    const out = new Float32Array(perFrame)
+    const base = FRAMES_HEADER_BYTES + f * perFrame * 4
+    for (let i = 0; i < perFrame; i++) out[i] = view.getFloat32(base + i * 4, true)
+    return out
+  })
+  return { numPoints, bodyCount, timeStep, frames }
+}
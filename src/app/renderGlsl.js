@@ -0,0 +1,83 @@
+/**************************************************************************
+ *  Render GLSL – outline curve and surface colour for the body passes
+ **************************************************************************/
+
+// Outline curve through the simulated vertices, shared by the fill and
+// the stroke: curve(s) = (point, tangent) at s ∈ [0, N), s = edge + t
+export const CURVE_GLSL = /* glsl */`
+uniform sampler2D posTex;
+uniform float uBodyRow;     // 0,1,2…
+uniform float uBodyCount;   // total rows
+uniform float uPointsPer;   // vertices per body (N)
+uniform int   uSmoothing;   // 0 polyline, 1 Catmull-Rom, 2 cubic B-spline
+
+/* helper: convert (row , col) → texcoord */
+vec2 texUV(float row, float col){
+    return vec2( (col + 0.5) / uPointsPer,
+                 (row + 0.5) / uBodyCount );
+}
+
+vec2 simPos(float col){
+    return texture2D(posTex, texUV(uBodyRow, mod(col + uPointsPer, uPointsPer))).xy;
+}
+
+vec4 curve(float s){
+    float i = floor(s);
+    float t = s - i;
+    vec2 p0 = simPos(i - 1.0), p1 = simPos(i), p2 = simPos(i + 1.0), p3 = simPos(i + 2.0);
+    float t2 = t * t, t3 = t2 * t;
+
+    if (uSmoothing == 1) {
+        vec2 b = p2 - p0;
+        vec2 c = 2.0*p0 - 5.0*p1 + 4.0*p2 - p3;
+        vec2 d = -p0 + 3.0*p1 - 3.0*p2 + p3;
+        return vec4(p1 + 0.5 * (b*t + c*t2 + d*t3), 0.5 * (b + 2.0*c*t + 3.0*d*t2));
+    }
+    if (uSmoothing == 2) {
+        float u = 1.0 - t;
+        vec2 p = (u*u*u*p0 + (3.0*t3 - 6.0*t2 + 4.0)*p1 + (-3.0*t3 + 3.0*t2 + 3.0*t + 1.0)*p2 + t3*p3) / 6.0;
+        vec2 d = (-u*u*p0 + (3.0*t2 - 4.0*t)*p1 + (-3.0*t2 + 2.0*t + 1.0)*p2 + t2*p3) * 0.5;
+        return vec4(p, d);
+    }
+    /* polyline: corners take the average of their two edges */
+    return vec4(mix(p1, p2, t), t < 1e-4 ? 0.5 * (p2 - p0) : p2 - p1);
+}
+
+/* Triangulated bodies: vertices by code, outline vertex or N + interior vertex */
+#ifdef MESH
+uniform sampler2D interiorTex;
+attribute float aVertex;
+
+vec2 meshPos(){
+    return aVertex < uPointsPer
+        ? simPos(aVertex)
+        : texture2D(interiorTex, texUV(uBodyRow, aVertex - uPointsPer)).xy;
+}
+#endif
+`
+
+// Surface colour of both shadings: flat, gradient or texture, by rim UV
+export const BASE_COLOR_GLSL = /* glsl */`
+uniform vec3  uColor;
+uniform float uOpacity;
+uniform float uFillOpacity;   // alpha of the interior, relative to uOpacity
+
+uniform int   uGradient;      // 0 none, 1 linear, 2 radial
+uniform vec3  uColor2;        // gradient end colour
+uniform float uGradientAngle; // linear: direction of uColor → uColor2
+
+uniform bool      uUseMap;
+uniform sampler2D uMap;
+
+vec4 baseColor(vec2 uv){
+    vec3 base = uColor;
+    if (uGradient == 1) {
+        vec2  dir = vec2(cos(uGradientAngle), sin(uGradientAngle));
+        base = mix(uColor, uColor2, clamp(dot(uv - 0.5, dir) + 0.5, 0.0, 1.0));
+    } else if (uGradient == 2) {
+        base = mix(uColor, uColor2, clamp(distance(uv, vec2(0.5)) * 2.0, 0.0, 1.0));
+    }
+    vec4 tex = uUseMap ? texture2D(uMap, uv) : vec4(1.0);
+    return vec4(base * tex.rgb, tex.a);
+}
+`
@@ -0,0 +1,19 @@
+/**************************************************************************
+ *  Body looks – body render props against the Leva `Render` panel
+ **************************************************************************/
+
+// Leva-backed keys; gradient, map and envMap are props only
+export const RENDER_PROP_KEYS = [
+  'color', 'opacity', 'rimWidth', 'rimIntensity', 'fillOpacity',
+  'outlineColor', 'outlineWidth', 'smoothing', 'subdivisions',
+  'shading', 'bulge', 'shininess', 'specular', 'fresnel', 'envIntensity',
+  'visible', 'gradient', 'map', 'envMap',
+]
+
+// A prop wins over the panel unless the panel's override is on
+export const resolveLook = (props, renderCfg) => Object.fromEntries(
+  RENDER_PROP_KEYS.map(key => {
+    const fromPanel = key in renderCfg && (renderCfg.override || props[key] === undefined)
+    return [key, fromPanel ? renderCfg[key] : props[key]]
+  })
+)
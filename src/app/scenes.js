@@ -0,0 +1,274 @@
+/**************************************************************************
+ *  Scene presets – bodies, physics, boundary and render settings as JSON
+ **************************************************************************/
+import { levaStore } from 'leva'
+import { BODY_PARAM_LAYOUT } from './bodyParams.js'
+import { normalizeBoundary } from './boundary.js'
+import { circleShape, rectShape, roundedRectShape, starShape, svgPathToPoints, toXY } from './shapes.js'
+import { TOPOLOGY_KEYS } from './topology.js'
+
+export const SCENE_FORMAT = 'r3f-softbody-scene'
+export const SCENE_VERSION = 1
+
+// Settings a scene may carry, with the Leva folder they live in
+const PHYSICS_FOLDER = 'Soft Body'
+const RENDER_FOLDER = 'Render'
+
+export const PHYSICS_KEYS = [
+  'kShape', 'pressureK', 'kSpring', 'damping', 'wallK', 'wallDamp', 'gravityX', 'gravityY',
+  'numPoints', 'wallDistance', 'pushStrength', 'kDrag', 'kDampSpring',
+  'friction', 'restitution', 'timeStep', 'substeps', 'tearStretch', 'mergeDelay',
+]
+export const RENDER_KEYS = {
+  override: 'boolean', color: 'string', opacity: 'number', rimWidth: 'number', rimIntensity: 'number',
+  fillOpacity: 'number', outlineColor: 'string', outlineWidth: 'number', smoothing: 'string',
+  subdivisions: 'number', shading: 'string', bulge: 'number', shininess: 'number', specular: 'number',
+  fresnel: 'number', envIntensity: 'number', visible: 'boolean', renderMode: 'string', gooThreshold: 'number', gooBlur: 'number',
+}
+
+// Per-body look props (see SoftBodyRender); `map` and `envMap` can only be URLs in a file
+const BODY_LOOK_KEYS = {
+  opacity: 'number', rimWidth: 'number', rimIntensity: 'number', fillOpacity: 'number',
+  outlineColor: 'string', outlineWidth: 'number', smoothing: 'string', subdivisions: 'number',
+  shading: 'string', bulge: 'number', shininess: 'number', specular: 'number', fresnel: 'number',
+  envIntensity: 'number', visible: 'boolean', map: 'string', envMap: 'string',
+}
+
+const SMOOTHING_MODES = ['none', 'catmull-rom', 'b-spline']
+const RENDER_MODES = ['rim', 'goo']
+const SHADINGS = ['rim', 'lit']
+const INTERIORS = ['rings', 'mesh']
+
+const MATERIAL_KEYS = [...BODY_PARAM_LAYOUT.flat().filter(Boolean), ...TOPOLOGY_KEYS]
+
+/* ---------- Validation -------------------------------------------------- */
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+const isPoint = (v) => Array.isArray(v) && v.length === 2 && v.every(isNumber)
+const describe = (v) => (v === undefined ? 'nothing' : JSON.stringify(v))
+
+// An SVG path or at least 3 [x, y] points; the error, or null
+const outlineError = (outline) => {
+  if (typeof outline === 'string') {
+    try { svgPathToPoints(outline) } catch (err) { return err.message }
+    return null
+  }
+  return Array.isArray(outline) && outline.length >= 3 && outline.every(isPoint)
+    ? null : 'expected an SVG path or at least 3 [x, y] points'
+}
+
+const validateBody = (body, path, errors) => {
+  const fail = (key, expected) => errors.push(`${path}.${key}: expected ${expected}, got ${describe(body[key])}`)
+
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push(`${path}: expected a body object, got ${describe(body)}`)
+    return
+  }
+  if (body.id != null && typeof body.id !== 'string' && !isNumber(body.id)) fail('id', 'a string or number')
+  if (body.center == null || !isPoint(toXY(body.center))) fail('center', '[x, y]')
+  if (body.color != null && typeof body.color !== 'string') fail('color', 'a CSS color string')
+  if (body.radius != null && !(isNumber(body.radius) && body.radius > 0)) fail('radius', 'a positive number')
+
+  if (body.shape == null) {
+    if (body.radius == null) fail('radius', 'a positive number (or a shape)')
+  } else if (typeof body.shape === 'string') {
+    try { svgPathToPoints(body.shape) } catch (err) { errors.push(`${path}.shape: ${err.message}`) }
+  } else if (!Array.isArray(body.shape) || body.shape.length < 3 || !body.shape.every(isPoint)) {
+    fail('shape', 'an SVG path or at least 3 [x, y] points')
+  }
+
+  // Interior structure, see interior.js
+  if (body.interior != null && !INTERIORS.includes(body.interior)) {
+    fail('interior', INTERIORS.map(m => `'${m}'`).join(' | '))
+  }
+  if (body.rings != null && !(Number.isInteger(body.rings) && body.rings > 0)) fail('rings', 'a positive integer')
+  if (body.holes != null) {
+    if (!Array.isArray(body.holes)) fail('holes', 'an array of outlines')
+    else body.holes.forEach((hole, i) => {
+      const error = outlineError(hole)
+      if (error) errors.push(`${path}.holes[${i}]: ${error}, got ${describe(hole)}`)
+    })
+  }
+  if (body.anisotropy != null && !(isPoint(body.anisotropy) && body.anisotropy.every(k => k >= 0))) {
+    fail('anisotropy', '[kx, ky], both at least 0')
+  }
+
+  MATERIAL_KEYS.forEach(key => {
+    if (body[key] != null && !isNumber(body[key])) fail(key, 'a number')
+  })
+  Object.entries(BODY_LOOK_KEYS).forEach(([key, type]) => {
+    if (body[key] != null && typeof body[key] !== type) fail(key, `a ${type}`)
+  })
+  const g = body.gradient
+  if (g != null && (typeof g !== 'object' || typeof g.from !== 'string' || typeof g.to !== 'string' ||
+      (g.type != null && g.type !== 'linear' && g.type !== 'radial') || (g.angle != null && !isNumber(g.angle)))) {
+    fail('gradient', "{ from, to, type?: 'linear' | 'radial', angle? }")
+  }
+  if (typeof body.smoothing === 'string' && !SMOOTHING_MODES.includes(body.smoothing)) {
+    fail('smoothing', SMOOTHING_MODES.map(m => `'${m}'`).join(' | '))
+  }
+  if (typeof body.shading === 'string' && !SHADINGS.includes(body.shading)) {
+    fail('shading', SHADINGS.map(m => `'${m}'`).join(' | '))
+  }
+}
+
+/**
+ * Checks a parsed scene file; throws one Error listing every problem by
+ * path ("bodies[2].radius: expected a positive number, got -1"):
+ *
+ *   { format: 'r3f-softbody-scene', version: 1, name?, bodies: [{ id?, center, … }],
+ *     boundary?, physics?: { kShape, … }, render?: { color, … } }
+ *
+ * physics and render hold Leva `Soft Body` and `Render` values; settings
+ * a scene leaves out keep their current values.
+ * @returns the scene, unchanged
+ */
+export const validateScene = (scene) => {
+  const errors = []
+
+  if (scene === null || typeof scene !== 'object' || Array.isArray(scene)) {
+    throw new Error('SoftBody scene: expected a JSON object')
+  }
+  if (scene.format !== SCENE_FORMAT) {
+    errors.push(`format: expected "${SCENE_FORMAT}", got ${describe(scene.format)}`)
+  }
+  if (!Number.isInteger(scene.version) || scene.version < 1) {
+    errors.push(`version: expected a positive integer, got ${describe(scene.version)}`)
+  } else if (scene.version > SCENE_VERSION) {
+    errors.push(`version: ${scene.version} is newer than this app supports (${SCENE_VERSION})`)
+  }
+
+  if (!Array.isArray(scene.bodies) || scene.bodies.length === 0) {
+    errors.push(`bodies: expected a non-empty array, got ${describe(scene.bodies)}`)
+  } else {
+    scene.bodies.forEach((body, i) => validateBody(body, `bodies[${i}]`, errors))
+    const ids = scene.bodies.map((b, i) => String(b?.id ?? i))
+    ids.forEach((id, i) => {
+      if (ids.indexOf(id) !== i) errors.push(`bodies[${i}].id: "${id}" is used by bodies[${ids.indexOf(id)}] too`)
+    })
+  }
+
+  if (scene.boundary != null) {
+    try { normalizeBoundary(scene.boundary, 1) } catch (err) { errors.push(`boundary: ${err.message}`) }
+  }
+
+  Object.entries(scene.physics ?? {}).forEach(([key, value]) => {
+    if (!PHYSICS_KEYS.includes(key)) errors.push(`physics.${key}: unknown setting`)
+    else if (!isNumber(value)) errors.push(`physics.${key}: expected a number, got ${describe(value)}`)
+  })
+  Object.entries(scene.render ?? {}).forEach(([key, value]) => {
+    if (!(key in RENDER_KEYS)) errors.push(`render.${key}: unknown setting`)
+    else if (typeof value !== RENDER_KEYS[key]) errors.push(`render.${key}: expected a ${RENDER_KEYS[key]}, got ${describe(value)}`)
+    else if (key === 'renderMode' && !RENDER_MODES.includes(value)) {
+      errors.push(`render.renderMode: expected ${RENDER_MODES.map(m => `'${m}'`).join(' | ')}, got ${describe(value)}`)
+    }
+  })
+
+  if (errors.length) throw new Error(`SoftBody scene is invalid:\n  ${errors.join('\n  ')}`)
+  return scene
+}
+
+/** Parses and validates scene JSON text. */
+export const parseScene = (text) => {
+  let scene
+  try {
+    scene = JSON.parse(text)
+  } catch (err) {
+    throw new Error(`SoftBody scene is not valid JSON: ${err.message}`)
+  }
+  return validateScene(scene)
+}
+
+/* ---------- Leva settings ----------------------------------------------- */
+// Current values of the given folder keys; folders that aren't mounted are skipped
+const readFolder = (folder, keys) => Object.fromEntries(
+  keys.map(key => [key, levaStore.get(`${folder}.${key}`)]).filter(([, v]) => v !== undefined)
+)
+
+/** The physics and render settings currently in the Leva panel. */
+export const captureSettings = () => ({
+  physics: readFolder(PHYSICS_FOLDER, PHYSICS_KEYS),
+  render: readFolder(RENDER_FOLDER, Object.keys(RENDER_KEYS)),
+})
+
+/** Pushes a scene's physics and render settings into the Leva panel. */
+export const applySettings = ({ physics = {}, render = {} }) => {
+  const paths = {}
+  const add = (folder, values) => Object.entries(values).forEach(([key, v]) => {
+    if (levaStore.getInput(`${folder}.${key}`)) paths[`${folder}.${key}`] = v
+  })
+  add(PHYSICS_FOLDER, physics)
+  add(RENDER_FOLDER, render)
+  levaStore.set(paths, false)
+}
+
+/** Scene JSON for a body list, boundary and the current settings. */
+export const createScene = ({ name, bodies, boundary }) => ({
+  format: SCENE_FORMAT,
+  version: SCENE_VERSION,
+  ...(name ? { name } : {}),
+  bodies: bodies.map(({ center, ...body }) => ({ ...body, center: [...toXY(center)] })),
+  ...(boundary ? { boundary } : {}),
+  ...captureSettings(),
+})
+
+/* ---------- Built-in presets -------------------------------------------- */
+const preset = (name, bodies, physics, render, boundary) => validateScene({
+  format: SCENE_FORMAT, version: SCENE_VERSION, name, bodies, physics, render, ...(boundary ? { boundary } : {}),
+})
+
+export const BUILTIN_SCENES = {
+  // Soft, slow to recover and barely bouncy
+  jelly: preset('jelly', [
+    { id: 'jelly-a', radius: 0.2, center: [-0.45, 0.3], color: '#ff7eb6' },
+    { id: 'jelly-b', radius: 0.16, center: [0.1, 0.45], color: '#ffb86b' },
+    { id: 'jelly-c', radius: 0.24, center: [0.45, -0.1], color: '#b48bff' },
+    { id: 'jelly-d', shape: roundedRectShape(0.45, 0.25, 0.08), center: [-0.2, -0.45], color: '#7effc5' },
+  ], {
+    kShape: 150, pressureK: 80, kSpring: 20, damping: 0.3, kDampSpring: 0.5,
+    friction: 0.5, restitution: 0.05, gravityY: -5,
+  }, { opacity: 0.8, rimWidth: 0.12, rimIntensity: 1.8, fillOpacity: 0.35 }),
+
+  // Held round by internal pressure, light and bouncy, in a round bowl
+  balloon: preset('balloon', [
+    {
+      id: 'balloon-a', radius: 0.22, center: [-0.3, 0.2], color: '#ff5a5a', gravityScale: 0.4,
+      gradient: { type: 'radial', from: '#ffc2c2', to: '#ff5a5a' },
+    },
+    { id: 'balloon-b', radius: 0.18, center: [0.3, 0.35], color: '#5ac8ff', gravityScale: 0.4 },
+    { id: 'balloon-c', radius: 0.26, center: [0.05, -0.35], color: '#ffd95a', gravityScale: 0.4 },
+  ], {
+    kShape: 60, pressureK: 200, kSpring: 80, damping: 0.2, kDampSpring: 2,
+    friction: 0.2, restitution: 0.6, gravityY: -3,
+  }, { opacity: 0.75, rimWidth: 0.05, rimIntensity: 2.5, fillOpacity: 0.25 }, { type: 'circle', radius: 0.9 }),
+
+  // Keeps its shape, grips and bounces back
+  'stiff rubber': preset('stiff rubber', [
+    { id: 'rubber-a', shape: roundedRectShape(0.4, 0.4, 0.05), center: [-0.4, 0.3], color: '#3d3d48' },
+    { id: 'rubber-b', shape: starShape(0.22, 0.11), center: [0.3, 0.35], color: '#e0533d' },
+    { id: 'rubber-c', radius: 0.2, center: [0.0, -0.35], color: '#2f6fd6' },
+  ], {
+    kShape: 900, pressureK: 120, kSpring: 90, damping: 1, kDampSpring: 4,
+    friction: 0.9, restitution: 0.5, gravityY: -8,
+  }, { opacity: 1, rimWidth: 0.04, rimIntensity: 1.2, fillOpacity: 1, outlineWidth: 0.008, outlineColor: '#111111' }),
+
+  // Tears when pulled apart, fuses again when squeezed together
+  slime: preset('slime', [
+    { id: 'slime', radius: 0.3, center: [0, 0.1], color: '#7ee05a', tearStretch: 2.5, mergeDelay: 1 },
+    { id: 'drop-a', radius: 0.12, center: [-0.5, -0.4], color: '#7ee05a', tearStretch: 2.5, mergeDelay: 1 },
+    { id: 'drop-b', radius: 0.12, center: [0.5, -0.4], color: '#7ee05a', tearStretch: 2.5, mergeDelay: 1 },
+  ], {
+    kShape: 80, pressureK: 120, kSpring: 15, damping: 0.5, kDampSpring: 0.5,
+    friction: 0.6, restitution: 0, gravityY: -5,
+  }, { opacity: 0.85, rimWidth: 0.1, rimIntensity: 1.5, fillOpacity: 0.5 }),
+
+  // Built from the inside: a donut, a ringed blob and a plank that bends
+  // more easily across its length than along it
+  structures: preset('structures', [
+    { id: 'donut', radius: 0.25, holes: [circleShape(0.1, 24)], center: [-0.4, 0.3], color: '#ffb347' },
+    { id: 'rings', shape: roundedRectShape(0.35, 0.3, 0.1), interior: 'rings', rings: 2, center: [0.35, 0.35], color: '#6bd1ff' },
+    { id: 'plank', shape: rectShape(0.6, 0.12), interior: 'mesh', anisotropy: [3, 0.3], center: [0, -0.35], color: '#c38bff' },
+  ], {
+    numPoints: 48, kShape: 60, pressureK: 40, kSpring: 40, damping: 0.5, kDampSpring: 1,
+    friction: 0.5, restitution: 0.1, gravityY: -5,
+  }, { opacity: 0.9, rimWidth: 0.08, rimIntensity: 1.6, fillOpacity: 0.6 }),
+}
@@ -0,0 +1,279 @@
+/**************************************************************************
+ *  Rest shapes – outlines a soft body relaxes towards (closed, counter-
+ *  clockwise [x, y] polylines without a repeated first point)
+ **************************************************************************/
+
+// Accepts [x, y], { x, y } or THREE.Vector2
+export const toXY = (v) => (Array.isArray(v) ? v : v ? [v.x, v.y] : [0, 0])
+
+/* ---------- Primitive outlines ---------------------------------------- */
+export const circleShape = (radius, segments = 64) =>
+  Array.from({ length: segments }, (_, i) => {
+    const angle = (i / segments) * Math.PI * 2
+    return [radius * Math.cos(angle), radius * Math.sin(angle)]
+  })
+
+export const polygonShape = (sides, radius) => circleShape(radius, sides)
+
+export const starShape = (outerRadius, innerRadius, spikes = 5) =>
+  Array.from({ length: spikes * 2 }, (_, i) => {
+    const angle = (i / (spikes * 2)) * Math.PI * 2 + Math.PI / 2
+    const r = i % 2 === 0 ? outerRadius : innerRadius
+    return [r * Math.cos(angle), r * Math.sin(angle)]
+  })
+
+export const rectShape = (width, height) => [
+  [-width / 2, -height / 2],
+  [ width / 2, -height / 2],
+  [ width / 2,  height / 2],
+  [-width / 2,  height / 2],
+]
+
+export const roundedRectShape = (width, height, radius, cornerSegments = 8) => {
+  const r = Math.min(radius, width / 2, height / 2)
+  if (r <= 0) return rectShape(width, height)
+
+  const hx = width / 2 - r, hy = height / 2 - r
+  const corners = [[hx, -hy, -Math.PI / 2], [hx, hy, 0], [-hx, hy, Math.PI / 2], [-hx, -hy, Math.PI]]
+  return corners.flatMap(([cx, cy, start]) =>
+    Array.from({ length: cornerSegments + 1 }, (_, i) => {
+      const a = start + (i / cornerSegments) * Math.PI / 2
+      return [cx + r * Math.cos(a), cy + r * Math.sin(a)]
+    })
+  )
+}
+
+/* ---------- SVG path parsing ------------------------------------------ */
+const CURVE_STEPS = 16
+
+const bezier2 = (p0, p1, p2, t) => {
+  const u = 1 - t
+  return [
+    u * u * p0[0] + 2 * u * t * p1[0] + t * t * p2[0],
+    u * u * p0[1] + 2 * u * t * p1[1] + t * t * p2[1],
+  ]
+}
+
+const bezier3 = (p0, p1, p2, p3, t) => {
+  const u = 1 - t
+  return [
+    u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+    u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1],
+  ]
+}
+
+// Elliptical arc, endpoint → center parameterization (SVG spec F.6.5)
+const arcPoints = (p0, rx, ry, phiDeg, largeArc, sweep, p1) => {
+  if (rx === 0 || ry === 0) return [p1]
+  rx = Math.abs(rx); ry = Math.abs(ry)
+  const phi = phiDeg * Math.PI / 180
+  const cosP = Math.cos(phi), sinP = Math.sin(phi)
+
+  const dx = (p0[0] - p1[0]) / 2, dy = (p0[1] - p1[1]) / 2
+  const x1 =  cosP * dx + sinP * dy
+  const y1 = -sinP * dx + cosP * dy
+
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry)
+  if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda) }
+
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1
+  const k = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den))
+  const cx1 =  k * rx * y1 / ry
+  const cy1 = -k * ry * x1 / rx
+
+  const cx = cosP * cx1 - sinP * cy1 + (p0[0] + p1[0]) / 2
+  const cy = sinP * cx1 + cosP * cy1 + (p0[1] + p1[1]) / 2
+
+  const theta1 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx)
+  let dTheta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - theta1
+  if (!sweep && dTheta > 0) dTheta -= Math.PI * 2
+  if (sweep && dTheta < 0) dTheta += Math.PI * 2
+
+  return Array.from({ length: CURVE_STEPS }, (_, i) => {
+    const t = theta1 + dTheta * (i + 1) / CURVE_STEPS
+    const ex = rx * Math.cos(t), ey = ry * Math.sin(t)
+    return [cosP * ex - sinP * ey + cx, sinP * ex + cosP * ey + cy]
+  })
+}
+
+const PARAM_COUNT = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 }
+
+/**
+ * Flattens the first subpath of an SVG path string into a polyline.
+ * Supports M L H V C S Q T A Z (absolute and relative). The y axis is
+ * flipped so the outline appears upright in simulation space.
+ */
+export const svgPathToPoints = (d) => {
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) ?? []
+  const points = []
+  let cur = [0, 0], start = [0, 0]
+  let lastCtrl = null, lastCmd = ''
+  let i = 0, cmd = ''
+
+  const num = () => {
+    const v = parseFloat(tokens[i++])
+    if (Number.isNaN(v)) throw new Error(`svgPathToPoints: malformed path near token ${i} in "${d}"`)
+    return v
+  }
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++]
+    else if (!cmd) throw new Error(`svgPathToPoints: path must start with a command, got "${tokens[i]}"`)
+
+    const upper = cmd.toUpperCase()
+    if (!(upper in PARAM_COUNT)) throw new Error(`svgPathToPoints: unsupported command "${cmd}"`)
+    const rel = cmd !== upper
+    const ox = rel ? cur[0] : 0, oy = rel ? cur[1] : 0
+
+    // Only the first closed outline defines the body
+    if (upper === 'M' && points.length > 1) break
+
+    switch (upper) {
+      case 'M': {
+        cur = [ox + num(), oy + num()]
+        start = cur
+        points.push(cur)
+        cmd = rel ? 'l' : 'L'          // implicit lineto for extra pairs
+        break
+      }
+      case 'L': cur = [ox + num(), oy + num()]; points.push(cur); break
+      case 'H': cur = [ox + num(), cur[1]]; points.push(cur); break
+      case 'V': cur = [cur[0], oy + num()]; points.push(cur); break
+      case 'C': case 'S': {
+        let c1
+        if (upper === 'C') c1 = [ox + num(), oy + num()]
+        else c1 = lastCtrl && 'CS'.includes(lastCmd)
+          ? [2 * cur[0] - lastCtrl[0], 2 * cur[1] - lastCtrl[1]]
+          : cur
+        const c2 = [ox + num(), oy + num()]
+        const end = [ox + num(), oy + num()]
+        for (let s = 1; s <= CURVE_STEPS; s++) points.push(bezier3(cur, c1, c2, end, s / CURVE_STEPS))
+        lastCtrl = c2; cur = end
+        break
+      }
+      case 'Q': case 'T': {
+        const c = upper === 'Q'
+          ? [ox + num(), oy + num()]
+          : lastCtrl && 'QT'.includes(lastCmd)
+            ? [2 * cur[0] - lastCtrl[0], 2 * cur[1] - lastCtrl[1]]
+            : cur
+        const end = [ox + num(), oy + num()]
+        for (let s = 1; s <= CURVE_STEPS; s++) points.push(bezier2(cur, c, end, s / CURVE_STEPS))
+        lastCtrl = c; cur = end
+        break
+      }
+      case 'A': {
+        const rx = num(), ry = num(), phi = num(), large = num() !== 0, sweep = num() !== 0
+        const end = [ox + num(), oy + num()]
+        points.push(...arcPoints(cur, rx, ry, phi, large, sweep, end))
+        cur = end
+        break
+      }
+      case 'Z': cur = start; break
+    }
+    lastCmd = upper
+    if (upper === 'Z') break
+  }
+
+  // Drop the duplicated closing point, flip into y-up space
+  const last = points[points.length - 1]
+  if (points.length > 1 && Math.hypot(last[0] - points[0][0], last[1] - points[0][1]) < 1e-9) points.pop()
+  if (points.length < 3) throw new Error(`svgPathToPoints: path "${d}" has fewer than 3 points`)
+  return points.map(([x, y]) => [x, -y])
+}
+
+/* ---------- Polyline utilities ---------------------------------------- */
+export const signedArea = (pts) => {
+  let a = 0
+  for (let i = 0; i < pts.length; i++) {
+    const [x0, y0] = pts[i]
+    const [x1, y1] = pts[(i + 1) % pts.length]
+    a += x0 * y1 - x1 * y0
+  }
+  return 0.5 * a
+}
+
+// Where `count` points placed evenly by arc length fall on the closed
+// polyline: [segment, t] each, segment i running from point i to i + 1
+export const arcSamples = (pts, count) => {
+  const n = pts.length
+  const cum = [0]
+  for (let i = 0; i < n; i++) {
+    const [x0, y0] = pts[i]
+    const [x1, y1] = pts[(i + 1) % n]
+    cum.push(cum[i] + Math.hypot(x1 - x0, y1 - y0))
+  }
+  const perimeter = cum[n]
+
+  const out = []
+  let seg = 0
+  for (let k = 0; k < count; k++) {
+    const s = (k / count) * perimeter
+    while (seg < n - 1 && cum[seg + 1] < s) seg++
+    const len = cum[seg + 1] - cum[seg]
+    out.push([seg, len > 0 ? (s - cum[seg]) / len : 0])
+  }
+  return out
+}
+
+// Places `count` points evenly by arc length along the closed polyline
+export const resampleClosed = (pts, count) =>
+  arcSamples(pts, count).map(([seg, t]) => {
+    const [x0, y0] = pts[seg]
+    const [x1, y1] = pts[(seg + 1) % pts.length]
+    return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]
+  })
+
+// Turns a body definition into an outline in simulation units
+const outlineFor = (body) => {
+  const { shape, radius } = body
+  if (shape == null) return circleShape(radius)
+
+  const pts = typeof shape === 'string' ? svgPathToPoints(shape) : shape
+  if (!Array.isArray(pts) || pts.length < 3) {
+    throw new Error('SoftBody: `shape` must be an SVG path string or an array of at least 3 [x, y] points')
+  }
+  if (radius == null) return pts
+
+  // When a radius is given alongside a shape, fit the outline inside it
+  const cx = pts.reduce((s, p) => s + p[0], 0) / pts.length
+  const cy = pts.reduce((s, p) => s + p[1], 0) / pts.length
+  const extent = Math.max(...pts.map(([x, y]) => Math.hypot(x - cx, y - cy)))
+  const k = extent > 0 ? radius / extent : 1
+  return pts.map(([x, y]) => [(x - cx) * k, (y - cy) * k])
+}
+
+/**
+ * Resamples a body's outline to `numPoints` and derives its rest data.
+ * Offsets are relative to the vertex mean, which is the centroid the
+ * shape-matching pass computes on the GPU.
+ *
+ * @returns {{ positions: number[][], lengths: number[], area: number, extent: number }}
+ *   `lengths[i]` is the rest length of edge i → i+1, `extent` the largest
+ *   distance of a vertex from the centroid.
+ */
+export const buildRestShape = (body, numPoints) => {
+  let pts = outlineFor(body)
+  if (signedArea(pts) < 0) pts = [...pts].reverse()   // pressure normals need CCW
+
+  // Circles are sampled exactly rather than resampled from a finer polygon
+  const sampled = body.shape == null
+    ? circleShape(body.radius, numPoints)
+    : resampleClosed(pts, numPoints)
+  const cx = sampled.reduce((s, p) => s + p[0], 0) / numPoints
+  const cy = sampled.reduce((s, p) => s + p[1], 0) / numPoints
+  const positions = sampled.map(([x, y]) => [x - cx, y - cy])
+
+  const lengths = positions.map(([x0, y0], i) => {
+    const [x1, y1] = positions[(i + 1) % numPoints]
+    return Math.hypot(x1 - x0, y1 - y0)
+  })
+  const extent = Math.max(...positions.map(([x, y]) => Math.hypot(x, y)))
+
+  return { positions, lengths, area: Math.abs(signedArea(positions)), extent }
+}
+
+// Cheap identity used to decide when a body's rest shape changed
+export const shapeSignature = (body) =>
+  typeof body.shape === 'string' ? body.shape : JSON.stringify(body.shape ?? null)
@@ -0,0 +1,673 @@
+/**************************************************************************
+ *  CPU reference solver – a line-by-line port of the GPGPU passes
+ **************************************************************************/
+import { BODY_PARAM_TEXELS } from './bodyParams.js'
+import { buildRestShape, toXY } from './shapes.js'
+import { BOUNDARY_TYPE, normalizeBoundary } from './boundary.js'
+import { OBSTACLE_TEXELS, obstacleSdf } from './obstacles.js'
+import { fieldForce } from './forceFields.js'
+import { MAX_SPRINGS, buildInterior, packInterior } from './interior.js'
+import { isFreeRow } from './topology.js'
+
+/* ---------- Initial state ---------------------------------------------- */
+
+// Free rows (topology.js) keep their vertices out here, where neither
+// picking nor the walls ever reach them
+const PARKED = 1e4
+
+/**
+ * Builds the initial texture contents for a body list: every body at rest
+ * around its `center`, shape matching at identity, empty bounding boxes.
+ * The GPU path uploads exactly these arrays. `interiors` has the
+ * buildInterior result per row; interior, interiorRest and springs are
+ * null unless some body has one. Free rows get a zero rest shape (null
+ * in `restShapes`) and parked vertices.
+ */
+export const createInitialState = (bodies, numPoints) => {
+  const bodyCount = bodies.length
+  const pos = new Float32Array(numPoints * bodyCount * 4)
+  const rest = new Float32Array(numPoints * bodyCount * 4)
+  const shape = new Float32Array(numPoints * bodyCount * 4)
+  const bbox = new Float32Array(numPoints * bodyCount * 4)
+  const restShapes = bodies.map(b => (isFreeRow(b) ? null : buildRestShape(b, numPoints)))
+
+  restShapes.forEach((restShape, row) => {
+    if (!restShape) {
+      for (let i = 0; i < numPoints; i++) pos.set([PARKED, PARKED, 0, 0], (row * numPoints + i) * 4)
+      return
+    }
+    const { positions, lengths, area } = restShape
+    const [cx, cy] = toXY(bodies[row].center)
+    positions.forEach(([x, y], i) => {
+      const base = (row * numPoints + i) * 4
+      pos.set([x + cx, y + cy, 0, 0], base)
+      // xy: rest offset, z: rest length of edge i → i+1, w: rest area of the body
+      rest.set([x, y, lengths[i], area], base)
+      shape.set([cx, cy, 1, 0], base)
+    })
+  })
+
+  const interiors = bodies.map((b, row) => buildInterior(b, restShapes[row], numPoints))
+  if (!interiors.some(Boolean)) {
+    return { numPoints, bodyCount, pos, rest, shape, bbox, restShapes, interiors, interior: null, interiorRest: null, springs: null }
+  }
+
+  const { rest: interiorRest, springs } = packInterior(interiors, numPoints)
+  const interior = new Float32Array(pos.length)
+  interiors.forEach((it, row) => {
+    const [cx, cy] = toXY(bodies[row].center)
+    it?.points.forEach(([x, y], j) => interior.set([x + cx, y + cy, 0, 0], (row * numPoints + j) * 4))
+  })
+  return { numPoints, bodyCount, pos, rest, shape, bbox, restShapes, interiors, interior, interiorRest, springs }
+}
+
+// `active` of a body row in the packed params (see bodyParams.js)
+const isActive = (params, body) => params[(body * BODY_PARAM_TEXELS + 2) * 4 + 1] >= 0.5
+
+/* ---------- Shape matching pass (shapeShader) -------------------------- */
+export const computeShapeMatch = (pos, rest, numPoints, bodyCount, out = new Float32Array(bodyCount * 4)) => {
+  for (let body = 0; body < bodyCount; body++) {
+    const row = body * numPoints * 4
+    let cx = 0, cy = 0, sx = 0, sy = 0, A = 0, B = 0
+    for (let i = 0; i < numPoints; i++) {
+      const px = pos[row + i * 4], py = pos[row + i * 4 + 1]
+      const qx = rest[row + i * 4], qy = rest[row + i * 4 + 1]
+      cx += px; cy += py
+      sx += qx; sy += qy
+      A += px * qx + py * qy
+      B += py * qx - px * qy
+    }
+    cx /= numPoints
+    cy /= numPoints
+    A -= cx * sx + cy * sy
+    B -= cy * sx - cx * sy
+    const len = Math.max(Math.hypot(A, B), 1e-6)
+    out.set([cx, cy, A / len, B / len], body * 4)
+  }
+  return out
+}
+
+/* ---------- Bounding box pass (bboxShader) ----------------------------- */
+// Inactive rows get an empty box, which overlaps nothing
+export const computeBBoxes = (pos, params, numPoints, bodyCount, out = new Float32Array(bodyCount * 4)) => {
+  for (let body = 0; body < bodyCount; body++) {
+    if (!isActive(params, body)) {
+      out.set([1e6, 1e6, -1e6, -1e6], body * 4)
+      continue
+    }
+    const row = body * numPoints * 4
+    let minX = 1e6, minY = 1e6, maxX = -1e6, maxY = -1e6
+    for (let i = 0; i < numPoints; i++) {
+      const x = pos[row + i * 4], y = pos[row + i * 4 + 1]
+      minX = Math.min(minX, x); minY = Math.min(minY, y)
+      maxX = Math.max(maxX, x); maxY = Math.max(maxY, y)
+    }
+    out.set([minX, minY, maxX, maxY], body * 4)
+  }
+  return out
+}
+
+/* ---------- Broadphase pass (neighborShader) -------------------------- */
+// Slot k of a row is the k-th nearest other body (by box centre, ties by
+// index) whose box overlaps this body's box grown by `margin`; slots are
+// packed four per texel, `maxNeighbors` per row, the rest stay empty
+export const computeNeighbors = (bbox, numPoints, bodyCount, maxNeighbors, margin, out = new Float32Array(numPoints * bodyCount * 4)) => {
+  out.fill(0)
+  for (let body = 0; body < bodyCount; body++) {
+    const m = body * 4
+    const cx = (bbox[m] + bbox[m + 2]) / 2, cy = (bbox[m + 1] + bbox[m + 3]) / 2
+    const found = []
+    for (let other = 0; other < bodyCount; other++) {
+      if (other === body) continue
+      const o = other * 4
+      if (bbox[o] > bbox[m + 2] + margin || bbox[o + 2] < bbox[m] - margin ||
+          bbox[o + 1] > bbox[m + 3] + margin || bbox[o + 3] < bbox[m + 1] - margin) continue
+      const dx = (bbox[o] + bbox[o + 2]) / 2 - cx, dy = (bbox[o + 1] + bbox[o + 3]) / 2 - cy
+      found.push({ other, key: dx * dx + dy * dy })
+    }
+    found.sort((a, b) => a.key - b.key || a.other - b.other)
+    found.slice(0, maxNeighbors).forEach(({ other }, k) => { out[body * numPoints * 4 + k] = other + 1 })
+  }
+  return out
+}
+
+// A row's neighbour list, read up to its first empty slot like the shaders do
+const neighborsOf = (neighbors, numPoints, body) => {
+  const list = []
+  for (let k = 0; k < numPoints * 4; k++) {
+    const other = Math.round(neighbors[body * numPoints * 4 + k]) - 1
+    if (other < 0) break
+    list.push(other)
+  }
+  return list
+}
+
+/* ---------- Contact pass (contactShader) -------------------------------- */
+export const computeContacts = (pos, bbox, neighbors, numPoints, bodyCount, contactSlop, out = new Float32Array(pos.length)) => {
+  const at = (body, idx) => (body * numPoints + idx) * 4
+
+  for (let body = 0; body < bodyCount; body++) {
+    for (let idx = 0; idx < numPoints; idx++) {
+      const p = at(body, idx)
+      const x = pos[p], y = pos[p + 1]
+      let bestDepth = -1e6, bestBody = -1, bestEdge = 0, relX = 0, relY = 0
+
+      for (const other of neighborsOf(neighbors, numPoints, body)) {
+        const b = other * 4
+        if (x < bbox[b] - contactSlop || x > bbox[b + 2] + contactSlop ||
+            y < bbox[b + 1] - contactSlop || y > bbox[b + 3] + contactSlop) continue
+
+        let count = 0, minDist = 1e6, edge = 0, evx = 0, evy = 0
+        for (let i = 0; i < numPoints; i++) {
+          const a = at(other, i), c = at(other, (i + 1) % numPoints)
+          if ((pos[a + 1] > y) !== (pos[c + 1] > y)) {
+            const t = (y - pos[a + 1]) / (pos[c + 1] - pos[a + 1])
+            if (x < pos[a] + (pos[c] - pos[a]) * t) count++
+          }
+          const abx = pos[c] - pos[a], aby = pos[c + 1] - pos[a + 1]
+          const t = Math.min(Math.max(((x - pos[a]) * abx + (y - pos[a + 1]) * aby) / (abx * abx + aby * aby + 1e-6), 0), 1)
+          const d = Math.hypot(x - pos[a] - t * abx, y - pos[a + 1] - t * aby)
+          if (d < minDist) {
+            minDist = d
+            edge = i
+            evx = pos[a + 2] + (pos[c + 2] - pos[a + 2]) * t
+            evy = pos[a + 3] + (pos[c + 3] - pos[a + 3]) * t
+          }
+        }
+
+        const depth = count % 2 === 1 ? minDist : -minDist
+        if (depth > -contactSlop && depth > bestDepth) {
+          bestDepth = depth
+          bestBody = other
+          bestEdge = edge
+          relX = pos[p + 2] - evx
+          relY = pos[p + 3] - evy
+        }
+      }
+
+      if (bestBody < 0) out.set([0, 0, 0, 0], p)
+      else out.set([bestBody * numPoints + bestEdge + 1, Math.max(bestDepth, 0), relX, relY], p)
+    }
+  }
+  return out
+}
+
+/* ---------- Position pass (texturePos shader) -------------------------- */
+// Mirrors BOUNDARY_GLSL; `u.boundary` is the output of normalizeBoundary
+const wallForce = (x, y, vx, vy, u) => {
+  const { wallK, wallDamp } = u
+  const b = u.boundary ?? normalizeBoundary(null, u.wallDistance)
+  let fx = 0, fy = 0
+  const penalty = (p, nx, ny) => {
+    const vn = vx * nx + vy * ny
+    fx += -wallK * p * nx - wallDamp * vn * nx
+    fy += -wallK * p * ny - wallDamp * vn * ny
+  }
+
+  if (b.type === BOUNDARY_TYPE.box) {
+    const dx = x - b.center[0], dy = y - b.center[1]
+    const [hx, hy] = b.halfSize
+    if (dx > hx)       penalty(dx - hx, 1, 0)
+    else if (dx < -hx) penalty(-hx - dx, -1, 0)
+    if (dy > hy)       penalty(dy - hy, 0, 1)
+    else if (dy < -hy) penalty(-hy - dy, 0, -1)
+  }
+  else if (b.type === BOUNDARY_TYPE.circle) {
+    const dx = x - b.center[0], dy = y - b.center[1]
+    const l = Math.hypot(dx, dy)
+    if (l > b.radius) penalty(l - b.radius, dx / l, dy / l)
+  }
+  else if (b.type === BOUNDARY_TYPE.polygon) {
+    const verts = b.vertices, n = verts.length
+    let count = 0, minDist = 1e6, cx = x, cy = y
+    for (let i = 0; i < n; i++) {
+      const [ax, ay] = verts[i], [bx, by] = verts[(i + 1) % n]
+      if ((ay > y) !== (by > y)) {
+        const t = (y - ay) / (by - ay)
+        if (x < ax + (bx - ax) * t) count++
+      }
+      const abx = bx - ax, aby = by - ay
+      const t = Math.min(Math.max(((x - ax) * abx + (y - ay) * aby) / (abx * abx + aby * aby + 1e-6), 0), 1)
+      const px = ax + t * abx, py = ay + t * aby
+      const d = Math.hypot(x - px, y - py)
+      if (d < minDist) { minDist = d; cx = px; cy = py }
+    }
+    if (count % 2 === 0 && minDist > 1e-6) penalty(minDist, (x - cx) / minDist, (y - cy) / minDist)
+  }
+
+  return [fx, fy]
+}
+
+/* ---------- Contact response ---------------------------------------- */
+// Mirrors contactResponse in the position shader: velocity change of a
+// contact with relative velocity (rx, ry) against outward normal (nx, ny)
+const contactResponse = (rx, ry, nx, ny, mu, e) => {
+  const vn = rx * nx + ry * ny
+  if (vn >= 0) return [0, 0]
+  const dn = -(1 + e) * vn
+  const tx = rx - vn * nx, ty = ry - vn * ny
+  const tl = Math.hypot(tx, ty)
+  const dt = Math.min(mu * dn, tl)
+  const k = tl > 1e-6 ? dt / tl : 0
+  return [dn * nx - tx * k, dn * ny - ty * k]
+}
+
+// Outward normal of the edge a → b (outlines are counter-clockwise)
+const edgeNormal = (ax, ay, bx, by) => {
+  const abx = bx - ax, aby = by - ay
+  const l = Math.hypot(abx, aby)
+  return l > 1e-9 ? [aby / l, -abx / l] : [0, 0]
+}
+
+// Mirrors collideObstacles in OBSTACLE_GLSL; `obs` is { data: packObstacles output, count }
+const collideObstacles = (px, py, vx, vy, obs, mu, e) => {
+  const h = 1e-4
+  for (let o = 0; o < obs.count; o++) {
+    const [type, a, b, c, ox, oy, cs, sn, mvx, mvy, omega] = obs.data.subarray(o * OBSTACLE_TEXELS * 4)
+    const sdf = (lx, ly) => obstacleSdf(type, a, b, c, lx, ly)
+
+    const dx = px - ox, dy = py - oy
+    const lx = cs * dx + sn * dy, ly = -sn * dx + cs * dy
+    const sd = sdf(lx, ly)
+    if (sd >= 0) continue
+
+    let gx = sdf(lx + h, ly) - sdf(lx - h, ly)
+    let gy = sdf(lx, ly + h) - sdf(lx, ly - h)
+    const gl = Math.hypot(gx, gy)
+    if (gl > 1e-9) { gx /= gl; gy /= gl } else { gx = 0; gy = 1 }
+    const nx = cs * gx - sn * gy, ny = sn * gx + cs * gy
+
+    px -= nx * sd
+    py -= ny * sd
+
+    const rx = px - ox, ry = py - oy
+    const sx = mvx - omega * ry, sy = mvy + omega * rx
+    const [dvx, dvy] = contactResponse(vx - sx, vy - sy, nx, ny, mu, e)
+    vx += dvx
+    vy += dvy
+  }
+  return [px, py, vx, vy]
+}
+
+// Width of a grab along the outline, as a fraction of the vertex count
+// (σ of the falloff, at least one vertex)
+export const DRAG_SPREAD = 1 / 32
+
+/**
+ * Mirrors dragForce in the position shader: the grabbed point sits at
+ * outline position s (edge index + fraction along it) and is the average of
+ * the vertices around it, Gaussian along the outline. The pull is spread
+ * with the same weights, normalised to average 1 over the body.
+ */
+export const dragTerms = (pos, numPoints, body, s) => {
+  const row = body * numPoints * 4
+  const sigma = Math.max(1, numPoints * DRAG_SPREAD)
+
+  const w = Array.from({ length: numPoints }, (_, i) => {
+    let d = Math.abs(i - s)
+    d = Math.min(d, numPoints - d)
+    return Math.exp(-d * d / (2 * sigma * sigma))
+  })
+  const sum = Math.max(w.reduce((a, b) => a + b, 0), 1e-8)
+  let gx = 0, gy = 0
+  w.forEach((v, i) => { gx += v * pos[row + i * 4]; gy += v * pos[row + i * 4 + 1] })
+  return { grabbed: [gx / sum, gy / sum], weights: w.map(v => v * numPoints / sum) }
+}
+
+// Mirrors meshSprings in INTERIOR_GLSL: springs of vertex idx of a layer
+// (0 outline, 1 interior) to the rest of its body's mesh
+const meshSprings = (state, body, layer, idx, x, y, vx, vy, kSpring, kDampSpring) => {
+  const { pos, interior, springs, numPoints: I_N } = state
+  let fx = 0, fy = 0
+  for (let k = 0; k < MAX_SPRINGS; k++) {
+    const s = (((body * 2 + layer) * I_N + idx) * MAX_SPRINGS + k) * 4
+    if (springs[s] < 0.5) break
+    const code = Math.round(springs[s]) - 1
+    const [data, o] = code < I_N ? [pos, (body * I_N + code) * 4] : [interior, (body * I_N + code - I_N) * 4]
+    const abx = data[o] - x, aby = data[o + 1] - y
+    const d = Math.hypot(abx, aby)
+    const dx = d > 1e-6 ? abx / d : 0, dy = d > 1e-6 ? aby / d : 0
+    const F = kSpring * springs[s + 2] * (d - springs[s + 1]) + kDampSpring * (dx * (data[o + 2] - vx) + dy * (data[o + 3] - vy))
+    fx += F * dx
+    fy += F * dy
+  }
+  return [fx, fy]
+}
+
+/**
+ * One evaluation of the position shader for every texel.
+ * `u` holds the uniforms: dt, gravity [x, y], wallK, wallDamp, boundary
+ * (normalizeBoundary output, or wallDistance for the default box),
+ * drags ([{ body, pos: [x, y], s }] – target and outline position, optional), kDrag,
+ * obstacles ({ data, count }, optional), fields ({ data, count } as packed
+ * by packFields, optional – custom fields are skipped)
+ * and contactSlop / broadphaseMargin for the contact and broadphase passes.
+ */
+export const computePositions = (state, u, out = new Float32Array(state.pos.length)) => {
+  const { pos, rest, params, shape, bbox, contacts, neighbors, pins, numPoints: I_N, bodyCount: B_N } = state
+  const at = (body, idx) => (body * I_N + idx) * 4
+  const param = (body, texel, c) => params[(body * BODY_PARAM_TEXELS + texel) * 4 + c]
+
+  for (let body = 0; body < B_N; body++) {
+    // Free rows hold still until a body takes them
+    if (!isActive(params, body)) {
+      out.set(pos.subarray(at(body, 0), at(body + 1, 0)), at(body, 0))
+      continue
+    }
+    const kSpring     = param(body, 0, 0)
+    const kShape      = param(body, 0, 1)
+    const kPressure   = param(body, 0, 2)
+    const damping     = param(body, 0, 3)
+    const mass        = Math.max(param(body, 1, 0), 1e-4)
+    const gravScale   = param(body, 1, 1)
+    const kDampSpring = param(body, 1, 2)
+    const friction    = param(body, 1, 3)
+    const restitution = param(body, 2, 0)
+
+    const [tx, ty, rc, rs] = shape.subarray(body * 4, body * 4 + 4)
+    const areaRest = rest[at(body, 0) + 3]
+
+    const drags = (u.drags ?? []).filter(d => d.body === body)
+      .map(d => ({ ...d, ...dragTerms(pos, I_N, body, d.s) }))
+
+    // Internal pressure – the area is the same for the whole row
+    let area = 0
+    for (let i = 0; i < I_N; i++) {
+      const a = at(body, i), b = at(body, (i + 1) % I_N)
+      area += pos[a] * pos[b + 1] - pos[b] * pos[a + 1]
+    }
+    area = 0.5 * Math.abs(area)
+    const press = kPressure * (areaRest - area) / areaRest
+
+    for (let idx = 0; idx < I_N; idx++) {
+      const p = at(body, idx)
+      const x = pos[p], y = pos[p + 1]
+      let vx = pos[p + 2], vy = pos[p + 3]
+      let fx = 0, fy = 0
+
+      // Spring forces with neighbors (structural)
+      for (let off = -1; off <= 1; off += 2) {
+        const nIdx = (idx + off + I_N) % I_N
+        const n = at(body, nIdx)
+        const abx = pos[n] - x, aby = pos[n + 1] - y
+        const d = Math.hypot(abx, aby)
+        const dx = d > 1e-6 ? abx / d : 0, dy = d > 1e-6 ? aby / d : 0
+
+        const eIdx = off > 0 ? idx : nIdx
+        const Fs = kSpring * (d - rest[at(body, eIdx) + 2])
+        const vRel = dx * (pos[n + 2] - vx) + dy * (pos[n + 3] - vy)
+        const Fd = kDampSpring * vRel
+        fx += (Fs + Fd) * dx
+        fy += (Fs + Fd) * dy
+      }
+
+      // Springs to the interior
+      if (state.springs) {
+        const [sx, sy] = meshSprings(state, body, 0, idx, x, y, vx, vy, kSpring, kDampSpring)
+        fx += sx; fy += sy
+      }
+
+      // Pressure along the vertex normal
+      const prev = at(body, (idx + I_N - 1) % I_N), next = at(body, (idx + 1) % I_N)
+      const ex = pos[next] - pos[prev], ey = pos[next + 1] - pos[prev + 1]
+      const nx0 = ey + 1e-4, ny0 = -ex + 1e-4
+      const nl = Math.hypot(nx0, ny0)
+      fx += press * (nx0 / nl) / I_N
+      fy += press * (ny0 / nl) / I_N
+
+      // Gravity, force fields and wall forces
+      if (!drags.length) {
+        fx += u.gravity[0] * gravScale * mass
+        fy += u.gravity[1] * gravScale * mass
+        if (u.fields) {
+          const [ax, ay] = fieldForce(u.fields, x, y)
+          fx += ax * mass; fy += ay * mass
+        }
+      }
+      const [wx, wy] = wallForce(x, y, vx, vy, u)
+      fx += wx; fy += wy
+
+      // Shape matching (goal = R·q + T)
+      const r = at(body, idx)
+      const qx = rest[r], qy = rest[r + 1]
+      fx += kShape * (rc * qx - rs * qy + tx - x)
+      fy += kShape * (rs * qx + rc * qy + ty - y)
+
+      // Drag forces, each pulling the part of the body it grabbed
+      drags.forEach(({ pos: [px, py], grabbed: [gx, gy], weights }) => {
+        const k = u.kDrag * weights[idx]
+        fx += k * (px - gx)
+        fy += k * (py - gy)
+      })
+
+      // Semi-implicit Euler integration
+      vx += fx / mass * u.dt
+      vy += fy / mass * u.dt
+      const decay = Math.exp(-damping * u.dt)
+      vx *= decay; vy *= decay
+
+      // Reaction to other bodies' vertices pressing on my two edges
+      if (contacts) {
+        const prevIdx = (idx + I_N - 1) % I_N
+        const nPrev = edgeNormal(pos[prev], pos[prev + 1], x, y)
+        const nNext = edgeNormal(x, y, pos[next], pos[next + 1])
+
+        for (const other of neighborsOf(neighbors, I_N, body)) {
+          const otherMass = Math.max(param(other, 1, 0), 1e-4)
+          const mu = Math.sqrt(friction * param(other, 1, 3))
+          const e = Math.max(restitution, param(other, 2, 0))
+
+          for (let j = 0; j < I_N; j++) {
+            const c = at(other, j)
+            if (contacts[c] < 0.5) continue
+            const code = Math.round(contacts[c]) - 1
+            if (Math.floor(code / I_N) !== body) continue
+            const edgeIdx = code - body * I_N
+            if (edgeIdx !== idx && edgeIdx !== prevIdx) continue
+
+            const [enx, eny] = edgeIdx === idx ? nNext : nPrev
+            const [dvx, dvy] = contactResponse(contacts[c + 2], contacts[c + 3], enx, eny, mu, e)
+            const k = 0.5 * otherMass / (mass + otherMass)
+            vx -= dvx * k
+            vy -= dvy * k
+          }
+        }
+      }
+
+      let nx = x + vx * u.dt, ny = y + vy * u.dt
+
+      // Collision check and correction
+      for (const other of neighborsOf(neighbors, I_N, body)) {
+        const b = other * 4
+        if (nx < bbox[b] || nx > bbox[b + 2] || ny < bbox[b + 1] || ny > bbox[b + 3]) continue
+
+        let count = 0
+        for (let i = 0; i < I_N; i++) {
+          const a = at(other, i), c = at(other, (i + 1) % I_N)
+          if ((pos[a + 1] > ny) !== (pos[c + 1] > ny)) {
+            const t = (ny - pos[a + 1]) / (pos[c + 1] - pos[a + 1])
+            if (nx < pos[a] + (pos[c] - pos[a]) * t) count++
+          }
+        }
+        if (count % 2 !== 1) continue
+
+        const otherMass = Math.max(param(other, 1, 0), 1e-4)
+        const w = Math.min(Math.max(2 * otherMass / (mass + otherMass), 0), 1)
+
+        let minDist = 1e6, px = nx, py = ny, evx = 0, evy = 0, n = [0, 0]
+        for (let i = 0; i < I_N; i++) {
+          const a = at(other, i), c = at(other, (i + 1) % I_N)
+          const abx = pos[c] - pos[a], aby = pos[c + 1] - pos[a + 1]
+          const apx = nx - pos[a], apy = ny - pos[a + 1]
+          const t = Math.min(Math.max((apx * abx + apy * aby) / (abx * abx + aby * aby + 1e-6), 0), 1)
+          const jx = pos[a] + t * abx, jy = pos[a + 1] + t * aby
+          const d = Math.hypot(nx - jx, ny - jy)
+          if (d < minDist) {
+            minDist = d; px = jx; py = jy
+            evx = pos[a + 2] + (pos[c + 2] - pos[a + 2]) * t
+            evy = pos[a + 3] + (pos[c + 3] - pos[a + 3]) * t
+            n = edgeNormal(pos[a], pos[a + 1], pos[c], pos[c + 1])
+          }
+        }
+
+        nx += (px - nx) * w
+        ny += (py - ny) * w
+
+        const mu = Math.sqrt(friction * param(other, 1, 3))
+        const e = Math.max(restitution, param(other, 2, 0))
+        const [dvx, dvy] = contactResponse(vx - evx, vy - evy, n[0], n[1], mu, e)
+        const k = otherMass / (mass + otherMass)
+        vx += dvx * k
+        vy += dvy * k
+      }
+
+      // Obstacles
+      if (u.obstacles) [nx, ny, vx, vy] = collideObstacles(nx, ny, vx, vy, u.obstacles, friction, restitution)
+
+      // Pinned vertices stay where they were pinned
+      if (pins && pins[p + 2] > 0.5) {
+        nx = pins[p]; ny = pins[p + 1]
+        vx = vy = 0
+      }
+
+      out.set([nx, ny, vx, vy], p)
+    }
+  }
+  return out
+}
+
+/* ---------- Interior pass (interiorShader) ----------------------------- */
+/**
+ * One evaluation of the interior shader: springs, gravity, force fields,
+ * walls, shape matching and obstacles for every active interior vertex. Uses the same
+ * uniforms as computePositions.
+ */
+export const computeInterior = (state, u, out = new Float32Array(state.interior.length)) => {
+  const { interior, interiorRest, params, shape, numPoints: I_N, bodyCount: B_N } = state
+  const param = (body, texel, c) => params[(body * BODY_PARAM_TEXELS + texel) * 4 + c]
+
+  for (let body = 0; body < B_N; body++) {
+    const kSpring     = param(body, 0, 0)
+    const kShape      = param(body, 0, 1)
+    const damping     = param(body, 0, 3)
+    const mass        = Math.max(param(body, 1, 0), 1e-4)
+    const gravScale   = param(body, 1, 1)
+    const kDampSpring = param(body, 1, 2)
+    const friction    = param(body, 1, 3)
+    const restitution = param(body, 2, 0)
+    const dragged = (u.drags ?? []).some(d => d.body === body)
+    const [tx, ty, rc, rs] = shape.subarray(body * 4, body * 4 + 4)
+
+    for (let idx = 0; idx < I_N; idx++) {
+      const p = (body * I_N + idx) * 4
+      if (interiorRest[p + 2] < 0.5) { out.set([0, 0, 0, 0], p); continue }
+      const x = interior[p], y = interior[p + 1]
+      let vx = interior[p + 2], vy = interior[p + 3]
+
+      let [fx, fy] = meshSprings(state, body, 1, idx, x, y, vx, vy, kSpring, kDampSpring)
+      if (!dragged) {
+        fx += u.gravity[0] * gravScale * mass
+        fy += u.gravity[1] * gravScale * mass
+        if (u.fields) {
+          const [ax, ay] = fieldForce(u.fields, x, y)
+          fx += ax * mass; fy += ay * mass
+        }
+      }
+      const [wx, wy] = wallForce(x, y, vx, vy, u)
+      fx += wx; fy += wy
+
+      const qx = interiorRest[p], qy = interiorRest[p + 1]
+      fx += kShape * (rc * qx - rs * qy + tx - x)
+      fy += kShape * (rs * qx + rc * qy + ty - y)
+
+      vx += fx / mass * u.dt
+      vy += fy / mass * u.dt
+      const decay = Math.exp(-damping * u.dt)
+      vx *= decay; vy *= decay
+
+      let nx = x + vx * u.dt, ny = y + vy * u.dt
+      if (u.obstacles) [nx, ny, vx, vy] = collideObstacles(nx, ny, vx, vy, u.obstacles, friction, restitution)
+      out.set([nx, ny, vx, vy], p)
+    }
+  }
+  return out
+}
+
+/* ---------- Solver ---------------------------------------------------- */
+// Full-width GPU textures → one texel per body row
+const firstColumn = (data, numPoints, bodyCount) => {
+  const out = new Float32Array(bodyCount * 4)
+  for (let row = 0; row < bodyCount; row++) {
+    out.set(data.subarray(row * numPoints * 4, row * numPoints * 4 + 4), row * 4)
+  }
+  return out
+}
+
+/**
+ * Creates a solver over copies of the given arrays, e.g. the result of
+ * `createInitialState` plus a packed `params` array (see packBodyParams).
+ * `shape` and `bbox` may be either one texel per row or full texture width;
+ * `maxNeighbors` is the broadphase list length (at most 4 × numPoints), `pins`
+ * an optional array in the pinTex layout, `interior`, `interiorRest` and
+ * `springs` the optional interior arrays.
+ *
+ * The arrays use the texture layouts (row = body, column = vertex):
+ *   pos (x, y, vx, vy)   rest (qx, qy, rest length, rest area)
+ *   shape (cx, cy, cosθ, sinθ)   bbox (minX, minY, maxX, maxY)
+ *   contacts (other · N + edge + 1, depth, relative vx, vy)
+ *   neighbors (other + 1) × 4, nearest first   pins (x, y, pinned, -)
+ * A step evaluates every pass against the previous state, then swaps, as
+ * GPUComputationRenderer.compute() does. Needs no WebGL or DOM. <SoftBody>
+ * steps with it where float render targets are missing (cpuFallback.js),
+ * without custom GLSL force fields.
+ */
+export const createCpuSolver = ({
+  numPoints, bodyCount, pos, rest, params, shape, bbox, pins, interior, interiorRest, springs, maxNeighbors = 16,
+}) => {
+  const perRow = (data, fill) => {
+    if (!data) return Float32Array.from({ length: bodyCount * 4 }, (_, i) => fill[i % 4])
+    return data.length === bodyCount * 4 ? Float32Array.from(data) : firstColumn(data, numPoints, bodyCount)
+  }
+  const state = {
+    numPoints,
+    bodyCount,
+    pos: Float32Array.from(pos),
+    rest: Float32Array.from(rest),
+    params: Float32Array.from(params),
+    shape: perRow(shape, [0, 0, 1, 0]),
+    bbox: perRow(bbox, [0, 0, 0, 0]),
+    contacts: new Float32Array(pos.length),
+    neighbors: new Float32Array(pos.length),
+    pins: pins ? Float32Array.from(pins) : null,
+    interior: interior ? Float32Array.from(interior) : null,
+    interiorRest: interior ? Float32Array.from(interiorRest) : null,
+    springs: interior ? Float32Array.from(springs) : null,
+  }
+  const slots = Math.min(maxNeighbors, numPoints * 4)
+
+  // Double buffers, swapped after every compute like the GPU render targets
+  let nextPos = new Float32Array(state.pos.length)
+  let nextShape = new Float32Array(state.shape.length)
+  let nextBBox = new Float32Array(state.bbox.length)
+  let nextContacts = new Float32Array(state.contacts.length)
+  let nextNeighbors = new Float32Array(state.neighbors.length)
+  let nextInterior = state.interior && new Float32Array(state.interior.length)
+
+  const compute = (uniforms) => {
+    computePositions(state, uniforms, nextPos)
+    if (state.interior) computeInterior(state, uniforms, nextInterior)
+    computeShapeMatch(state.pos, state.rest, numPoints, bodyCount, nextShape)
+    computeBBoxes(state.pos, state.params, numPoints, bodyCount, nextBBox)
+    computeContacts(state.pos, state.bbox, state.neighbors, numPoints, bodyCount, uniforms.contactSlop ?? 0.005, nextContacts)
+    computeNeighbors(state.bbox, numPoints, bodyCount, slots, uniforms.broadphaseMargin ?? 0.05, nextNeighbors)
+
+    ;[state.pos, nextPos] = [nextPos, state.pos]
+    ;[state.shape, nextShape] = [nextShape, state.shape]
+    ;[state.bbox, nextBBox] = [nextBBox, state.bbox]
+    ;[state.contacts, nextContacts] = [nextContacts, state.contacts]
+    ;[state.neighbors, nextNeighbors] = [nextNeighbors, state.neighbors]
+    if (state.interior) [state.interior, nextInterior] = [nextInterior, state.interior]
+  }
+
+  return { state, compute }
+}
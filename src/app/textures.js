@@ -0,0 +1,45 @@
+/**************************************************************************
+ *  Float data textures – the GPU side of the packed arrays, kept apart so
+ *  the packing modules load in plain Node
+ **************************************************************************/
+import * as THREE from 'three'
+import { BODY_PARAM_TEXELS, packBodyParams } from './bodyParams.js'
+import { FIELD_TEXELS, MAX_FIELDS } from './forceFields.js'
+import { MAX_SPRINGS } from './interior.js'
+import { MAX_OBSTACLES, OBSTACLE_TEXELS } from './obstacles.js'
+
+/** RGBA float texture over `data`, sampled without filtering. */
+export const createFloatTexture = (data, width, height) => {
+  const tex = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType)
+  tex.minFilter = tex.magFilter = THREE.NearestFilter
+  tex.needsUpdate = true
+  return tex
+}
+
+export const createBodyParamTexture = (bodies, cfg) => {
+  const data = new Float32Array(bodies.length * BODY_PARAM_TEXELS * 4)
+  return createFloatTexture(packBodyParams(data, bodies, cfg), BODY_PARAM_TEXELS, bodies.length)
+}
+
+// Polygon vertices of a boundary, one row
+export const createBoundaryTexture = (vertices) => {
+  const count = Math.max(vertices.length, 1)
+  const data = new Float32Array(count * 4)
+  vertices.forEach(([x, y], i) => data.set([x, y, 0, 0], i * 4))
+  return createFloatTexture(data, count, 1)
+}
+
+// Fixed capacity, so adding or removing obstacles never reallocates
+export const createObstacleTexture = () =>
+  createFloatTexture(new Float32Array(MAX_OBSTACLES * OBSTACLE_TEXELS * 4), OBSTACLE_TEXELS, MAX_OBSTACLES)
+
+// Fixed capacity, so adding or removing fields never reallocates
+export const createFieldTexture = () =>
+  createFloatTexture(new Float32Array(MAX_FIELDS * FIELD_TEXELS * 4), FIELD_TEXELS, MAX_FIELDS)
+
+export const createSpringTexture = (springs, numPoints, bodyCount) =>
+  createFloatTexture(springs, numPoints * MAX_SPRINGS, bodyCount * 2)
+
+// Pin texture: (x, y, pinned, 0) per vertex, written by the imperative API
+export const createPinTexture = (numPoints, bodyCount) =>
+  createFloatTexture(new Float32Array(numPoints * bodyCount * 4), numPoints, bodyCount)
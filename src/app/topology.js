@@ -0,0 +1,239 @@
+/**************************************************************************
+ *  Topology changes – tearing one body in two, fusing two into one
+ **************************************************************************/
+import { arcSamples, signedArea } from './shapes.js'
+
+// Per-body settings (Leva `Soft Body` folder, overridable per body);
+// 0 turns either off
+export const TOPOLOGY_KEYS = ['tearStretch', 'mergeDelay']
+
+// Fewest vertices of the old outline a piece of a split may keep
+const minPiece = (numPoints) => Math.max(3, Math.ceil(numPoints / 8))
+
+// A row that holds no body: spare room for the pieces of a tear, so it
+// doesn't have to rebuild the simulation (see useTopology.js)
+export const FREE_ROW = Object.freeze({ active: 0 })
+
+export const isFreeRow = (body) => body === FREE_ROW
+
+// Stable identity of a body across prop updates: explicit id, else its
+// row; null for a free row
+export const bodyKey = (body, row) => (isFreeRow(body) ? null : String(body.id ?? row))
+
+const texel = (numPoints, row, i) => (row * numPoints + i) * 4
+
+// Vertices from, from + 1, … of a ring, `count` of them
+const ringRun = (from, count, numPoints) =>
+  Array.from({ length: count }, (_, k) => (from + k) % numPoints)
+
+/* ---------- Tearing --------------------------------------------------- */
+
+/**
+ * The edge of a row stretched furthest past `tearStretch` × its rest
+ * length, or -1 when none is.
+ */
+export const findTear = (pos, rest, numPoints, row, tearStretch) => {
+  let edge = -1, worst = tearStretch
+  for (let i = 0; i < numPoints; i++) {
+    const a = texel(numPoints, row, i), b = texel(numPoints, row, (i + 1) % numPoints)
+    const ratio = Math.hypot(pos[b] - pos[a], pos[b + 1] - pos[a + 1]) / Math.max(rest[a + 2], 1e-9)
+    if (ratio > worst) { worst = ratio; edge = i }
+  }
+  return edge
+}
+
+/**
+ * Pairs a torn edge with the edge across the body where it splits best:
+ * the shortest cut for the outline it leaves on either side, so a circle
+ * halves and a peanut parts at its waist. Returns the vertices of both
+ * pieces in ring order; the cut runs between the two edges' midpoints.
+ */
+export const findCut = (pos, numPoints, row, edge) => {
+  const at = (i) => texel(numPoints, row, i % numPoints)
+  const edgeLen = (i) => Math.hypot(pos[at(i + 1)] - pos[at(i)], pos[at(i + 1) + 1] - pos[at(i) + 1])
+  const midpoint = (i) => [(pos[at(i)] + pos[at(i + 1)]) / 2, (pos[at(i) + 1] + pos[at(i + 1) + 1]) / 2]
+
+  let perimeter = 0
+  for (let i = 0; i < numPoints; i++) perimeter += edgeLen(i)
+
+  const [mx, my] = midpoint(edge)
+  let best = -1, bestScore = Infinity, arc = 0
+  // Piece A is vertices edge + 1 … edge + n, cut off at edge + n
+  for (let n = 1; n <= numPoints - minPiece(numPoints); n++) {
+    if (n > 1) arc += edgeLen(edge + n - 1)
+    if (n < minPiece(numPoints)) continue
+    const other = (edge + n) % numPoints
+    const [ox, oy] = midpoint(other)
+    const rest = perimeter - arc - edgeLen(edge) - edgeLen(other)
+    const score = Math.hypot(ox - mx, oy - my) / Math.max(Math.min(arc, rest), 1e-9)
+    if (score < bestScore) { bestScore = score; best = n }
+  }
+  if (best < 0) return null
+  return [
+    ringRun(edge + 1, best, numPoints),
+    ringRun(edge + best + 1, numPoints - best, numPoints),
+  ]
+}
+
+/* ---------- Building new bodies --------------------------------------- */
+// New bodies are { shape, center, share, source }: `shape` the outline at
+// the change, scaled to the rest area inherited, `share` that area as a
+// part of the bodies it came from, and `source` the blend of old vertices
+// [[key, vertex, weight], …] each vertex starts from
+
+// Resamples an outline of { taps, x, y } points into a new body with
+// `restArea`; null when the outline turns clockwise (a cut that crosses it)
+const buildPiece = (points, restArea, numPoints) => {
+  const pts = points.map(p => [p.x, p.y])
+  if (signedArea(pts) <= 0) return null
+
+  const source = [], sampled = []
+  arcSamples(pts, numPoints).forEach(([seg, t]) => {
+    const a = points[seg], b = points[(seg + 1) % points.length]
+    source.push([
+      ...a.taps.map(([key, i, w]) => [key, i, w * (1 - t)]),
+      ...b.taps.map(([key, i, w]) => [key, i, w * t]),
+    ].filter(([, , w]) => w > 0))
+    sampled.push([a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t])
+  })
+
+  // Centered on the vertex mean, like buildRestShape does
+  const cx = sampled.reduce((s, p) => s + p[0], 0) / numPoints
+  const cy = sampled.reduce((s, p) => s + p[1], 0) / numPoints
+  const k = Math.sqrt(restArea / Math.max(signedArea(sampled), 1e-12))
+  return {
+    shape: sampled.map(([x, y]) => [(x - cx) * k, (y - cy) * k]),
+    center: [cx, cy],
+    source,
+  }
+}
+
+// Outline points of vertices of a row, from texture `data` (texturePos or restTex)
+const outlinePoints = (data, numPoints, row, key, vertices) => vertices.map(i => {
+  const p = texel(numPoints, row, i)
+  return { taps: [[key, i, 1]], x: data[p], y: data[p + 1] }
+})
+
+// Point halfway along the edge from vertex i
+const edgeMidpoint = (data, numPoints, row, key, i) => {
+  const [a, b] = outlinePoints(data, numPoints, row, key, [i, (i + 1) % numPoints])
+  return { taps: [[key, a.taps[0][1], 0.5], [key, b.taps[0][1], 0.5]], x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+}
+
+/**
+ * Splits a row along a torn edge. The pieces share the body's rest area
+ * as its rest outline divides it along the same cut.
+ * @returns two new bodies, or null when no cut fits
+ */
+export const splitBody = (pos, rest, numPoints, row, key, edge) => {
+  const cut = findCut(pos, numPoints, row, edge)
+  if (!cut) return null
+
+  // Each piece runs from the midpoint of the edge before its first vertex
+  // to the midpoint of the edge after its last
+  const outline = (data, vertices) => [
+    edgeMidpoint(data, numPoints, row, key, (vertices[0] + numPoints - 1) % numPoints),
+    ...outlinePoints(data, numPoints, row, key, vertices),
+    edgeMidpoint(data, numPoints, row, key, vertices[vertices.length - 1]),
+  ]
+  const restArea = rest[texel(numPoints, row, 0) + 3]
+  const pieces = cut.map(vertices => {
+    const area = Math.abs(signedArea(outline(rest, vertices).map(p => [p.x, p.y])))
+    const piece = buildPiece(outline(pos, vertices), area, numPoints)
+    return piece && { ...piece, share: area / Math.max(restArea, 1e-12) }
+  })
+  return pieces.every(Boolean) ? pieces : null
+}
+
+// Vertices of `row` whose contact is with `other`
+const touching = (contacts, numPoints, row, other) =>
+  Array.from({ length: numPoints }, (_, i) => {
+    const code = Math.round(contacts[texel(numPoints, row, i)]) - 1
+    return code >= 0 && Math.floor(code / numPoints) === other
+  })
+
+// Longest run of untouched vertices around the ring, in ring order
+const outerRun = (flags) => {
+  const n = flags.length
+  const start = flags.indexOf(true)
+  if (start < 0) return []
+  let bestFrom = 0, bestCount = 0, count = 0
+  for (let k = 1; k <= n; k++) {
+    if (flags[(start + k) % n]) { count = 0; continue }
+    if (++count > bestCount) { bestCount = count; bestFrom = start + k - count + 1 }
+  }
+  return ringRun(bestFrom, bestCount, n)
+}
+
+/**
+ * Pairs of rows [a, b] (a < b) pressed together: each has at least
+ * `minVertices` vertices in contact with the other.
+ */
+export const pressedPairs = (contacts, numPoints, bodyCount, minVertices) => {
+  const counts = new Map()
+  for (let row = 0; row < bodyCount; row++) {
+    for (let i = 0; i < numPoints; i++) {
+      const code = Math.round(contacts[texel(numPoints, row, i)]) - 1
+      if (code < 0) continue
+      const key = `${row}:${Math.floor(code / numPoints)}`
+      counts.set(key, (counts.get(key) ?? 0) + 1)
+    }
+  }
+  const pairs = []
+  counts.forEach((count, key) => {
+    const [a, b] = key.split(':').map(Number)
+    if (a < b && count >= minVertices && (counts.get(`${b}:${a}`) ?? 0) >= minVertices) pairs.push([a, b])
+  })
+  return pairs
+}
+
+/**
+ * Fuses two touching rows into one body: the outline of each that isn't
+ * in contact with the other, joined across the contact. It gets their
+ * rest areas together.
+ * @returns the new body, or null when the contact doesn't leave two open arcs
+ */
+export const mergeBodies = (pos, contacts, rest, numPoints, [rowA, keyA], [rowB, keyB]) => {
+  const runA = outerRun(touching(contacts, numPoints, rowA, rowB))
+  const runB = outerRun(touching(contacts, numPoints, rowB, rowA))
+  if (runA.length < 3 || runB.length < 3) return null
+
+  const areaA = rest[texel(numPoints, rowA, 0) + 3], areaB = rest[texel(numPoints, rowB, 0) + 3]
+  const piece = buildPiece([
+    ...outlinePoints(pos, numPoints, rowA, keyA, runA),
+    ...outlinePoints(pos, numPoints, rowB, keyB, runB),
+  ], areaA + areaB, numPoints)
+  return piece && { ...piece, share: 1 }
+}
+
+/* ---------- Placing new bodies ---------------------------------------- */
+
+/**
+ * texturePos row of a new body from the rows of the bodies it came from
+ * (key → row data), or null if one of them is gone or the vertex count
+ * changed since.
+ */
+export const seedRow = (source, rows, numPoints) => {
+  if (!source || source.length !== numPoints) return null
+  if (!source.every(taps => taps.every(([key]) => rows.has(key)))) return null
+
+  const out = new Float32Array(numPoints * 4)
+  source.forEach((taps, k) => taps.forEach(([key, i, w]) => {
+    const row = rows.get(key)
+    for (let c = 0; c < 4; c++) out[k * 4 + c] += w * row[i * 4 + c]
+  }))
+  return out
+}
+
+/**
+ * Where outline position `s` of body `key` went after a split or merge:
+ * { key, s } on the new body vertex that vertex weighs most in, or null.
+ */
+export const followVertex = (bodies, key, s, numPoints) => {
+  const vertex = Math.round(s) % numPoints
+  let found = null, heaviest = 0
+  bodies.forEach(body => body.source?.forEach((taps, k) => taps.forEach(([tapKey, i, w]) => {
+    if (tapKey === key && i === vertex && w > heaviest) { heaviest = w; found = { key: String(body.id), s: k } }
+  })))
+  return found
+}
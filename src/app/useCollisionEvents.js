@@ -0,0 +1,67 @@
+/**************************************************************************
+ *  Collision events – onCollisionEnter / onCollisionStay / onCollisionExit
+ **************************************************************************/
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { isCancelled } from './asyncReadback'
+import { collectContacts, collectPairs } from './contacts'
+
+/**
+ * Calls the handlers with one contact per pair (see contacts.js), a frame
+ * or two after the step it describes; reads nothing back while no handler
+ * is set. Pairs are keyed by body id, so a rebuild that moves bodies to
+ * other rows doesn't end or start their contacts.
+ */
+export const useCollisionEvents = (sim, reader, { onCollisionEnter, onCollisionStay, onCollisionExit }) => {
+  const previous = useRef(new Map())
+  const inFlight = useRef(false)
+  const enabled = !!(onCollisionEnter || onCollisionStay || onCollisionExit)
+
+  const handlers = useRef()
+  handlers.current = { onCollisionEnter, onCollisionStay, onCollisionExit }
+
+  const dispatch = (current) => {
+    const { onCollisionEnter, onCollisionStay, onCollisionExit } = handlers.current
+    current.forEach((c, key) => {
+      if (previous.current.has(key)) onCollisionStay?.(c)
+      else onCollisionEnter?.(c)
+    })
+    previous.current.forEach((c, key) => {
+      if (!current.has(key)) onCollisionExit?.(c)
+    })
+    previous.current = current
+  }
+
+  useFrame(() => {
+    if (!enabled) {
+      previous.current = new Map()
+      return
+    }
+    // The CPU fallback (cpuFallback.js) has the contacts at hand
+    const { gpu, posVar, contactVar, neighborVar, pairs, numPoints, bodyCount, maxNeighbors, keys } = sim
+    if (sim.cpu) {
+      dispatch(collectContacts(sim.cpu.state.contacts, sim.cpu.state.pos, numPoints, bodyCount, keys))
+      return
+    }
+
+    // One readback at a time; events trail the simulation by its latency
+    if (inFlight.current) return
+    inFlight.current = true
+
+    // The contacts were found against the neighbour list the last pass
+    // read, which is now the alternate target
+    const { uniforms } = pairs.material
+    uniforms.texturePos.value = gpu.getCurrentRenderTarget(posVar).texture
+    uniforms.contactTex.value = gpu.getCurrentRenderTarget(contactVar).texture
+    uniforms.neighborTex.value = gpu.getAlternateRenderTarget(neighborVar).texture
+    gpu.doRenderTarget(pairs.material, pairs.target)
+
+    reader.read(pairs.target, 0, 0, maxNeighbors * 2, bodyCount)
+      // Decoded with the keys of the rows it was read from, so a result
+      // that lands after a rebuild still names the right bodies
+      .then(data => dispatch(collectPairs(data, maxNeighbors, bodyCount, keys)))
+      // A throwing filter or handler loses this frame's events, not the next
+      .catch(err => { if (!isCancelled(err)) console.error('SoftBody: collision events failed', err) })
+      .finally(() => { inFlight.current = false })
+  })
+}
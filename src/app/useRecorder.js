@@ -0,0 +1,262 @@
+/**************************************************************************
+ *  Record / replay, exposed through the <SoftBody> ref
+ **************************************************************************/
+import { useMemo, useRef } from 'react'
+import { useThree } from '@react-three/fiber'
+import { readSnapshot, readState, writePositions, writeSnapshot } from './gpuState'
+import {
+  RECORDING_FORMAT, RECORDING_VERSION, checkRecording, checkSnapshotLayout,
+  deserializeSnapshot, serializeSnapshot, encodeFloats, decodeFloats
+} from './recording'
+
+const sameFloats = (a, b) => a.length === b.length && a.every((v, i) => Object.is(v, b[i]))
+
+// Leva snaps numbers to their control's step, so compare loosely
+const sameValue = (a, b) => a === b || (typeof a === 'number' && Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b)))
+
+// Steps a replay waits for its config to show up in the controls
+const CONFIG_WAIT_STEPS = 120
+
+/**
+ * Recording snapshots the state and Leva config at the next fixed step,
+ * then logs every step's inputs; replay restores both and feeds the inputs
+ * back, so an untouched replay reproduces the session on the same machine:
+ *
+ *   bodies.current.startRecording()
+ *   const rec = bodies.current.stopRecording()       // JSON-serialisable
+ *   const { frames, ...meta } = await bodies.current.replay(rec, { capture: true })
+ *   encodeFrames(frames, meta, 'binary')              // see recording.js
+ *
+ * `obstacles` and `fields` are the useObstacles() and useForceFields()
+ * results. Returns { methods, begin, step,
+ * end }: the simulation loop calls begin() before flushing API edits,
+ * step(dragSlots, written) once the step's inputs are known – it returns
+ * the drag slots to use – and end() after computing.
+ */
+export const useRecorder = (sim, cfg, setConfig, obstacles, fields, reader) => {
+  const { gl } = useThree()
+  const session = useRef({ mode: 'idle' })
+
+  const latest = useRef()
+  latest.current = { sim, cfg }
+
+  // Settles a session's promise with the frames it captured
+  const settle = (s) => {
+    const { sim: { numPoints }, keys } = s
+    Promise.all(s.frames).then(frames => s.resolve({ frames, numPoints, keys, timeStep: s.timeStep }), s.reject)
+  }
+
+  const finishReplay = (s) => {
+    session.current = { mode: 'idle' }
+    settle(s)
+  }
+
+  const begin = () => {
+    const s = session.current
+    const { sim, cfg } = latest.current
+
+    if (s.mode === 'startRecording') {
+      session.current = {
+        ...s,
+        mode: 'recording',
+        sim,
+        keys: sim.keys,
+        timeStep: cfg.timeStep,
+        recording: {
+          format: RECORDING_FORMAT,
+          version: RECORDING_VERSION,
+          config: { ...cfg },
+          snapshot: serializeSnapshot(readSnapshot(gl, sim)),
+          steps: [],
+        },
+        obstacles: null,
+        fields: null,
+      }
+      // The snapshot holds them as they are now
+      sim.edits.pins = sim.edits.rest = false
+    }
+    else if (s.mode === 'startReplay') {
+      // Wait for the applied config to reach the controls, and for a
+      // vertex-count change to rebuild the simulation
+      const pending = s.config && Object.entries(s.config).some(([key, value]) => !sameValue(cfg[key], value))
+      if ((pending || s.snapshot.numPoints !== sim.numPoints) && s.waited++ < CONFIG_WAIT_STEPS) return
+      try {
+        checkSnapshotLayout(s.snapshot, sim)
+      } catch (err) {
+        session.current = { mode: 'idle' }
+        s.reject(err)
+        return
+      }
+      writeSnapshot(sim, s.snapshot)
+      Object.assign(s, { mode: 'replaying', sim, keys: sim.keys, timeStep: cfg.timeStep, index: 0, obstacleCount: 0, obstacleData: null, fields: null })
+    }
+    // A rebuild or a tear or merge rewriting rows mid-session invalidates
+    // the recorded layout
+    else if ((s.mode === 'recording' || s.mode === 'replaying') && (s.sim !== sim || s.keys !== sim.keys)) {
+      console.warn(`SoftBody: ${s.mode === 'recording' ? 'recording' : 'replay'} stopped, the body layout changed`)
+      if (s.mode === 'replaying') finishReplay(s)
+      else {
+        s.mode = 'stopped'
+        settle(s)
+      }
+    }
+  }
+
+  const step = (dragSlots, written) => {
+    const s = session.current
+    const { sim } = latest.current
+    const uniforms = sim.posVar.material.uniforms
+
+    if (s.mode === 'recording') {
+      const entry = {}
+      if (dragSlots.length) entry.drags = dragSlots
+      if (written) entry.write = encodeFloats(written)
+
+      const count = uniforms.obstacleCount.value
+      const data = obstacles.texture.image.data
+      if (!s.obstacles || s.obstacles.count !== count || !sameFloats(s.obstacles.data, data)) {
+        s.obstacles = { count, data: Float32Array.from(data) }
+        entry.obstacles = { count, data: encodeFloats(data) }
+      }
+      // The field clock only matters while there are fields
+      const fieldCount = uniforms.fieldCount.value
+      const fieldData = fields.texture.image.data
+      const time = uniforms.fieldTime.value
+      if (!s.fields || s.fields.count !== fieldCount || !sameFloats(s.fields.data, fieldData) ||
+          (fieldCount > 0 && s.fields.time !== time)) {
+        s.fields = { count: fieldCount, data: Float32Array.from(fieldData), time }
+        entry.fields = { count: fieldCount, data: encodeFloats(fieldData), time }
+      }
+      // Pins and rest shapes (only rewritten when a snapshot is restored
+      // mid-recording) are logged when flagged as edited
+      if (sim.edits.pins) {
+        sim.edits.pins = false
+        entry.pins = encodeFloats(sim.pinTex.image.data)
+      }
+      if (sim.edits.rest) {
+        sim.edits.rest = false
+        entry.rest = encodeFloats(sim.restTex.image.data)
+      }
+      s.recording.steps.push(entry)
+      return dragSlots
+    }
+
+    if (s.mode === 'replaying') {
+      const entry = s.recording.steps[s.index++] ?? {}
+      if (entry.rest) {
+        sim.restTex.image.data.set(decodeFloats(entry.rest))
+        sim.restTex.needsUpdate = true
+      }
+      if (entry.write) writePositions(sim, decodeFloats(entry.write), sim.restTex.image.data)
+      if (entry.pins) {
+        sim.pinTex.image.data.set(decodeFloats(entry.pins))
+        sim.pinTex.needsUpdate = true
+      }
+      // Live obstacles are packed every step, so the recorded ones are
+      // put back before every step, not only when they changed
+      if (entry.obstacles) {
+        s.obstacleCount = entry.obstacles.count
+        s.obstacleData = decodeFloats(entry.obstacles.data)
+      }
+      if (s.obstacleData) {
+        obstacles.texture.image.data.set(s.obstacleData)
+        obstacles.texture.needsUpdate = true
+        uniforms.obstacleTex.value = obstacles.texture
+        uniforms.obstacleCount.value = s.obstacleCount
+      }
+      // Fields likewise; the uniforms of custom ones stay live
+      if (entry.fields) s.fields = { ...entry.fields, data: decodeFloats(entry.fields.data) }
+      if (s.fields) {
+        fields.texture.image.data.set(s.fields.data)
+        fields.texture.needsUpdate = true
+        uniforms.fieldTex.value = fields.texture
+        uniforms.fieldCount.value = s.fields.count
+        uniforms.fieldTime.value = s.fields.time
+      }
+      return entry.drags ?? []
+    }
+
+    return dragSlots
+  }
+
+  const end = () => {
+    const s = session.current
+    if (s.capture && (s.mode === 'recording' || s.mode === 'replaying')) {
+      const { sim } = latest.current
+      s.frames.push(readState(reader, sim, sim.posVar, 0, 0, sim.numPoints, sim.bodyCount))
+    }
+    if (s.mode === 'replaying' && s.index >= s.recording.steps.length) finishReplay(s)
+  }
+
+  const methods = useMemo(() => ({
+    /**
+     * Starts logging at the next fixed step; ends a running replay or
+     * recording. Resolves once the recording stops – with the vertex
+     * positions of every recorded step when `capture` is set.
+     */
+    startRecording({ capture = false } = {}) {
+      methods.stopReplay()
+      methods.stopRecording()
+      return new Promise((resolve, reject) => {
+        session.current = { mode: 'startRecording', capture, frames: [], resolve, reject }
+      })
+    },
+
+    /** @returns the recording, or null if no step was recorded yet */
+    stopRecording() {
+      const s = session.current
+      if (s.mode === 'startRecording' || s.mode === 'recording' || s.mode === 'stopped') {
+        session.current = { mode: 'idle' }
+      }
+      if (s.mode === 'startRecording') {
+        const { sim, cfg } = latest.current
+        s.resolve({ frames: [], numPoints: sim.numPoints, keys: sim.keys, timeStep: cfg.timeStep })
+      }
+      else if (s.mode === 'recording') settle(s)
+      return s.recording?.steps.length ? s.recording : null
+    },
+
+    /**
+     * Replays a recording (object or JSON text) in place of live input.
+     * Resolves when it ends – with the vertex positions of every step when
+     * `capture` is set – or rejects if it doesn't fit the current bodies.
+     */
+    replay(recording, { applyConfig = true, capture = false } = {}) {
+      const rec = checkRecording(typeof recording === 'string' ? JSON.parse(recording) : recording)
+      methods.stopReplay()
+
+      const { cfg } = latest.current
+      const config = applyConfig
+        ? Object.fromEntries(Object.entries(rec.config).filter(([key]) => key in cfg))
+        : null
+      if (config) setConfig(config)
+
+      return new Promise((resolve, reject) => {
+        session.current = {
+          mode: 'startReplay',
+          recording: rec,
+          snapshot: deserializeSnapshot(rec.snapshot),
+          config,
+          waited: 0,
+          timeStep: cfg.timeStep,
+          capture,
+          frames: [],
+          resolve,
+          reject,
+        }
+      })
+    },
+
+    /** Ends a replay early; its promise resolves with the frames so far. */
+    stopReplay() {
+      const s = session.current
+      if (s.mode === 'replaying') finishReplay(s)
+      else if (s.mode === 'startReplay') {
+        session.current = { mode: 'idle' }
+        s.resolve({ frames: [], numPoints: s.snapshot.numPoints, keys: s.snapshot.keys, timeStep: s.timeStep })
+      }
+    },
+  }), [])
+
+  return { methods, begin, step, end }
+}
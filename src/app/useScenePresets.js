@@ -0,0 +1,85 @@
+/**************************************************************************
+ *  Scene panel – a Leva `Scene` folder to pick, save and load presets
+ **************************************************************************/
+import { useRef, useState } from 'react'
+import { button, useControls } from 'leva'
+import { BUILTIN_SCENES, applySettings, captureSettings, createScene, parseScene } from './scenes'
+
+const DEFAULT = 'default'
+const CUSTOM = 'loaded file'
+
+const download = (text, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  // Revoked at once, some browsers (Firefox) cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Opens a file picker; resolves with the chosen file's text
+const pickFile = () => new Promise((resolve, reject) => {
+  const input = document.createElement('input')
+  input.type = 'file'
+  input.accept = 'application/json,.json'
+  input.onchange = () => input.files[0]?.text().then(resolve, reject)
+  input.click()
+})
+
+/**
+ * Picking a preset or loading a file pushes its settings into the panel and
+ * changes `key`, so <SoftBody key={scene.key} bodies={scene.bodies}
+ * boundary={scene.boundary}> starts over. A file that fails to load shows
+ * why under `error`.
+ * @param {object[]} defaultBodies bodies to save for the `default` scene,
+ *   which passes no `bodies` prop
+ */
+export const useScenePresets = (defaultBodies) => {
+  const [scene, setScene] = useState({ key: 0, name: DEFAULT })
+  const latest = useRef()
+  latest.current = scene
+
+  // Settings of the starting scene, taken before the first preset replaces them
+  const initialSettings = useRef(null)
+
+  const load = (data, name) => {
+    if (!initialSettings.current) initialSettings.current = captureSettings()
+    applySettings(data ?? initialSettings.current)
+    setScene(({ key }) => ({ key: key + 1, name, bodies: data?.bodies, boundary: data?.boundary }))
+    set({ error: '' })
+  }
+
+  const [, set] = useControls('Scene', () => ({
+    preset: {
+      value: DEFAULT,
+      options: [DEFAULT, ...Object.keys(BUILTIN_SCENES), CUSTOM],
+      // CUSTOM only marks a loaded file, there is nothing to switch to
+      onChange: (name, _, { initial }) => {
+        if (initial || name === CUSTOM) return
+        load(BUILTIN_SCENES[name] ?? null, name)
+      },
+    },
+    save: button(() => {
+      const { name, bodies, boundary } = latest.current
+      const json = createScene({ name, bodies: bodies ?? defaultBodies, boundary })
+      download(JSON.stringify(json, null, 2), `${name.replace(/\W+/g, '-')}.json`)
+    }),
+    load: button(() => {
+      pickFile()
+        .then((text) => {
+          const data = parseScene(text)
+          load(data, data.name ?? CUSTOM)
+          set({ preset: CUSTOM })
+        })
+        .catch((err) => {
+          console.error(err)
+          set({ error: err.message })
+        })
+    }),
+    // Why the last file failed to load; hidden while there is none
+    error: { value: '', editable: false, render: (get) => get('Scene.error') !== '' },
+  }))
+
+  return scene
+}
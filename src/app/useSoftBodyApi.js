@@ -0,0 +1,222 @@
+/**************************************************************************
+ *  Imperative <SoftBody> API, exposed through its ref
+ **************************************************************************/
+import { useImperativeHandle, useRef } from 'react'
+import { useThree } from '@react-three/fiber'
+import { readPositions, readState, writePositions, readSnapshot, writeSnapshot } from './gpuState'
+import { computeShapeMatch } from './solver'
+import { toXY } from './shapes'
+import { resolveBodyParam } from './bodyParams'
+import { checkSnapshotLayout, deserializeSnapshot } from './recording'
+
+// Positions, velocities and pose of one body from its texturePos row
+const describeRow = (data, rest, numPoints) => {
+  const shape = computeShapeMatch(data, rest, numPoints, 1)
+  const positions = [], velocities = []
+  for (let i = 0; i < numPoints; i++) {
+    positions.push([data[i * 4], data[i * 4 + 1]])
+    velocities.push([data[i * 4 + 2], data[i * 4 + 3]])
+  }
+  return {
+    positions,
+    velocities,
+    centroid: [shape[0], shape[1]],
+    rotation: Math.atan2(shape[3], shape[2]),
+  }
+}
+
+/**
+ * Builds the ref handle; `extra` methods (e.g. the recorder's) are merged in.
+ * Bodies are addressed by row or `id`; edits are queued and applied at the
+ * start of the next fixed step, like pointer input.
+ * Returns flush(), which applies queued edits and returns the texturePos
+ * data it wrote, or null when there was nothing to apply.
+ */
+export const useSoftBodyApi = (ref, sim, bodies, cfg, reader, extra = {}) => {
+  const { gl } = useThree()
+  const queue = useRef([])
+
+  // Ops run at flush time, possibly after a rebuild, so they read the latest props
+  const latest = useRef()
+  latest.current = { sim, bodies, cfg }
+
+  const rowOf = (body) => {
+    const { sim } = latest.current
+    const row = typeof body === 'number' ? body : sim.keys.indexOf(String(body))
+    if (row < 0 || row >= sim.bodyCount || !Number.isInteger(row)) {
+      throw new Error(`SoftBody: unknown body "${body}"`)
+    }
+    return row
+  }
+
+  // Adds a velocity change to one vertex, or to every vertex of the row
+  const addVelocity = (data, row, dv, vertex) => {
+    const { numPoints } = latest.current.sim
+    const from = vertex ?? 0, to = vertex ?? numPoints - 1
+    for (let i = from; i <= to; i++) {
+      const base = (row * numPoints + i) * 4
+      data[base + 2] += dv[0]
+      data[base + 3] += dv[1]
+    }
+  }
+
+  // `mass` is the body's total mass, spread evenly over its vertices
+  const impulseOp = (body, impulse, vertex) => (data) => {
+    const { sim, bodies, cfg } = latest.current
+    const row = rowOf(body)
+    const [jx, jy] = toXY(impulse)
+    const mass = Math.max(resolveBodyParam(bodies[row], cfg, 'mass'), 1e-4)
+    const k = vertex == null ? 1 / mass : sim.numPoints / mass
+    addVelocity(data, row, [jx * k, jy * k], vertex)
+  }
+
+  // Sets (or clears, with position null) the pin of vertices `from`..`to`
+  const setPins = (row, from, to, position) => {
+    const { sim } = latest.current
+    const { pinTex, numPoints } = sim
+    for (let i = from; i <= to; i++) {
+      pinTex.image.data.set(position ? [position[0], position[1], 1, 0] : [0, 0, 0, 0], (row * numPoints + i) * 4)
+    }
+    pinTex.needsUpdate = true
+    sim.edits.pins = true
+  }
+
+  const vertexOf = (vertex) => {
+    const { numPoints } = latest.current.sim
+    if (!Number.isInteger(vertex) || vertex < 0 || vertex >= numPoints) {
+      throw new Error(`SoftBody: vertex ${vertex} out of range 0..${numPoints - 1}`)
+    }
+    return vertex
+  }
+
+  const flush = () => {
+    if (!queue.current.length) return null
+    const { sim } = latest.current
+    const data = readPositions(gl, sim)
+    queue.current.forEach(op => op(data))
+    queue.current.length = 0
+    writePositions(sim, data, sim.restTex.image.data)
+    return data
+  }
+
+  useImperativeHandle(ref, () => ({
+    /** Instant change of momentum for a body, or for one of its vertices. */
+    applyImpulse(body, impulse, vertex) {
+      queue.current.push(impulseOp(body, impulse, vertex))
+    },
+
+    /** A force acting for one fixed step (impulse = force × timeStep). */
+    applyForce(body, force, vertex) {
+      const [fx, fy] = toXY(force)
+      const h = latest.current.cfg.timeStep
+      queue.current.push(impulseOp(body, [fx * h, fy * h], vertex))
+    },
+
+    /** Teleports a body so its centroid lands on `position`. */
+    setPosition(body, position, { keepVelocity = false } = {}) {
+      queue.current.push((data) => {
+        const { sim } = latest.current
+        const row = rowOf(body)
+        const [x, y] = toXY(position)
+        const shape = computeShapeMatch(data, sim.restTex.image.data, sim.numPoints, sim.bodyCount)
+        const dx = x - shape[row * 4], dy = y - shape[row * 4 + 1]
+        for (let i = 0; i < sim.numPoints; i++) {
+          const base = (row * sim.numPoints + i) * 4
+          data[base] += dx
+          data[base + 1] += dy
+          if (!keepVelocity) data[base + 2] = data[base + 3] = 0
+        }
+      })
+    },
+
+    /**
+     * Holds one vertex fixed at `position` (sim units), or where it is when
+     * the pin lands if no position is given. Pinning again moves the pin.
+     */
+    pin(body, vertex, position) {
+      queue.current.push((data) => {
+        const { sim } = latest.current
+        const row = rowOf(body), i = vertexOf(vertex)
+        const base = (row * sim.numPoints + i) * 4
+        const p = position ? toXY(position) : [data[base], data[base + 1]]
+        setPins(row, i, i, p)
+        data.set([p[0], p[1], 0, 0], base)
+      })
+    },
+
+    /** Releases one pinned vertex, or every pin of the body without a vertex. */
+    unpin(body, vertex) {
+      queue.current.push(() => {
+        const row = rowOf(body)
+        if (vertex == null) setPins(row, 0, latest.current.sim.numPoints - 1, null)
+        else setPins(row, vertexOf(vertex), vertexOf(vertex), null)
+      })
+    },
+
+    /** Puts one body – or every body when called without one – back at rest at its initial center. */
+    reset(body) {
+      queue.current.push((data) => {
+        const { sim } = latest.current
+        const rows = body == null ? sim.keys.map((_, row) => row) : [rowOf(body)]
+        const rowSize = sim.numPoints * 4
+        rows.forEach(row => {
+          data.set(sim.initial.pos.subarray(row * rowSize, (row + 1) * rowSize), row * rowSize)
+        })
+      })
+    },
+
+    /**
+     * Full copy of the simulation – positions, velocities, rest shapes and
+     * pins – after applying pending edits. Pass it through serializeSnapshot
+     * (recording.js) to store it as JSON.
+     */
+    snapshot() {
+      flush()
+      return readSnapshot(gl, latest.current.sim)
+    },
+
+    /** Puts a snapshot (in-memory or serialised) back at the next step boundary. */
+    restore(snapshot) {
+      const snap = deserializeSnapshot(snapshot)
+      checkSnapshotLayout(snap, latest.current.sim)
+      queue.current.push((data) => {
+        const { sim } = latest.current
+        checkSnapshotLayout(snap, sim)
+        writeSnapshot(sim, snap)
+        data.set(snap.pos)    // flush uploads `data` once more afterwards
+      })
+    },
+
+    /**
+     * Synchronous readback of a body, after applying pending edits.
+     * @returns {{ positions: number[][], velocities: number[][], centroid: number[], rotation: number }}
+     */
+    getState(body) {
+      flush()
+      const { sim } = latest.current
+      const row = rowOf(body)
+      const rowSize = sim.numPoints * 4
+      const data = readPositions(gl, sim).subarray(row * rowSize, (row + 1) * rowSize)
+      return describeRow(data, sim.restTex.image.data.subarray(row * rowSize, (row + 1) * rowSize), sim.numPoints)
+    },
+
+    /**
+     * Same as getState, through a non-blocking readback. Resolves a frame or
+     * two later with the state of the last completed step; queued edits that
+     * haven't been applied yet are not included. Rejects if <SoftBody>
+     * unmounts first.
+     */
+    getStateAsync(body) {
+      const { sim } = latest.current
+      const row = rowOf(body)
+      const rowSize = sim.numPoints * 4
+      const rest = sim.restTex.image.data.subarray(row * rowSize, (row + 1) * rowSize)
+      return readState(reader, sim, sim.posVar, 0, row, sim.numPoints, 1)
+        .then(data => describeRow(data, rest, sim.numPoints))
+    },
+
+    ...extra,
+  }), [])
+
+  return flush
+}
@@ -0,0 +1,196 @@
+/**************************************************************************
+ *  Tearing and merging – the body list as the simulation reshapes it
+ **************************************************************************/
+import { useMemo, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { resolveBodyParam } from './bodyParams'
+import { FREE_ROW, bodyKey, findTear, isFreeRow, mergeBodies, pressedPairs, splitBody } from './topology'
+import { interiorType } from './interior'
+import { readState } from './gpuState'
+import { isCancelled } from './asyncReadback'
+
+// Vertices of each body that must touch the other for a pair to count as pressed
+const mergeContact = (numPoints) => Math.max(2, Math.round(numPoints / 16))
+
+// Free rows kept for the pieces of tears while any body can tear
+const SPARE_ROWS = 8
+
+// Rows of the prop's bodies and free rows, under the rows edits replaced
+const editedRows = (initial, edited) =>
+  Array.from({ length: Math.max(initial.length, edited.length) }, (_, row) => edited[row] ?? initial[row])
+
+/**
+ * The live body list, one per simulation row: the `bodies` prop with torn
+ * and fused bodies replaced by what became of them, and free rows (see
+ * topology.js). Bodies never change rows, so id-less ones keep their key.
+ * `replace(keys, bodies)` swaps some, filling free rows first. While any
+ * body can tear, SPARE_ROWS free rows wait for the pieces; only running
+ * out of them rebuilds the simulation. A new set of ids in `bodies`
+ * starts over from the prop.
+ */
+export const useTopology = (bodies, cfg) => {
+  const signature = bodies.map(bodyKey).join('|')
+  const spare = bodies.some(body => resolveBodyParam(body, cfg, 'tearStretch') > 0) ? SPARE_ROWS : 0
+  const initial = useMemo(() => [...bodies, ...Array(spare).fill(FREE_ROW)], [bodies, spare])
+
+  // Rows edits replaced, by row; the rest follow the prop
+  const [edits, setEdits] = useState({ signature, rows: [] })
+  const edited = edits.signature === signature ? edits.rows : null
+  const live = useMemo(() => (edited ? editedRows(initial, edited) : initial), [initial, edited])
+
+  const latest = useRef()
+  latest.current = { bodies: live, initial, signature }
+  const serial = useRef(0)
+
+  return {
+    bodies: live,
+
+    replace(keys, replacements) {
+      const { initial, signature } = latest.current
+      setEdits(e => {
+        const rows = e.signature === signature ? [...e.rows] : []
+        editedRows(initial, rows).forEach((body, row) => {
+          if (keys.includes(bodyKey(body, row))) rows[row] = FREE_ROW
+        })
+        replacements.forEach(body => {
+          const free = editedRows(initial, rows).findIndex(isFreeRow)
+          if (free >= 0) {
+            rows[free] = body
+            return
+          }
+          // Out of free rows: grow by as many again, rebuilding once
+          const end = Math.max(initial.length, rows.length)
+          rows[end] = body
+          for (let k = 1; k <= SPARE_ROWS; k++) rows[end + k] = FREE_ROW
+        })
+        return { signature, rows }
+      })
+    },
+
+    // `<first part of key>#n`, unused so far
+    newId(key) {
+      const root = key.split('#')[0]
+      let id
+      do id = `${root}#${++serial.current}`
+      while (latest.current.bodies.some((body, row) => bodyKey(body, row) === id))
+      return id
+    },
+  }
+}
+
+/**
+ * Watches the simulation for tears and merges and applies them to
+ * `topology`. `stepCount` is the ref counting fixed steps, the clock of
+ * merge delays. Reads nothing back while every body has both turned off.
+ *
+ * A body tears once an edge stretches past `tearStretch` × its rest length;
+ * two bodies fuse after staying pressed together for the longer of their
+ * `mergeDelay`s (simulated seconds). New bodies keep the material, look
+ * and kind of interior (not the holes) of the one they came from, with
+ * its mass times their share of the rest area, and ids like `red#3`:
+ *
+ *   onSplit({ id, into: [idA, idB] })      onMerge({ ids: [idA, idB], into })
+ */
+export const useTopologyChanges = (sim, cfg, reader, topology, stepCount, { onSplit, onMerge }) => {
+  const inFlight = useRef(false)
+  const changed = useRef(null)       // the row keys a change is about to replace
+  const pressed = useRef(new Map())  // 'keyA|keyB' → seconds pressed together
+  const lastRead = useRef(null)      // step count at the last readback
+
+  const latest = useRef()
+  latest.current = { sim, cfg, topology, handlers: { onSplit, onMerge } }
+
+  // Free rows neither tear nor merge
+  const setting = (key) => topology.bodies.map(body => (isFreeRow(body) ? 0 : resolveBodyParam(body, cfg, key)))
+  const tearStretch = setting('tearStretch')
+  const mergeDelay = setting('mergeDelay')
+  const tearing = tearStretch.some(v => v > 0)
+  const merging = mergeDelay.filter(v => v > 0).length >= 2
+
+  // Cuts the first torn body in two; true if one was
+  const split = (pos) => {
+    const { sim, cfg, topology, handlers } = latest.current
+    return tearStretch.some((stretch, row) => {
+      if (stretch <= 0) return false
+      const edge = findTear(pos, sim.restTex.image.data, sim.numPoints, row, stretch)
+      if (edge < 0) return false
+      const key = sim.keys[row]
+      const pieces = splitBody(pos, sim.restTex.image.data, sim.numPoints, row, key, edge)
+      if (!pieces) return false
+
+      const parent = topology.bodies[row]
+      const mass = resolveBodyParam(parent, cfg, 'mass')
+      const into = pieces.map(() => topology.newId(key))
+      topology.replace([key], pieces.map(({ share, ...piece }, k) => ({
+        ...parent, ...piece, id: into[k], radius: undefined, mass: mass * share,
+        interior: interiorType(parent), holes: undefined,
+      })))
+      handlers.onSplit?.({ id: key, into })
+      return true
+    })
+  }
+
+  // Fuses the first pair pressed together for long enough; true if one was
+  const merge = (pos, contacts, elapsed) => {
+    const { sim, cfg, topology, handlers } = latest.current
+    const { numPoints, bodyCount, keys } = sim
+    const rest = sim.restTex.image.data
+
+    const times = new Map()
+    const due = pressedPairs(contacts, numPoints, bodyCount, mergeContact(numPoints)).filter(([a, b]) => {
+      if (mergeDelay[a] <= 0 || mergeDelay[b] <= 0) return false
+      const pair = `${keys[a]}|${keys[b]}`
+      const time = (pressed.current.get(pair) ?? 0) + elapsed
+      times.set(pair, time)
+      return time >= Math.max(mergeDelay[a], mergeDelay[b])
+    })
+    pressed.current = times
+
+    return due.some(([a, b]) => {
+      const body = mergeBodies(pos, contacts, rest, numPoints, [a, keys[a]], [b, keys[b]])
+      if (!body) return false
+
+      const area = (row) => rest[row * numPoints * 4 + 3]
+      const { share, ...piece } = body
+      const larger = area(a) >= area(b) ? a : b
+      const mass = resolveBodyParam(topology.bodies[a], cfg, 'mass') + resolveBodyParam(topology.bodies[b], cfg, 'mass')
+      const into = topology.newId(keys[larger])
+      topology.replace([keys[a], keys[b]], [{
+        ...topology.bodies[larger], ...piece, id: into, radius: undefined, mass: mass * share,
+        interior: interiorType(topology.bodies[larger]), holes: undefined,
+      }])
+      pressed.current = new Map()
+      handlers.onMerge?.({ ids: [keys[a], keys[b]], into })
+      return true
+    })
+  }
+
+  useFrame(() => {
+    if (!tearing && !merging) {
+      pressed.current = new Map()
+      lastRead.current = null
+      return
+    }
+    // One readback at a time, none while a change waits for its rows
+    const { posVar, contactVar, numPoints, bodyCount, keys } = sim
+    if (inFlight.current || changed.current === keys) return
+    inFlight.current = true
+
+    // Simulated time, so a merge takes as many steps at any frame rate
+    const now = stepCount.current
+    const elapsed = lastRead.current == null ? 0 : (now - lastRead.current) * cfg.timeStep
+    lastRead.current = now
+
+    Promise.all([
+      readState(reader, sim, posVar, 0, 0, numPoints, bodyCount),
+      merging ? readState(reader, sim, contactVar, 0, 0, numPoints, bodyCount) : null,
+    ])
+      .then(([pos, contacts]) => {
+        // Rows no longer mean the same bodies once rebuilt or rewritten
+        if (latest.current.sim !== sim || sim.keys !== keys || changed.current === keys) return
+        if ((tearing && split(pos)) || (contacts && merge(pos, contacts, elapsed))) changed.current = keys
+      })
+      .catch(err => { if (!isCancelled(err)) console.error('SoftBody: tearing and merging failed', err) })
+      .finally(() => { inFlight.current = false })
+  })
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BOUNDARY_TYPE, MAX_BOUNDARY_VERTICES, normalizeBoundary } from '../src/app/boundary.js'
+import { createCpuSolver, createInitialState } from '../src/app/solver.js'
+import { BODY_PARAM_TEXELS, packBodyParams } from '../src/app/bodyParams.js'
+
+// No forces but the walls', so each vertex shows the push it got
+const STILL = { kShape: 0, pressureK: 0, kSpring: 0, damping: 0, kDampSpring: 0 }
+const UNIFORMS = { dt: 1 / 60, gravity: [0, 0], wallK: 300, wallDamp: 5, wallDistance: 1, kDrag: 200 }
+const N = 16
+
+// L-shaped container: the quadrant x > 0, y > 0 is cut out
+const L_SHAPE = [[-1, -1], [1, -1], [1, 0], [0, 0], [0, 1], [-1, 1]]
+
+// Velocities of one body's vertices after a step inside `boundary`
+const pushes = (center, radius, boundary) => {
+  const bodies = [{ radius, center }]
+  const params = packBodyParams(new Float32Array(BODY_PARAM_TEXELS * 4), bodies, STILL)
+  const { state, compute } = createCpuSolver({ ...createInitialState(bodies, N), params })
+  const before = Float32Array.from(state.pos)
+  compute({ ...UNIFORMS, boundary: normalizeBoundary(boundary, 1) })
+  return Array.from({ length: N }, (_, i) => ({
+    x: before[i * 4], y: before[i * 4 + 1], vx: state.pos[i * 4 + 2], vy: state.pos[i * 4 + 3],
+  }))
+}
+
+test('a concave polygon leaves bodies inside it alone', () => {
+  pushes([-0.5, 0.5], 0.1, { type: 'polygon', vertices: L_SHAPE })
+    .forEach(({ vx, vy }) => assert.deepEqual([vx, vy], [0, 0]))
+})
+
+test('vertices in a polygon notch are pushed out through the nearest edge', () => {
+  // Nearer the notch's floor (y = 0) than its side (x = 0)
+  pushes([0.3, 0.1], 0.05, { type: 'polygon', vertices: L_SHAPE }).forEach(({ vx, vy }) => {
+    assert.ok(vy < 0, `pushed down, vy = ${vy}`)
+    assert.ok(Math.abs(vx) < 1e-3 * -vy, `not sideways, vx = ${vx}`)
+  })
+})
+
+test('only the vertices past a polygon edge are pushed, harder the deeper they are', () => {
+  const square = { type: 'polygon', vertices: [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]] }
+  const result = pushes([0.5, 0], 0.1, square)
+  result.filter(({ x }) => x < 0.5).forEach(({ vx, vy }) => assert.deepEqual([vx, vy], [0, 0]))
+  const out = result.filter(({ x }) => x > 0.5 + 1e-6).sort((a, b) => a.x - b.x)
+  assert.ok(out.length > 0)
+  out.forEach(({ vx }) => assert.ok(vx < 0, `pushed back in, vx = ${vx}`))
+  assert.ok(out.at(-1).vx < out[0].vx)
+})
+
+test('rounded rectangles become polygons around their center', () => {
+  const b = normalizeBoundary({ type: 'roundedRect', width: 1, height: 0.5, radius: 0.1, center: [0.2, 0] }, 1)
+  assert.equal(b.type, BOUNDARY_TYPE.polygon)
+  const xs = b.vertices.map(([x]) => x), ys = b.vertices.map(([, y]) => y)
+  assert.ok(Math.abs(Math.min(...xs) + 0.3) < 1e-6 && Math.abs(Math.max(...xs) - 0.7) < 1e-6)
+  assert.ok(Math.abs(Math.min(...ys) + 0.25) < 1e-6 && Math.abs(Math.max(...ys) - 0.25) < 1e-6)
+})
+
+test('boundaries are checked', () => {
+  assert.throws(() => normalizeBoundary({ type: 'hexagon' }, 1), /unknown boundary type/)
+  assert.throws(() => normalizeBoundary({ type: 'polygon', vertices: [[0, 0], [1, 0]] }, 1), /3 to/)
+  const tooMany = Array.from({ length: MAX_BOUNDARY_VERTICES + 1 }, (_, i) => [Math.cos(i), Math.sin(i)])
+  assert.throws(() => normalizeBoundary({ type: 'polygon', vertices: tooMany }, 1), /3 to/)
+  assert.deepEqual(normalizeBoundary(null, 0.8).halfSize, [0.8, 0.8])
+})
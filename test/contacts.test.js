@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { collectContacts, collectPairs } from '../src/app/contacts.js'
+
+const N = 4
+
+// Per-vertex contact texels: (other row · N + edge + 1, depth, relative vx, vy)
+const contactData = (touches) => {
+  const contacts = new Float32Array(2 * N * 4)
+  const pos = new Float32Array(2 * N * 4)
+  touches.forEach(([row, idx, other, depth, vx, vy, x, y]) => {
+    const base = (row * N + idx) * 4
+    contacts.set([other * N + 1, depth, vx, vy], base)
+    pos.set([x, y], base)
+  })
+  return { contacts, pos }
+}
+
+test('contacts average over the touching vertices of both bodies', () => {
+  const { contacts, pos } = contactData([
+    [0, 0, 1, 0.25, 1, 0, 0, 0],
+    [0, 1, 1, 0.5, 3, 0, 2, 0],
+    [1, 2, 0, 0.125, -2, 2, 1, 3],
+  ])
+  const pairs = collectContacts(contacts, pos, N, 2, ['red', 'blue'])
+  assert.deepEqual([...pairs.keys()], ['blue:red'])
+  const c = pairs.get('blue:red')
+  assert.equal(c.idA, 'red')
+  assert.equal(c.idB, 'blue')
+  assert.equal(c.vertexCount, 3)
+  assert.deepEqual(c.point, [1, 1])
+  // Row 1's velocity is relative to row 0, so it counts negated
+  assert.deepEqual(c.relativeVelocity, [2, -2 / 3])
+  assert.equal(c.depth, 0.5)
+})
+
+test('no touching vertices, no contacts', () => {
+  const { contacts, pos } = contactData([])
+  assert.equal(collectContacts(contacts, pos, N, 2).size, 0)
+})
+
+// Pair texels per neighbour slot: (Σx, Σy, Σvx, Σvy), (other row + 1, depth, vertex count, -)
+const pairData = (rows, slots) => {
+  const data = new Float32Array(rows.length * slots * 8)
+  rows.forEach((entries, row) => entries.forEach((entry, k) => data.set(entry, (row * slots + k) * 8)))
+  return data
+}
+
+test('pairs decode to the same contacts, each pair once', () => {
+  const data = pairData([
+    [[2, 4, 6, 8, 2, 0.5, 2, 0]],
+    [[2, 4, 6, 8, 1, 0.5, 2, 0], [0, 0, 0, 0, 3, 0.1, 0, 0]],
+    [[]],
+  ], 2)
+  const pairs = collectPairs(data, 2, 3, ['a', 'b', 'c'])
+  assert.deepEqual([...pairs.keys()], ['a:b'])
+  assert.deepEqual(pairs.get('a:b'), {
+    bodyA: 0, bodyB: 1, idA: 'a', idB: 'b',
+    point: [1, 2], depth: 0.5, relativeVelocity: [3, 4], vertexCount: 2,
+  })
+})
+
+test('pairs are keyed by body id, whichever rows hold them', () => {
+  const data = pairData([[[0, 0, 0, 0, 2, 0.5, 1, 0]], [[0, 0, 0, 0, 1, 0.5, 1, 0]]], 1)
+  assert.deepEqual([...collectPairs(data, 1, 2, ['b', 'a']).keys()], ['a:b'])
+  // Rows without keys fall back to their index
+  assert.deepEqual([...collectPairs(data, 1, 2).keys()], ['0:1'])
+})
@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createCpuFallback } from '../src/app/cpuFallback.js'
+import { createCpuSolver, createInitialState } from '../src/app/solver.js'
+import { BODY_PARAM_TEXELS, packBodyParams } from '../src/app/bodyParams.js'
+
+const UNIFORMS = { dt: 1 / 60, gravity: [0, -5], wallK: 300, wallDamp: 5, wallDistance: 1, kDrag: 200 }
+
+// Stand-ins for the pass variables, only used as map keys
+const VARIABLES = { posVar: {}, shapeVar: {}, bboxVar: {}, contactVar: {}, neighborVar: {}, interiorVar: null }
+
+const setup = () => {
+  const bodies = [{ radius: 0.2, center: [0, 0.3] }, { radius: 0.15, center: [0.1, -0.2] }]
+  const initial = createInitialState(bodies, 16)
+  const params = packBodyParams(new Float32Array(bodies.length * BODY_PARAM_TEXELS * 4), bodies, { kShape: 300, kSpring: 40 })
+  const pins = new Float32Array(initial.pos.length)
+  return { ...initial, params, pins, maxNeighbors: 16 }
+}
+
+test('the fallback steps like the solver and keeps its textures on the live buffers', () => {
+  const arrays = setup()
+  const fallback = createCpuFallback(VARIABLES, arrays)
+  const reference = createCpuSolver(arrays)
+  for (let step = 0; step < 30; step++) {
+    fallback.compute(UNIFORMS)
+    reference.compute(UNIFORMS)
+  }
+  assert.deepEqual(fallback.state.pos, reference.state.pos)
+  assert.equal(fallback.textures.get(VARIABLES.posVar).image.data, fallback.state.pos)
+  assert.equal(fallback.textures.get(VARIABLES.shapeVar).image.width, 1)
+  assert.equal(fallback.textures.size, 5)
+})
+
+test('the fallback reads pins from the shared pin array', () => {
+  const arrays = setup()
+  const fallback = createCpuFallback(VARIABLES, arrays)
+  arrays.pins.set([0.5, 0.5, 1, 0])
+  fallback.compute(UNIFORMS)
+  assert.deepEqual([...fallback.state.pos.subarray(0, 4)], [0.5, 0.5, 0, 0])
+})
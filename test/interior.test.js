@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MAX_SPRINGS, buildInterior, packInterior } from '../src/app/interior.js'
+import { buildRestShape, circleShape, signedArea } from '../src/app/shapes.js'
+
+const N = 32
+
+const build = (body) => {
+  const rest = buildRestShape(body, N)
+  return { rest, interior: buildInterior(body, rest, N) }
+}
+
+// Vertex position by code: outline vertices first, then interior points
+const at = ({ rest, interior }, code) => (code < N ? rest.positions[code] : interior.points[code - N])
+
+const area = (mesh, triangles = mesh.interior.triangles) =>
+  triangles.reduce((sum, t) => sum + Math.abs(signedArea(t.map(code => at(mesh, code)))), 0)
+
+test('bodies without an interior build none', () => {
+  assert.equal(build({ radius: 0.2 }).interior, null)
+  assert.throws(() => build({ radius: 0.2, interior: 'lattice' }), /must be 'rings' or 'mesh'/)
+})
+
+for (const interior of ['rings', 'mesh']) {
+  test(`${interior} triangles tile the outline`, () => {
+    const mesh = build({ radius: 0.2, interior })
+    assert.ok(mesh.interior.points.length > 0 && mesh.interior.points.length <= N)
+    assert.ok(Math.abs(area(mesh) - mesh.rest.area) < 0.02 * mesh.rest.area, `${area(mesh)} vs ${mesh.rest.area}`)
+    mesh.interior.triangles.flat().forEach(code => assert.ok(code >= 0 && code < N + mesh.interior.points.length))
+  })
+}
+
+test('holes are left out of the mesh', () => {
+  const mesh = build({ radius: 0.25, holes: [circleShape(0.1, 24)] })
+  const hole = Math.abs(signedArea(circleShape(0.1, 24)))
+  assert.ok(Math.abs(area(mesh) - (mesh.rest.area - hole)) < 0.05 * mesh.rest.area)
+  // No triangle has its centroid in the hole
+  mesh.interior.triangles.forEach(t => {
+    const [x, y] = [0, 1].map(axis => t.reduce((sum, code) => sum + at(mesh, code)[axis], 0) / 3)
+    assert.ok(Math.hypot(x, y) > 0.09, `centroid ${x}, ${y}`)
+  })
+})
+
+test('springs stay within the per-vertex slots and skip the outline ring', () => {
+  const mesh = build({ radius: 0.2, interior: 'mesh', anisotropy: [2, 0.5] })
+  const count = new Map()
+  mesh.interior.springs.forEach(([a, b, length, scale]) => {
+    assert.ok(!(b < N && ((a + 1) % N === b || (b + 1) % N === a)), `ring edge ${a}-${b}`)
+    const [ax, ay] = at(mesh, a), [bx, by] = at(mesh, b)
+    assert.ok(Math.abs(Math.hypot(bx - ax, by - ay) - length) < 1e-9)
+    assert.ok(scale >= 0.5 - 1e-9 && scale <= 2 + 1e-9)
+    for (const code of [a, b]) count.set(code, (count.get(code) ?? 0) + 1)
+  })
+  assert.ok(Math.max(...count.values()) <= MAX_SPRINGS)
+})
+
+test('packed springs point both ways', () => {
+  const { interior } = build({ radius: 0.2, interior: 'rings' })
+  const { rest, springs } = packInterior([null, interior], N)
+  // Row 0 has no interior
+  assert.ok(rest.subarray(0, N * 4).every(v => v === 0))
+  assert.equal(rest[N * 4 + 2], 1)
+  const listed = springs.filter((_, i) => i % 4 === 0 && springs[i] > 0).length
+  assert.equal(listed, interior.springs.length * 2)
+})
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  FRAMES_FORMAT, RECORDING_FORMAT, RECORDING_VERSION, checkRecording, checkSnapshotLayout,
+  decodeFloats, decodeFrames, deserializeSnapshot, encodeFloats, encodeFrames, serializeSnapshot,
+} from '../src/app/recording.js'
+
+const N = 3
+const META = { numPoints: N, keys: ['a', 'b'], timeStep: 1 / 120 }
+
+// A texturePos frame: (x, y, vx, vy) per vertex, body by body
+const frame = (offset) => Float32Array.from({ length: 2 * N * 4 }, (_, i) => offset + i / 8)
+
+// The x, y of each vertex of a frame, body by body
+const xy = (data) => Float32Array.from({ length: 2 * N * 2 }, (_, i) => data[Math.floor(i / 2) * 4 + (i % 2)])
+
+test('float arrays survive base64, including a view into a larger buffer', () => {
+  const data = Float32Array.from([0, -1.5, Math.PI, 1e-30, NaN])
+  assert.deepEqual(decodeFloats(encodeFloats(data)), data)
+  const view = new Float32Array(data.buffer, 4, 2)
+  assert.deepEqual(decodeFloats(encodeFloats(view)), view)
+})
+
+test('snapshots round-trip through JSON', () => {
+  const snapshot = { numPoints: N, bodyCount: 2, keys: ['a', 'b'], pos: frame(0), rest: frame(1), pins: null }
+  const restored = deserializeSnapshot(JSON.parse(JSON.stringify(serializeSnapshot(snapshot))))
+  assert.deepEqual(restored, snapshot)
+  assert.doesNotThrow(() => checkSnapshotLayout(restored, { numPoints: N, keys: ['a', 'b'] }))
+  assert.throws(() => checkSnapshotLayout(restored, { numPoints: N, keys: ['b', 'a'] }), /doesn't fit/)
+})
+
+test('recordings are told apart by format and version', () => {
+  assert.throws(() => checkRecording({ format: FRAMES_FORMAT }), /not a recording/)
+  assert.throws(() => checkRecording({ format: RECORDING_FORMAT, version: RECORDING_VERSION + 1 }), /newer/)
+  const recording = { format: RECORDING_FORMAT, version: RECORDING_VERSION, steps: [] }
+  assert.equal(checkRecording(recording), recording)
+})
+
+test('binary frames decode to the positions they were encoded from', () => {
+  const frames = [frame(0), frame(10)]
+  const decoded = decodeFrames(encodeFrames(frames, META, 'binary'))
+  assert.equal(decoded.numPoints, N)
+  assert.equal(decoded.bodyCount, 2)
+  assert.equal(decoded.timeStep, Math.fround(META.timeStep))
+  assert.deepEqual(decoded.frames, frames.map(xy))
+})
+
+test('JSON frames hold x, y per vertex, per body, per frame', () => {
+  const json = JSON.parse(encodeFrames([frame(0)], META))
+  assert.equal(json.format, FRAMES_FORMAT)
+  assert.deepEqual(json.keys, ['a', 'b'])
+  assert.deepEqual(json.frames[0].flat(), [...xy(frame(0))])
+  assert.equal(json.frames[0].length, 2)
+})
+
+test('unknown frame formats are refused', () => {
+  assert.throws(() => encodeFrames([], META, 'csv'), /unknown frame format/)
+  assert.throws(() => decodeFrames(new ArrayBuffer(24)), /not a frame export/)
+})
@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RENDER_PROP_KEYS, resolveLook } from '../src/app/renderLook.js'
+
+const PANEL = { color: '#62d8ff', opacity: 0.9, rimWidth: 0.08, override: false, renderMode: 'rim' }
+
+test('body props win over the panel', () => {
+  const look = resolveLook({ color: '#ff0000' }, PANEL)
+  assert.equal(look.color, '#ff0000')
+  assert.equal(look.opacity, 0.9)
+})
+
+test('the panel override wins over body props', () => {
+  const look = resolveLook({ color: '#ff0000', opacity: 0.2 }, { ...PANEL, override: true })
+  assert.equal(look.color, '#62d8ff')
+  assert.equal(look.opacity, 0.9)
+})
+
+test('props the panel has no control for always come from the body', () => {
+  const gradient = { from: '#fff', to: '#000' }
+  const look = resolveLook({ gradient, map: 'a.png' }, { ...PANEL, override: true })
+  assert.equal(look.gradient, gradient)
+  assert.equal(look.map, 'a.png')
+  assert.equal(look.envMap, undefined)
+})
+
+test('a look has every render key and nothing else', () => {
+  assert.deepEqual(Object.keys(resolveLook({ id: 'a', radius: 0.2 }, PANEL)), RENDER_PROP_KEYS)
+})
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BUILTIN_SCENES, SCENE_FORMAT, SCENE_VERSION, parseScene } from '../src/app/scenes.js'
+
+const scene = (extra) => JSON.stringify({
+  format: SCENE_FORMAT, version: SCENE_VERSION, bodies: [{ radius: 0.2, center: [0, 0] }], ...extra,
+})
+
+test('a valid scene parses unchanged', () => {
+  const data = parseScene(scene({ name: 'one', physics: { kShape: 100 }, render: { renderMode: 'goo' } }))
+  assert.equal(data.name, 'one')
+  assert.deepEqual(data.bodies, [{ radius: 0.2, center: [0, 0] }])
+})
+
+test('the built-in presets round-trip through JSON', () => {
+  Object.values(BUILTIN_SCENES).forEach(preset => {
+    assert.deepEqual(parseScene(JSON.stringify(preset)), JSON.parse(JSON.stringify(preset)))
+  })
+})
+
+test('malformed JSON is reported as such', () => {
+  assert.throws(() => parseScene('{ bodies: '), /not valid JSON/)
+  assert.throws(() => parseScene('[]'), /expected a JSON object/)
+})
+
+test('every problem is listed in one error', () => {
+  const text = scene({
+    version: SCENE_VERSION + 1,
+    bodies: [{ id: 'a', radius: 0.2, center: [0, 0] }, { id: 'a', radius: 0.2, center: [0, 0], shading: 'glossy' }],
+    physics: { kShape: '100', warp: 1 },
+    render: { renderMode: 'wireframe' },
+  })
+  assert.throws(() => parseScene(text), (err) => {
+    [
+      /version: \d+ is newer/, /bodies\[1\]\.id: "a" is used by bodies\[0\]/, /bodies\[1\]\.shading/,
+      /physics\.kShape: expected a number/, /physics\.warp: unknown setting/, /render\.renderMode/,
+    ].forEach(re => assert.match(err.message, re))
+    return true
+  })
+})
+
+test('scenes need a format and bodies', () => {
+  assert.throws(() => parseScene(scene({ format: 'other', bodies: [] })), (err) => {
+    assert.match(err.message, /format: expected "r3f-softbody-scene"/)
+    assert.match(err.message, /bodies: expected a non-empty array/)
+    return true
+  })
+})
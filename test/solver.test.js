@@ -0,0 +1,127 @@
+/**************************************************************************
+ *  CPU solver regression tests
+ *
+ *  Run with `npm test`. The scene test compares against positions saved in
+ *  fixtures/; after an intended physics change, rewrite them with
+ *  `UPDATE_FIXTURES=1 npm test` and review the diff.
+ **************************************************************************/
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync, writeFileSync } from 'node:fs'
+import {
+  createCpuSolver, createInitialState, computeBBoxes, computeNeighbors, computeShapeMatch,
+} from '../src/app/solver.js'
+import { BODY_PARAM_TEXELS, packBodyParams } from '../src/app/bodyParams.js'
+import { BOUNDARY_TYPE, normalizeBoundary } from '../src/app/boundary.js'
+import { starShape } from '../src/app/shapes.js'
+import { FREE_ROW } from '../src/app/topology.js'
+
+// The Leva defaults of the `Soft Body` folder
+const CFG = {
+  kShape: 300, pressureK: 80, kSpring: 40, damping: 0.5, kDampSpring: 1,
+  friction: 0.3, restitution: 0.1,
+}
+
+const UNIFORMS = {
+  dt: 1 / 60, gravity: [0, -5], wallK: 300, wallDamp: 5, wallDistance: 1, kDrag: 200,
+}
+
+const paramsFor = (bodies, cfg = CFG) =>
+  packBodyParams(new Float32Array(bodies.length * BODY_PARAM_TEXELS * 4), bodies, cfg)
+
+const solverFor = (bodies, numPoints, cfg = CFG) =>
+  createCpuSolver({ ...createInitialState(bodies, numPoints), params: paramsFor(bodies, cfg) })
+
+const assertClose = (actual, expected, eps, label) => {
+  assert.equal(actual.length, expected.length, `${label}: length`)
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= eps, `${label}[${i}]: ${actual[i]} vs ${expected[i]}`)
+  }
+}
+
+test('a body without forces but gravity falls by g·dt² in one step', () => {
+  const still = { kShape: 0, pressureK: 0, kSpring: 0, damping: 0, kDampSpring: 0 }
+  const { state, compute } = solverFor([{ radius: 0.2 }], 16, still)
+  const before = Float32Array.from(state.pos)
+  const dt = 0.01, g = -4
+  compute({ ...UNIFORMS, dt, gravity: [0, g], boundary: normalizeBoundary({ type: 'none' }) })
+
+  for (let i = 0; i < 16; i++) {
+    const p = i * 4
+    assertClose(state.pos.subarray(p, p + 4), [before[p], before[p + 1] + g * dt * dt, 0, g * dt], 1e-6, `vertex ${i}`)
+  }
+})
+
+test('shape matching recovers a rigid rotation and translation', () => {
+  const numPoints = 24
+  const { pos, rest } = createInitialState([{ radius: 0.3, shape: starShape(0.3, 0.15) }], numPoints)
+  const angle = 0.7, t = [0.25, -0.4]
+  const c = Math.cos(angle), s = Math.sin(angle)
+  for (let i = 0; i < numPoints; i++) {
+    const [qx, qy] = rest.subarray(i * 4, i * 4 + 2)
+    pos.set([c * qx - s * qy + t[0], s * qx + c * qy + t[1]], i * 4)
+  }
+  assertClose(computeShapeMatch(pos, rest, numPoints, 1), [t[0], t[1], c, s], 1e-5, 'shape')
+})
+
+test('bounding boxes and broadphase list the overlapping bodies', () => {
+  const numPoints = 16
+  const bodies = [
+    { radius: 0.1, center: [0, 0] },
+    { radius: 0.1, center: [0.15, 0] },
+    { radius: 0.1, center: [2, 2] },
+  ]
+  const { pos } = createInitialState(bodies, numPoints)
+  const bbox = computeBBoxes(pos, paramsFor(bodies), numPoints, bodies.length)
+  assertClose(bbox.subarray(0, 4), [-0.1, -0.1, 0.1, 0.1], 1e-6, 'bbox 0')
+
+  const neighbors = computeNeighbors(bbox, numPoints, bodies.length, numPoints, 0.05)
+  const list = (body) => [0, 1].map(k => neighbors[body * numPoints * 4 + k])
+  assert.deepEqual(list(0), [2, 0])
+  assert.deepEqual(list(1), [1, 0])
+  assert.deepEqual(list(2), [0, 0])
+})
+
+test('the broadphase keeps the nearest bodies when the list is full', () => {
+  const numPoints = 16
+  // A row of boxes, all overlapping the first one; listed far to near
+  const bboxes = [[0, 0, 1, 1], ...[0.9, 0.8, 0.7, 0.6, 0.5].map(x => [x - 0.01, 0.2, x, 0.3])]
+  const neighbors = computeNeighbors(new Float32Array(bboxes.flat()), numPoints, bboxes.length, 3, 0)
+  assert.deepEqual([...neighbors.subarray(0, 4)], [6, 5, 4, 0])
+})
+
+test('a free row holds still and touches nothing', () => {
+  const numPoints = 16
+  const { state, compute } = solverFor([{ radius: 0.2, center: [0, 0] }, FREE_ROW], numPoints)
+  const parked = Float32Array.from(state.pos.subarray(numPoints * 4))
+  for (let step = 0; step < 10; step++) compute(UNIFORMS)
+
+  assert.deepEqual(state.pos.subarray(numPoints * 4), parked)
+  assert.deepEqual([...state.bbox.subarray(4, 8)], [1e6, 1e6, -1e6, -1e6])
+  assert.equal(state.neighbors[0], 0)
+})
+
+test('bodies stay inside the box boundary', () => {
+  const { state, compute } = solverFor([{ radius: 0.2, center: [0, 0.5] }], 32)
+  const boundary = normalizeBoundary({ type: 'box', halfSize: [0.6, 0.6] })
+  assert.equal(boundary.type, BOUNDARY_TYPE.box)
+  for (let step = 0; step < 240; step++) compute({ ...UNIFORMS, boundary })
+  const [, minY] = computeBBoxes(state.pos, state.params, 32, 1)
+  // Penalty walls let the resting body sink in a little
+  assert.ok(minY > -0.7 && minY < -0.55, `resting on the floor, minY = ${minY}`)
+})
+
+test('the default scene matches the saved run', () => {
+  const bodies = [
+    { id: 'red', radius: 0.22, center: [-0.4, 0.3] },
+    { id: 'blue', radius: 0.18, center: [0.2, 0.1] },
+    { id: 'green', radius: 0.25, center: [-0.3, -0.2] },
+  ]
+  const { state, compute } = solverFor(bodies, 32)
+  for (let step = 0; step < 120; step++) compute(UNIFORMS)
+
+  const file = new URL('./fixtures/defaultScene.json', import.meta.url)
+  if (process.env.UPDATE_FIXTURES) writeFileSync(file, JSON.stringify({ steps: 120, pos: [...state.pos] }) + '\n')
+  const saved = JSON.parse(readFileSync(file, 'utf8'))
+  assertClose(state.pos, saved.pos, 1e-4, 'pos')
+})
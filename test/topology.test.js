@@ -0,0 +1,103 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  FREE_ROW, bodyKey, findTear, followVertex, mergeBodies, pressedPairs, seedRow, splitBody,
+} from '../src/app/topology.js'
+import { createInitialState } from '../src/app/solver.js'
+import { signedArea } from '../src/app/shapes.js'
+
+const N = 32
+
+// Row data of each body, keyed like the source taps
+const rowsOf = (pos, keys) => new Map(keys.map((key, row) => [key, pos.subarray(row * N * 4, (row + 1) * N * 4)]))
+
+// A circle pulled to twice its width
+const stretched = () => {
+  const { pos, rest } = createInitialState([{ radius: 0.2 }], N)
+  for (let i = 0; i < N; i++) pos[i * 4] *= 2
+  return { pos, rest }
+}
+
+test('free rows have no key, bodies their id or row', () => {
+  assert.equal(bodyKey(FREE_ROW, 3), null)
+  assert.equal(bodyKey({ id: 7 }, 3), '7')
+  assert.equal(bodyKey({}, 3), '3')
+})
+
+test('a tear is found only past the stretch limit, on the most stretched edge', () => {
+  const { pos, rest } = createInitialState([{ radius: 0.2 }], N)
+  assert.equal(findTear(pos, rest, N, 0, 1.5), -1)
+  const { pos: wide } = stretched()
+  const edge = findTear(wide, rest, N, 0, 1.5)
+  assert.ok(edge >= 0)
+  // Horizontal edges stretch the most: near the top or bottom of the circle
+  const [x0, y0] = wide.subarray(edge * 4), [x1, y1] = wide.subarray(((edge + 1) % N) * 4)
+  assert.ok(Math.abs(x1 - x0) > Math.abs(y1 - y0))
+})
+
+test('a split halves a stretched circle and shares out its rest area', () => {
+  const { pos, rest } = stretched()
+  const pieces = splitBody(pos, rest, N, 0, 'a', findTear(pos, rest, N, 0, 1.5))
+  assert.equal(pieces.length, 2)
+  const restArea = rest[3]
+  assert.ok(Math.abs(pieces[0].share + pieces[1].share - 1) < 0.05)
+  pieces.forEach(piece => {
+    assert.equal(piece.shape.length, N)
+    assert.ok(Math.abs(piece.share - 0.5) < 0.1, `share ${piece.share}`)
+    assert.ok(Math.abs(signedArea(piece.shape) - piece.share * restArea) < 1e-9)
+  })
+})
+
+test('new vertices start as blends of the old ones, centered on the piece', () => {
+  const { pos, rest } = stretched()
+  const pieces = splitBody(pos, rest, N, 0, 'a', findTear(pos, rest, N, 0, 1.5))
+  pieces.forEach(piece => {
+    piece.source.forEach(taps => assert.ok(Math.abs(taps.reduce((sum, [, , w]) => sum + w, 0) - 1) < 1e-9))
+    const row = seedRow(piece.source, rowsOf(pos, ['a']), N)
+    const mean = [0, 1].map(axis => row.filter((_, i) => i % 4 === axis).reduce((a, b) => a + b, 0) / N)
+    assert.ok(Math.abs(mean[0] - piece.center[0]) < 1e-6 && Math.abs(mean[1] - piece.center[1]) < 1e-6)
+  })
+  // Gone or resampled sources can't be seeded
+  assert.equal(seedRow(pieces[0].source, rowsOf(pos, ['b']), N), null)
+  assert.equal(seedRow(pieces[0].source.slice(1), rowsOf(pos, ['a']), N), null)
+})
+
+test('a dragged vertex follows onto the piece that took it', () => {
+  const { pos, rest } = stretched()
+  const pieces = splitBody(pos, rest, N, 0, 'a', findTear(pos, rest, N, 0, 1.5))
+    .map((piece, k) => ({ ...piece, id: `a-${k}` }))
+  const found = followVertex(pieces, 'a', 5, N)
+  assert.ok(found)
+  const taps = pieces.find(p => p.id === found.key).source[found.s]
+  assert.ok(taps.some(([key, i]) => key === 'a' && i === 5))
+  assert.equal(followVertex(pieces, 'b', 5, N), null)
+})
+
+// Two circles side by side, the facing `width` vertices of each touching the other
+const pressed = (width) => {
+  const { pos, rest } = createInitialState([{ radius: 0.2, center: [-0.2, 0] }, { radius: 0.2, center: [0.2, 0] }], N)
+  const contacts = new Float32Array(pos.length)
+  for (let k = -width; k <= width; k++) {
+    // Vertex 0 of a circle points along +x, N / 2 along -x
+    contacts[((N + k) % N) * 4] = N + 1
+    contacts[(N + N / 2 + k) * 4] = 1
+  }
+  return { pos, rest, contacts }
+}
+
+test('bodies count as pressed together once both touch with enough vertices', () => {
+  const { contacts } = pressed(2)
+  assert.deepEqual(pressedPairs(contacts, N, 2, 5), [[0, 1]])
+  assert.deepEqual(pressedPairs(contacts, N, 2, 6), [])
+})
+
+test('a merge joins the outer arcs and adds up the rest areas', () => {
+  const { pos, rest, contacts } = pressed(2)
+  const merged = mergeBodies(pos, contacts, rest, N, [0, 'a'], [1, 'b'])
+  assert.equal(merged.share, 1)
+  assert.ok(Math.abs(signedArea(merged.shape) - (rest[3] + rest[N * 4 + 3])) < 1e-9)
+  assert.ok(Math.abs(merged.center[0]) < 0.05 && Math.abs(merged.center[1]) < 1e-6)
+  // Both bodies feed the new outline
+  const keys = new Set(merged.source.flat().map(([key]) => key))
+  assert.deepEqual([...keys].sort(), ['a', 'b'])
+})